@@ -0,0 +1,233 @@
+/**
+ * Business Hours:
+ * Weekly schedule + holiday closures (stored as JSON in system_settings.business_hours).
+ * Resolves the current mode - business_hours, after_hours or holiday - and the next time
+ * the shop opens. Each mode controls whether the AI replies, extra prompt instructions,
+ * an optional away message, and whether a human follow-up task is queued for the next open hour.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MODES = ['business_hours', 'after_hours', 'holiday'];
+
+const DEFAULT_BUSINESS_HOURS = {
+  timezone: 'America/New_York',
+  weekly: {
+    mon: [{ open: '09:00', close: '17:00' }],
+    tue: [{ open: '09:00', close: '17:00' }],
+    wed: [{ open: '09:00', close: '17:00' }],
+    thu: [{ open: '09:00', close: '17:00' }],
+    fri: [{ open: '09:00', close: '17:00' }],
+    sat: [],
+    sun: []
+  },
+  // [{ date: 'YYYY-MM-DD', name: 'Christmas' }]
+  holidays: [],
+  modes: {
+    business_hours: {
+      aiReplies: true,
+      instructions: '',
+      awayMessage: '',
+      followUp: false
+    },
+    after_hours: {
+      aiReplies: true,
+      instructions: 'The shop is currently closed. If the customer needs a person, a phone call, or anything you cannot answer, ' +
+        'tell them the team will follow up when we reopen ({NEXT_OPEN}). Do not promise anything sooner.',
+      awayMessage: '',
+      followUp: true
+    },
+    holiday: {
+      aiReplies: true,
+      instructions: 'The shop is closed today for {HOLIDAY}. Mention that the team is out and will follow up when we reopen ({NEXT_OPEN}).',
+      awayMessage: '',
+      followUp: true
+    }
+  }
+};
+
+const MAX_LOOKAHEAD_DAYS = 30;
+
+function parseTime(value) {
+  const match = /^([01]?\d|2[0-4]):([0-5]\d)$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+// Local date (YYYY-MM-DD), weekday and minutes since midnight in the configured timezone
+function getLocalParts(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23', weekday: 'short'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase().slice(0, 3),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+// Convert a local date + minutes in `timezone` to a UTC Date (handles DST shifts)
+function localToUtc(dateStr, minutes, timezone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  let utc = guess;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalParts(new Date(utc), timezone);
+    const [ly, lm, ld] = local.date.split('-').map(Number);
+    const localAsUtc = Date.UTC(ly, lm - 1, ld, Math.floor(local.minutes / 60), local.minutes % 60);
+    utc += guess - localAsUtc;
+  }
+  return new Date(utc);
+}
+
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function getWeekday(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Merge stored settings over the defaults (mode settings are merged per mode)
+ */
+function normalizeConfig(config = {}) {
+  const modes = {};
+  for (const mode of MODES) {
+    modes[mode] = { ...DEFAULT_BUSINESS_HOURS.modes[mode], ...((config.modes || {})[mode] || {}) };
+  }
+  return {
+    timezone: config.timezone || DEFAULT_BUSINESS_HOURS.timezone,
+    weekly: { ...DEFAULT_BUSINESS_HOURS.weekly, ...(config.weekly || {}) },
+    holidays: Array.isArray(config.holidays) ? config.holidays : DEFAULT_BUSINESS_HOURS.holidays,
+    modes
+  };
+}
+
+/**
+ * Validate a config before saving. Returns an error message or null.
+ */
+function validateConfig(config) {
+  if (!config || typeof config !== 'object') return 'Business hours must be an object';
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.timezone || DEFAULT_BUSINESS_HOURS.timezone });
+  } catch (err) {
+    return `Unknown timezone: ${config.timezone}`;
+  }
+
+  for (const [day, windows] of Object.entries(config.weekly || {})) {
+    if (!WEEKDAYS.includes(day)) return `Unknown weekday "${day}" (use ${WEEKDAYS.join(', ')})`;
+    if (!Array.isArray(windows)) return `Hours for ${day} must be a list of { open, close }`;
+    for (const window of windows) {
+      const open = parseTime(window.open);
+      const close = parseTime(window.close);
+      if (open === null || close === null || open >= close) {
+        return `Invalid hours for ${day}: ${window.open} - ${window.close} (use HH:MM, open before close)`;
+      }
+    }
+  }
+
+  for (const holiday of config.holidays || []) {
+    if (!holiday || !/^\d{4}-\d{2}-\d{2}$/.test(holiday.date)) {
+      return 'Holidays must look like { "date": "YYYY-MM-DD", "name": "..." }';
+    }
+  }
+
+  for (const mode of Object.keys(config.modes || {})) {
+    if (!MODES.includes(mode)) return `Unknown mode "${mode}" (use ${MODES.join(', ')})`;
+  }
+  return null;
+}
+
+function findHoliday(config, dateStr) {
+  return config.holidays.find(h => h.date === dateStr) || null;
+}
+
+// Open windows for a local date, in minutes, sorted (none on holidays)
+function getWindows(config, dateStr) {
+  if (findHoliday(config, dateStr)) return [];
+  return (config.weekly[getWeekday(dateStr)] || [])
+    .map(w => ({ open: parseTime(w.open), close: parseTime(w.close) }))
+    .filter(w => w.open !== null && w.close !== null && w.open < w.close)
+    .sort((a, b) => a.open - b.open);
+}
+
+/**
+ * Next time the shop opens after `now`, or null if nothing is scheduled in the next 30 days
+ */
+function getNextOpen(config, now = new Date()) {
+  const local = getLocalParts(now, config.timezone);
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const dateStr = addDays(local.date, offset);
+    for (const window of getWindows(config, dateStr)) {
+      if (offset > 0 || window.open > local.minutes) {
+        return localToUtc(dateStr, window.open, config.timezone);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the current business mode.
+ * Returns { mode, settings, holiday, nextOpen }
+ */
+function getBusinessMode(rawConfig, now = new Date()) {
+  const config = normalizeConfig(rawConfig);
+  const local = getLocalParts(now, config.timezone);
+  const holiday = findHoliday(config, local.date);
+
+  let mode = 'after_hours';
+  if (holiday) {
+    mode = 'holiday';
+  } else if (getWindows(config, local.date).some(w => local.minutes >= w.open && local.minutes < w.close)) {
+    mode = 'business_hours';
+  }
+
+  return {
+    mode,
+    settings: config.modes[mode],
+    holiday,
+    nextOpen: mode === 'business_hours' ? null : getNextOpen(config, now)
+  };
+}
+
+// "Monday 9:00 AM" style label for prompts and away messages
+function formatNextOpen(nextOpen, timezone = DEFAULT_BUSINESS_HOURS.timezone) {
+  if (!nextOpen) return 'as soon as possible';
+  return nextOpen.toLocaleString('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+// Fill {NEXT_OPEN} and {HOLIDAY} placeholders in instructions/away messages
+function renderModeText(text, businessMode, timezone) {
+  return String(text || '')
+    .replace(/\{NEXT_OPEN\}/g, formatNextOpen(businessMode.nextOpen, timezone))
+    .replace(/\{HOLIDAY\}/g, businessMode.holiday ? businessMode.holiday.name || 'a holiday' : 'a holiday');
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_BUSINESS_HOURS,
+  normalizeConfig,
+  validateConfig,
+  getBusinessMode,
+  getNextOpen,
+  formatNextOpen,
+  renderModeText,
+  parseTime,
+  getLocalParts
+};
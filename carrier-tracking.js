@@ -0,0 +1,289 @@
+/**
+ * Carrier Tracking:
+ * Turns tracking numbers (Shopify fulfillments or a sheet column) into a short "where is my still?" summary.
+ * - Detects the carrier from the number format (UPS, FedEx, USPS), or uses the fulfillment's carrier name
+ * - Fetches the latest scan events through a provider: { name, supports(carrier), track(number, carrier) }
+ *   - EasyPostTrackingProvider: one API key covers UPS, FedEx and USPS
+ *   - MockTrackingProvider: deterministic local events for development and tests (TRACKING_PROVIDER=mock)
+ * - Results cached in Redis (in-memory fallback) so repeat questions don't hit the carrier again
+ */
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const CARRIERS = ['UPS', 'FedEx', 'USPS'];
+const DEFAULT_CACHE_SECONDS = 30 * 60;
+const FETCH_TIMEOUT_MS = 6000;
+const MAX_EVENTS = 3;
+
+// Most specific formats first - USPS and FedEx both use long all-digit numbers
+const CARRIER_PATTERNS = [
+  { carrier: 'UPS', pattern: /^1Z[0-9A-Z]{16}$/ },
+  { carrier: 'USPS', pattern: /^(420\d{5})?9[1-5]\d{18,20}$/ },
+  { carrier: 'USPS', pattern: /^[A-Z]{2}\d{9}US$/ },
+  { carrier: 'FedEx', pattern: /^(\d{12}|\d{15}|\d{20}|\d{22})$/ }
+];
+
+// Tracking number candidates in free text (a sheet cell may hold "UPS 1Z... / 1Z...")
+const TRACKING_CANDIDATE = /\b(1Z[0-9A-Z]{16}|[A-Z]{2}\d{9}US|\d{12,34})\b/gi;
+
+const STATUS_LABELS = {
+  pre_transit: 'Label created, not yet picked up',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  available_for_pickup: 'Available for pickup',
+  return_to_sender: 'Returning to sender',
+  failure: 'Delivery problem',
+  unknown: 'No tracking updates yet'
+};
+
+function normalizeTrackingNumber(value) {
+  return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Carrier from a fulfillment's tracking_company ("UPS", "FedEx Ground", "USPS Priority Mail") or null
+function carrierFromName(name) {
+  const value = String(name || '').toLowerCase();
+  if (value.includes('ups') && !value.includes('usps')) return 'UPS';
+  if (value.includes('fedex') || value.includes('federal express')) return 'FedEx';
+  if (value.includes('usps') || value.includes('postal')) return 'USPS';
+  return null;
+}
+
+function detectCarrier(trackingNumber, carrierHint = null) {
+  const hinted = carrierFromName(carrierHint);
+  if (hinted) return hinted;
+
+  const number = normalizeTrackingNumber(trackingNumber);
+  const match = CARRIER_PATTERNS.find(entry => entry.pattern.test(number));
+  return match ? match.carrier : null;
+}
+
+/**
+ * Tracking numbers found in free text with their detected carrier: [{ trackingNumber, carrier }]
+ */
+function parseTrackingNumbers(text, carrierHint = null) {
+  const found = new Map();
+  for (const candidate of String(text || '').match(TRACKING_CANDIDATE) || []) {
+    const trackingNumber = normalizeTrackingNumber(candidate);
+    const carrier = detectCarrier(trackingNumber, carrierHint);
+    if (carrier && !found.has(trackingNumber)) {
+      found.set(trackingNumber, { trackingNumber, carrier });
+    }
+  }
+  return [...found.values()];
+}
+
+// "January 10 at 3:12 PM"
+function formatEventTime(value) {
+  const date = new Date(value);
+  const day = date.toLocaleDateString('en-US', { timeZone: 'America/New_York', month: 'long', day: 'numeric' });
+  const time = date.toLocaleTimeString('en-US', { timeZone: 'America/New_York', hour: 'numeric', minute: '2-digit', hour12: true });
+  return `${day} at ${time}`;
+}
+
+// "January 12 (Monday)"
+function formatDay(value) {
+  const date = new Date(value);
+  const day = date.toLocaleDateString('en-US', { timeZone: 'America/New_York', month: 'long', day: 'numeric' });
+  return `${day} (${date.toLocaleDateString('en-US', { timeZone: 'America/New_York', weekday: 'long' })})`;
+}
+
+/**
+ * EasyPost trackers API - one key for UPS, FedEx and USPS.
+ * Creating a tracker for a known number returns the existing tracker with its latest events.
+ */
+class EasyPostTrackingProvider {
+  constructor({ apiKey }) {
+    this.name = 'easypost';
+    this.apiKey = apiKey;
+  }
+
+  supports(carrier) {
+    return CARRIERS.includes(carrier);
+  }
+
+  async track(trackingNumber, carrier) {
+    const response = await fetch('https://api.easypost.com/v2/trackers', {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.apiKey}:`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ tracker: { tracking_code: trackingNumber, carrier } }),
+      timeout: FETCH_TIMEOUT_MS
+    });
+    if (!response.ok) {
+      throw new Error(`EasyPost trackers API returned status ${response.status}`);
+    }
+    const tracker = await response.json();
+
+    const events = (tracker.tracking_details || [])
+      .map(detail => ({
+        time: detail.datetime,
+        description: detail.message || detail.status,
+        location: [detail.tracking_location?.city, detail.tracking_location?.state].filter(Boolean).join(', ')
+      }))
+      .sort((a, b) => new Date(b.time) - new Date(a.time));
+
+    return {
+      status: STATUS_LABELS[tracker.status] ? tracker.status : 'unknown',
+      estimatedDelivery: tracker.est_delivery_date || null,
+      events
+    };
+  }
+}
+
+/**
+ * Fake carrier for development and tests: the same number always produces the same progress,
+ * and numbers ending in 0 are delivered (so both paths are easy to exercise).
+ */
+class MockTrackingProvider {
+  constructor({ now = () => new Date() } = {}) {
+    this.name = 'mock';
+    this.now = now;
+  }
+
+  supports(carrier) {
+    return CARRIERS.includes(carrier);
+  }
+
+  async track(trackingNumber, carrier) {
+    const seed = parseInt(crypto.createHash('sha1').update(trackingNumber).digest('hex').slice(0, 6), 16);
+    const hubs = ['Concord, NH', 'Hartford, CT', 'Louisville, KY', 'Memphis, TN', 'Columbus, OH', 'Dallas, TX'];
+    const delivered = trackingNumber.endsWith('0');
+    const now = this.now().getTime();
+    const hour = 3600 * 1000;
+
+    const events = [
+      { time: new Date(now - 50 * hour).toISOString(), description: 'Shipment picked up', location: 'Concord, NH' },
+      { time: new Date(now - 30 * hour).toISOString(), description: 'Departed facility', location: hubs[seed % hubs.length] },
+      {
+        time: new Date(now - 4 * hour).toISOString(),
+        description: delivered ? 'Delivered, front door' : `Arrived at ${carrier} facility`,
+        location: hubs[(seed >> 3) % hubs.length]
+      }
+    ].reverse();
+
+    return {
+      status: delivered ? 'delivered' : 'in_transit',
+      estimatedDelivery: delivered ? null : new Date(now + 48 * hour).toISOString(),
+      events
+    };
+  }
+}
+
+class CarrierTracking {
+  /**
+   * getRedisClient: () => client or null (the server drops to null when Redis errors)
+   */
+  constructor({ providers = [], getRedisClient = () => null, logEvent = async () => {}, cacheSeconds = DEFAULT_CACHE_SECONDS } = {}) {
+    this.providers = [...providers];
+    this.getRedisClient = getRedisClient;
+    this.logEvent = logEvent;
+    this.cacheSeconds = cacheSeconds;
+    this.memoryCache = new Map(); // cacheKey -> { result, expiresAt }
+  }
+
+  registerProvider(provider) {
+    this.providers.push(provider);
+    return this;
+  }
+
+  isConfigured() {
+    return this.providers.length > 0;
+  }
+
+  async getCached(key) {
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        const cached = await redisClient.get(key);
+        if (cached) return JSON.parse(cached);
+      } catch (err) {
+        console.error('Redis tracking cache get error:', err);
+      }
+    }
+    const entry = this.memoryCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.result;
+    if (entry) this.memoryCache.delete(key);
+    return null;
+  }
+
+  async setCached(key, result) {
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        await redisClient.setEx(key, this.cacheSeconds, JSON.stringify(result));
+      } catch (err) {
+        console.error('Redis tracking cache set error:', err);
+      }
+    }
+    this.memoryCache.set(key, { result, expiresAt: Date.now() + this.cacheSeconds * 1000 });
+    if (this.memoryCache.size > 500) {
+      const oldestKeys = Array.from(this.memoryCache.keys()).slice(0, 50);
+      oldestKeys.forEach(oldKey => this.memoryCache.delete(oldKey));
+    }
+  }
+
+  /**
+   * Latest status for one tracking number.
+   * Returns { trackingNumber, carrier, provider, status, statusLabel, estimatedDelivery, events } or null
+   */
+  async track(trackingNumber, carrierHint = null) {
+    const number = normalizeTrackingNumber(trackingNumber);
+    const carrier = detectCarrier(number, carrierHint);
+    const provider = carrier && this.providers.find(candidate => candidate.supports(carrier));
+    if (!provider) return null;
+
+    const cacheKey = `tracking:${carrier}:${number}`;
+    const cached = await this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const tracked = await provider.track(number, carrier);
+      const result = {
+        trackingNumber: number,
+        carrier,
+        provider: provider.name,
+        status: tracked.status,
+        statusLabel: STATUS_LABELS[tracked.status] || STATUS_LABELS.unknown,
+        estimatedDelivery: tracked.estimatedDelivery,
+        events: tracked.events.slice(0, MAX_EVENTS)
+      };
+      await this.setCached(cacheKey, result);
+      return result;
+    } catch (err) {
+      console.error(`❌ Tracking lookup failed for ${carrier} ${number}:`, err.message);
+      await this.logEvent('error', `Tracking lookup failed for ${carrier} ${number} (${provider.name}): ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * One line for the order context. Dates are written "on January 10" so the response
+   * validator recognises them when the reply repeats them:
+   * "UPS 1Z...: In transit - Arrived at UPS facility, Louisville, KY on January 10 at 3:12 PM. Estimated delivery on January 12 (Monday)"
+   */
+  static summarize(result) {
+    const latest = result.events[0];
+    let summary = `${result.carrier} ${result.trackingNumber}: ${result.statusLabel}`;
+    if (latest) {
+      const where = latest.location ? `, ${latest.location}` : '';
+      summary += ` - ${latest.description}${where}${latest.time ? ` on ${formatEventTime(latest.time)}` : ''}`;
+    }
+    if (result.estimatedDelivery && result.status !== 'delivered') {
+      summary += `. Estimated delivery on ${formatDay(result.estimatedDelivery)}`;
+    }
+    return summary;
+  }
+}
+
+CarrierTracking.CARRIERS = CARRIERS;
+CarrierTracking.STATUS_LABELS = STATUS_LABELS;
+CarrierTracking.detectCarrier = detectCarrier;
+CarrierTracking.parseTrackingNumbers = parseTrackingNumbers;
+CarrierTracking.EasyPostTrackingProvider = EasyPostTrackingProvider;
+CarrierTracking.MockTrackingProvider = MockTrackingProvider;
+
+module.exports = CarrierTracking;
@@ -0,0 +1,139 @@
+/**
+ * Column Mapping:
+ * Which customer sheet column holds which customer/order field, stored as JSON in
+ * system_settings.column_mapping once staff confirm it in the dashboard. Until then the mapping is
+ * detected from the sheet headers (suggestMapping), so lookups work before anyone confirms it.
+ * - Values are header names; phones and address can list several columns (every phone number on
+ *   the row is matched, address parts are joined in order)
+ * - Detection matches known header names (case and punctuation ignored); a field no header matches
+ *   falls back to the column it was always read from (name = C, phone = G...) and is flagged as a guess
+ * Everything that reads a customer row (sheet index, prompts, notifications) goes through extractFields.
+ */
+
+const FIELDS = {
+  name: { label: 'Customer name', candidates: ['Name', 'Customer', 'Customer Name', 'Billing Name', 'Full Name'], position: 2 },
+  phones: { label: 'Phone number(s)', multiple: true, candidates: ['Phone', 'Phone Number', 'Mobile', 'Cell', 'Tel', 'Billing Phone', 'Shipping Phone'], position: 6 },
+  email: { label: 'Email', candidates: ['Email', 'E-mail', 'Email Address', 'Customer Email'], position: 0 },
+  product: { label: 'Product', candidates: ['Product', 'LineItem name', 'Line Item', 'Item', 'Product Name'], position: 1 },
+  orderDate: { label: 'Order date', candidates: ['Created at', 'Order Date', 'Date', 'Paid at'], position: 3 },
+  total: { label: 'Order total', candidates: ['Total', 'Order Total', 'Amount'] },
+  address: {
+    label: 'Shipping address',
+    multiple: true,
+    candidates: ['Address', 'Shipping Address', 'Shipping Address1', 'Shipping Address2', 'Shipping Street',
+      'Shipping City', 'Shipping Province', 'Shipping Zip', 'Shipping Country']
+  },
+  status: { label: 'Status notes', candidates: ['Status', 'Order Status', 'Shipping Status', 'Order State'], position: 4 },
+  tracking: { label: 'Tracking number', candidates: ['Tracking Number', 'Tracking'] }
+};
+
+const FIELD_NAMES = Object.keys(FIELDS);
+
+// "LineItem name" / "lineitem_name" -> "lineitemname"
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggested mapping for a sheet's headers: { mapping, sources } where sources[field] is
+ * 'header' (known header name), 'position' (the column it was always read from) or null (not found).
+ * extraCandidates: { field: [header, ...] } tried before the built-in names (e.g. GOOGLE_SHEET_STATUS_COLUMN)
+ */
+function suggestMapping(headers = [], extraCandidates = {}) {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const mapping = { confirmed: false };
+  const sources = {};
+
+  for (const field of FIELD_NAMES) {
+    const { multiple, candidates, position } = FIELDS[field];
+    const names = [...(extraCandidates[field] || []), ...candidates].map(normalizeHeader).filter(Boolean);
+
+    if (multiple) {
+      const matched = headers.filter((header, i) => header && names.includes(normalizedHeaders[i]));
+      mapping[field] = matched;
+      sources[field] = matched.length > 0 ? 'header' : null;
+    } else {
+      const index = names.map(name => normalizedHeaders.indexOf(name)).find(i => i >= 0);
+      mapping[field] = index !== undefined ? headers[index] : null;
+      sources[field] = index !== undefined ? 'header' : null;
+    }
+
+    if (!sources[field] && position !== undefined && headers[position]) {
+      mapping[field] = multiple ? [headers[position]] : headers[position];
+      sources[field] = 'position';
+    }
+  }
+  return { mapping, sources };
+}
+
+/**
+ * Stored mapping -> complete mapping (every field present, lists for phones/address, '' -> null)
+ */
+function normalizeMapping(mapping = {}) {
+  mapping = mapping || {};
+  const normalized = { confirmed: mapping.confirmed === true };
+  for (const field of FIELD_NAMES) {
+    const value = mapping[field];
+    if (FIELDS[field].multiple) {
+      const list = Array.isArray(value) ? value : (value ? [value] : []);
+      normalized[field] = list.map(header => String(header).trim()).filter(Boolean);
+    } else {
+      normalized[field] = value ? String(value).trim() || null : null;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Validate a mapping before saving against the sheet's headers (skipped when they aren't loaded).
+ * Returns an error message or null.
+ */
+function validateMapping(mapping, headers = []) {
+  for (const field of Object.keys(mapping)) {
+    if (field !== 'confirmed' && !FIELDS[field]) {
+      return `Unknown field "${field}" (use ${FIELD_NAMES.join(', ')})`;
+    }
+  }
+  if (!mapping.name) return 'Map the customer name column - it decides who counts as a customer';
+  if (mapping.phones.length === 0 && !mapping.email) return 'Map at least one phone or email column - customers are looked up by them';
+
+  if (headers.length > 0) {
+    for (const field of FIELD_NAMES) {
+      const columns = FIELDS[field].multiple ? mapping[field] : [mapping[field]].filter(Boolean);
+      const missing = columns.find(header => !headers.includes(header));
+      if (missing) return `${FIELDS[field].label}: the sheet has no "${missing}" column`;
+    }
+  }
+  return null;
+}
+
+/**
+ * One row's fields (header -> value) through the mapping:
+ * { name, phones: [...], email, product, orderDate, total, address, status, tracking } (missing = null)
+ */
+function extractFields(fields, mapping) {
+  const read = (header) => {
+    const value = header && fields[header] !== undefined && fields[header] !== null ? String(fields[header]).trim() : '';
+    return value || null;
+  };
+  return {
+    name: read(mapping.name),
+    phones: mapping.phones.map(read).filter(Boolean),
+    email: read(mapping.email),
+    product: read(mapping.product),
+    orderDate: read(mapping.orderDate),
+    total: read(mapping.total),
+    address: mapping.address.map(read).filter(Boolean).join(', ') || null,
+    status: read(mapping.status),
+    tracking: read(mapping.tracking)
+  };
+}
+
+module.exports = {
+  FIELDS,
+  FIELD_NAMES,
+  suggestMapping,
+  normalizeMapping,
+  validateMapping,
+  extractFields
+};
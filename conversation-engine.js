@@ -0,0 +1,807 @@
+/**
+ * Conversation Engine:
+ * One reply pipeline for every inbound channel (SMS, email, web chat, ...).
+ * - Human takeover detection: pause the conversation, notify staff, send the handoff message
+ * - Intent classification (intent-classifier.js) decides which context is loaded and is stored on the messages
+ * - Frustration scoring (sentiment-tracker.js) alerts staff - or hands off - when a customer gets upset
+ * - Stock questions get live Shopify availability for the product mentioned (inventory-lookup.js)
+ * - Order questions get the sheet color status plus real Shopify orders and tracking (shopify-orders.js),
+ *   with the latest carrier scans for their tracking numbers (carrier-tracking.js)
+ * - Context building: personality/system template, knowledge, customer + order color status,
+ *   business-hours instructions, language and channel notes, recent history across the
+ *   customer's linked SMS/email/web conversations (customer-identity.js)
+ * - Guardrails on every reply: PriceValidator, greeting stripper, hallucination validator
+ * Channels plug in through adapters (prompt notes, token budget, reply formatting), so
+ * channel-specific code only decides *whether* to answer and *how* to deliver the reply.
+ * All dependencies are injected - pass a stub anthropicClient/pool to exercise it in isolation.
+ */
+
+const { sanitizeMessageText } = require('./language-support');
+const IntentClassifier = require('./intent-classifier');
+const ShopifyOrders = require('./shopify-orders');
+const CarrierTracking = require('./carrier-tracking');
+const CustomerIdentity = require('./customer-identity');
+
+const DEFAULT_SYSTEM_TEMPLATE = `YOU MUST FOLLOW THESE PERSONALITY INSTRUCTIONS EXACTLY:\n\n{PERSONALITY}`;
+const MAX_TRACKED_SHIPMENTS = 2;
+const MAX_SHEET_ORDERS = 5;
+// How other conversations of the same person are described in the prompt
+const CHANNEL_NAMES = { phone: 'text message', email: 'email', web: 'web chat' };
+
+const HUMAN_TAKEOVER_TRIGGERS = [
+  // Direct AI/Bot stop requests
+  'stop ai', 'stop bot', 'stop robot', 'shut off ai', 'turn off ai', 'disable ai',
+  'stop the ai', 'stop this ai', 'shut down ai', 'shut down bot',
+  'no more ai', 'turn off bot', 'disable bot', 'shut off bot', 'shut off the ai',
+  'shut down the ai', 'shut down the bot', 'turn off the bot', 'disable the bot',
+  'stop responding', 'stop replying', 'stop automatic', 'stop auto',
+  'ai talk', 'letting your ai', 'your ai talk', 'stop letting',
+  'ai off', 'shut ai', 'shut your ai', 'turn ai off', 'shut off your ai',
+
+  // Human requests
+  'talk to human', 'speak to human', 'human help', 'real person', 'actual person',
+  'talk to someone', 'speak to someone', 'human representative', 'customer service',
+  'live chat', 'human support', 'real help', 'person help', 'human agent',
+  'transfer to human', 'connect to human', 'get human', 'need human',
+  'talk to a human', 'speak to a human', 'need to talk to',
+  'i want human', 'get me human', 'human please',
+
+  // Stop communication requests
+  'stop texting', 'stop messaging', 'stop talking', 'shut up',
+  'stop sending', 'stop contacting', 'dont text', "don't text", 'no more texts',
+  'no more messages', 'stop spam', 'quit messaging', 'quit texting',
+  'texting off', 'messaging off', 'fucking texting',
+  'stop this', 'make it stop', 'turn this off',
+
+  // Frustration with AI
+  'this is annoying', "you're annoying", 'stop spamming', 'leave me alone',
+  'go away', 'piss off', 'bug off', 'screw off', 'get lost',
+  'fuck off', 'shut the fuck up', 'fucking ai', 'fucking bot', 'fucking robot',
+  'stupid ai', 'stupid bot', 'useless ai', 'useless bot', 'dumb ai', 'dumb bot',
+  'fucking annoying', 'so annoying', 'really annoying',
+
+  // Explicit opt-out language (SMS carrier keywords like a bare STOP go through the opt-out registry first)
+  'unsubscribe', 'opt out', 'remove me', 'delete me', 'take me off',
+  'remove from list', 'stop subscription', 'cancel texts', 'end service'
+];
+
+const HANDOFF_MESSAGE = "I understand you'd prefer to speak with someone directly. I've paused our AI responses and notified our team. " +
+  "Please call (603) 997-6786 to speak with a real person, or someone will follow up with you soon.";
+
+// What each intent loads: the sheet order lookup, how many knowledge chunks, live inventory
+// ('ask' = also ask which size when several match, 'resolved' = only an exact match), extra prompt guidance
+const INTENT_CONTEXT = {
+  order_status: { orderInfo: true, knowledge: 2 },
+  inventory: {
+    orderInfo: false,
+    knowledge: 2,
+    inventory: 'ask',
+    guidance: `📦 STOCK QUESTION: The message doesn't name a specific product. Ask which product and size they're ` +
+      `interested in so you can check stock - don't promise anything is in stock.`
+  },
+  product_question: { orderInfo: false, knowledge: 2, inventory: 'resolved' },
+  returns: {
+    orderInfo: true,
+    knowledge: 2,
+    guidance: `↩️ RETURN/CANCELLATION: Don't approve or promise refunds, cancellations or exchanges yourself. ` +
+      `Explain the policy if it's in the knowledge above and tell them the team will review it.`
+  },
+  complaint: {
+    orderInfo: true,
+    knowledge: 1,
+    guidance: `😟 COMPLAINT: Acknowledge the problem and apologize briefly before anything else. Don't argue or make excuses; ` +
+      `offer a call at (603) 997-6786 if it needs more than a quick answer.`
+  },
+  small_talk: { orderInfo: false, knowledge: 0 },
+  // Only the classifier's guess - explicit takeover phrases pause the conversation before this is used
+  handoff: {
+    orderInfo: false,
+    knowledge: 1,
+    guidance: `🙋 MAY WANT A PERSON: They might be asking for a person. Answer what you can, give them our number ` +
+      `(603) 997-6786, and ask whether they'd like someone from the team to take over (they can reply "talk to a human"). ` +
+      `Don't say the conversation has been handed off - it hasn't.`
+  }
+};
+
+const FALLBACK_REPLIES = {
+  error: "Sorry, I'm having trouble right now. Please call (603) 997-6786 for assistance.",
+  image: "Thanks for the picture! I'm having trouble processing it right now. Can you describe what you're showing me? Or call (603) 997-6786 for direct assistance.",
+  overloaded: "I'm experiencing high load right now. Please try again in a moment or call (603) 997-6786 for immediate assistance.",
+  empty: "I'm sorry, I didn't catch that. Please contact us directly for help.",
+  price: "I'm having trouble accessing pricing right now. Please call (603) 997-6786 for current prices, or visit moonshinestills.com.",
+  unverified: "Let me check your order details and get back to you shortly. Please call (603) 997-6786 if you need immediate assistance."
+};
+
+// Default adapter: no extra prompt notes, reply delivered as written
+const DEFAULT_ADAPTER = {
+  promptNotes: '',
+  maxTokens: 200,
+  formatReply: async (text) => ({ text, parts: [text], encoding: null, segments: 0, truncated: false })
+};
+
+// A customer/order row's fields read through the column mapping (column-mapping.js) at index sync -
+// {} for a row indexed before the mapping existed (the next sync fills it in)
+function sheetFields(row) {
+  return (row && row.mapped) || {};
+}
+
+// Every sheet row (order) of a customer, oldest first
+function sheetOrderRows(customer) {
+  return customer.orders && customer.orders.length > 0 ? [...customer.orders] : [customer];
+}
+
+// Status playbook lines for the orders being discussed (one per status, in the status map's words)
+function formatPlaybooks(orders) {
+  const playbooks = new Map();
+  for (const order of orders) {
+    if (order.playbook && !playbooks.has(order.statusColor)) playbooks.set(order.statusColor, order.playbook);
+  }
+  if (playbooks.size === 0) {
+    return orders.length === 1
+      ? `- Follow the color-coded customer service approach for ${orders[0].statusColor} status\n`
+      : `- Follow the color-coded customer service approach for the status of the order they're asking about\n`;
+  }
+  if (orders.length === 1) {
+    return `- STATUS PLAYBOOK (${orders[0].statusColor}): ${playbooks.get(orders[0].statusColor)}\n`;
+  }
+  const lines = [...playbooks].map(([statusColor, playbook]) => `  - ${statusColor}: ${playbook}`);
+  return `- STATUS PLAYBOOKS - use the one for the status of the order they're asking about:\n${lines.join('\n')}\n`;
+}
+
+// "- 13 Gallon Copper Still (ordered 1/5/2025, total $1,299.00, from Wholesale): In production (YELLOW)"
+function formatSheetOrder(order) {
+  const details = [order.orderDate && `ordered ${order.orderDate}`, order.total && `total ${order.total}`, order.source && `from ${order.source}`].filter(Boolean);
+  return `- ${order.product || 'Unknown product'}${details.length > 0 ? ` (${details.join(', ')})` : ''}: ${order.statusDescription}`;
+}
+
+function getCustomerName(customer) {
+  if (!customer) return null;
+  return sheetFields(customer).name || customer.name || null;
+}
+
+function detectHumanTakeover(text) {
+  const lowerMessage = String(text || '').toLowerCase();
+  return HUMAN_TAKEOVER_TRIGGERS.some(trigger => lowerMessage.includes(trigger));
+}
+
+// Follow-up messages shouldn't open with a fresh greeting
+function stripGreeting(text) {
+  return text
+    .replace(/^hey( there)?[,!]*\s*/i, '')
+    .replace(/^hi[,!]*\s*/i, '')
+    .replace(/^hello[,!]*\s*/i, '')
+    .replace(/^good (morning|afternoon|evening)[,!]*\s*/i, '')
+    .replace(/^hey\s+[A-Za-z]+[,!]*\s*/i, '')
+    .replace(/^hi\s+[A-Za-z]+[,!]*\s*/i, '');
+}
+
+// Response validator to prevent AI hallucinations
+// allowedOrderNumbers: real order numbers (e.g. Shopify "1001") the reply may mention in any form - "#1001", "order 1001"
+function validateAndSanitizeResponse(response, orderInfo = '', customer = null, allowedOrderNumbers = []) {
+  if (!response) return response;
+
+  let validated = response;
+  let flagged = false;
+
+  // 1. Check for fabricated order numbers (SP-### patterns) not in orderInfo or the real order list
+  const orderNumberPattern = /(order\s*#?\s*|#)\s*(sp-\d+|ms\d+|\d{3,6})/gi;
+  const orderMatches = validated.match(orderNumberPattern);
+  if (orderMatches) {
+    const allowed = new Set(allowedOrderNumbers.map(number => String(number).toLowerCase().replace(/^#/, '')));
+    // Every order number mentioned must be real
+    const hasValidOrderRef = orderMatches.every(match => {
+      const number = match.toLowerCase().replace(/^(order\s*#?\s*|#)\s*/, '');
+      return allowed.has(number) || (orderInfo && orderInfo.toLowerCase().includes(match.toLowerCase()));
+    });
+    if (!hasValidOrderRef) {
+      flagged = true;
+      console.warn(`⚠️ Response validation: Blocked fabricated order number - ${orderMatches.join(', ')}`);
+    }
+  }
+
+  // 2. Check for specific date claims not in orderInfo
+  const datePattern = /(before|after|since|on|from)\s+(january|february|march|april|may|june|july|august|september|october|november|december|\d{1,2}\/\d{1,2}|\d{4})/gi;
+  const dateMatches = validated.match(datePattern);
+  if (dateMatches) {
+    const hasValidDateRef = dateMatches.some(match =>
+      orderInfo && orderInfo.toLowerCase().includes(match.toLowerCase())
+    );
+    if (!hasValidDateRef) {
+      flagged = true;
+      console.warn(`⚠️ Response validation: Blocked fabricated date reference - ${dateMatches.join(', ')}`);
+    }
+  }
+
+  // 3. Check for "expedited" without PURPLE status confirmation
+  const expeditePattern = /expedite|expedited|expediting/gi;
+  if (expeditePattern.test(validated)) {
+    // Only allow if we have explicit expedited status (would need status color context)
+    // For now, flag all expedited claims unless specifically verified
+    const hasValidExpediteStatus = orderInfo && orderInfo.toLowerCase().includes('expedit');
+    if (!hasValidExpediteStatus) {
+      flagged = true;
+      console.warn(`⚠️ Response validation: Blocked unverified expedited claim`);
+    }
+  }
+
+  // If flagged, replace with safe fallback
+  if (flagged) {
+    console.log(`🚫 Response validation triggered - replacing with safe fallback`);
+    return FALLBACK_REPLIES.unverified;
+  }
+
+  return validated;
+}
+
+class ConversationEngine {
+  /**
+   * getOrderStatus: (customer, conversationId) => { statusColor, statusDescription, shipped, playbook } from the sheet row color
+   * notifyHumanTakeover: ({ conversationId, channel, customerName, userMessage }) => staff notification
+   * getNow: () => Date (injectable for the date context)
+   */
+  constructor({
+    pool,
+    anthropicClient,
+    model,
+    knowledgeRetriever,
+    priceValidator,
+    logEvent = async () => {},
+    getOrderStatus = async () => null,
+    notifyHumanTakeover = async () => {},
+    intentClassifier = null,
+    sentimentTracker = null,
+    inventoryLookup = null,
+    shopifyOrders = null,
+    carrierTracking = null,
+    customerIdentity = null,
+    getNow = () => new Date()
+  }) {
+    this.pool = pool;
+    this.anthropicClient = anthropicClient;
+    this.model = model;
+    this.knowledgeRetriever = knowledgeRetriever;
+    this.priceValidator = priceValidator;
+    this.logEvent = logEvent;
+    this.getOrderStatus = getOrderStatus;
+    this.notifyHumanTakeover = notifyHumanTakeover;
+    this.intentClassifier = intentClassifier;
+    this.sentimentTracker = sentimentTracker;
+    this.inventoryLookup = inventoryLookup;
+    this.shopifyOrders = shopifyOrders;
+    this.carrierTracking = carrierTracking;
+    this.customerIdentity = customerIdentity;
+    this.getNow = getNow;
+    this.channels = new Map();
+  }
+
+  /**
+   * Channel adapter: { promptNotes, maxTokens, formatReply(text) => { text, parts, ... } }
+   * Missing fields fall back to the defaults (no notes, 200 tokens, reply as written).
+   */
+  registerChannel(name, adapter = {}) {
+    this.channels.set(name, { ...DEFAULT_ADAPTER, ...adapter, name });
+    return this;
+  }
+
+  getChannel(name) {
+    return this.channels.get(name) || { ...DEFAULT_ADAPTER, name };
+  }
+
+  async formatReply(channel, text) {
+    return this.getChannel(channel).formatReply(text);
+  }
+
+  async saveReply(conversationId, text, intent = null) {
+    const result = await this.pool.query(
+      'INSERT INTO messages(phone, sender, message, timestamp, intent) VALUES($1, $2, $3, $4, $5) RETURNING id',
+      [conversationId, 'assistant', text, new Date(), intent]
+    );
+    return result.rows[0].id;
+  }
+
+  // Without a classifier (or for empty text) fall back to the keyword heuristic
+  async classifyIntent(userMessage) {
+    if (!this.intentClassifier) {
+      return { intent: IntentClassifier.heuristicIntent(userMessage), source: 'fallback' };
+    }
+    return this.intentClassifier.classify(userMessage);
+  }
+
+  // Label the user messages of the current turn (a coalesced burst can be several rows)
+  async recordIntent(conversationId, beforeId, intent) {
+    await this.pool.query(
+      `UPDATE messages SET intent=$1 WHERE phone=$2 AND sender='user' AND id >= $3`,
+      [intent, conversationId, beforeId]
+    );
+  }
+
+  // Frustration score for this turn - a scoring failure never blocks the reply
+  async recordSentiment(conversationId, beforeId, userMessage) {
+    if (!this.sentimentTracker) return null;
+    try {
+      return await this.sentimentTracker.record(conversationId, beforeId, userMessage);
+    } catch (err) {
+      await this.logEvent('error', `Sentiment scoring failed for ${conversationId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Pause the conversation, flag it for staff and let them know (sentiment: set when frustration triggered it)
+  async handleHumanTakeover({ channel, conversationId, customer, userMessage, sentiment = null }) {
+    await this.pool.query(
+      'UPDATE conversations SET paused = true, requested_human = true WHERE phone = $1',
+      [conversationId]
+    );
+    await this.logEvent('info', `Human takeover triggered for ${conversationId} (${channel})${sentiment ? ` by frustration score ${sentiment.rolling}` : ''}: "${userMessage}"`);
+
+    try {
+      await this.notifyHumanTakeover({ conversationId, channel, customerName: getCustomerName(customer), userMessage, sentiment });
+    } catch (err) {
+      await this.logEvent('error', `Failed to send human takeover notification for ${conversationId}: ${err.message}`);
+    }
+  }
+
+  // Shopify orders for the conversation's verified phone/email - anonymous web chats are never looked up
+  async findShopifyOrders(conversationId, customer) {
+    if (!this.shopifyOrders || conversationId.startsWith('web:')) return [];
+
+    const sheetEmail = String(sheetFields(customer).email || customer.email || '');
+    const email = conversationId.startsWith('email:')
+      ? conversationId.slice('email:'.length)
+      : (sheetEmail.includes('@') ? sheetEmail : null);
+    const phone = conversationId.includes(':') ? null : conversationId;
+
+    try {
+      return await this.shopifyOrders.findOrders({ phone, email });
+    } catch (err) {
+      console.error('❌ Shopify order lookup failed:', err.message);
+      await this.logEvent('error', `Shopify order lookup failed for ${conversationId}: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Latest carrier scans for the customer's shipments: tracking numbers from Shopify fulfillments
+   * plus the sheet's tracking column (newest order first). Returns '' when there is nothing to track.
+   */
+  async buildTrackingInfo(conversationId, customer, shopifyOrders) {
+    if (!this.carrierTracking || !this.carrierTracking.isConfigured()) return '';
+
+    const shipments = new Map();
+    for (const order of shopifyOrders) {
+      for (const fulfillment of order.fulfillments) {
+        for (const number of fulfillment.trackingNumbers) {
+          for (const parsed of CarrierTracking.parseTrackingNumbers(number, fulfillment.trackingCompany)) {
+            if (!shipments.has(parsed.trackingNumber)) shipments.set(parsed.trackingNumber, { ...parsed, orderName: order.name });
+          }
+        }
+      }
+    }
+    for (const row of sheetOrderRows(customer).reverse()) {
+      const sheetTracking = sheetFields(row).tracking;
+      for (const parsed of CarrierTracking.parseTrackingNumbers(sheetTracking)) {
+        if (!shipments.has(parsed.trackingNumber)) shipments.set(parsed.trackingNumber, { ...parsed, orderName: null });
+      }
+    }
+    if (shipments.size === 0) return '';
+
+    const lines = [];
+    for (const shipment of [...shipments.values()].slice(0, MAX_TRACKED_SHIPMENTS)) {
+      const result = await this.carrierTracking.track(shipment.trackingNumber, shipment.carrier);
+      if (!result) continue;
+      lines.push(`- ${shipment.orderName ? `Order ${shipment.orderName}: ` : ''}${CarrierTracking.summarize(result)}`);
+    }
+    if (lines.length === 0) return '';
+
+    await this.logEvent('info', `Tracking lookup for ${conversationId}: ${lines.length} shipment(s)`);
+    return `\n📍 TRACKING (latest carrier scan):\n${lines.join('\n')}\n`;
+  }
+
+  // Each sheet order (row) of the customer with its row color status, oldest first.
+  // Cached customers from before multi-order support have no .orders - the row itself is then the only order.
+  async readSheetOrders(customer, conversationId) {
+    const orders = [];
+    for (const row of sheetOrderRows(customer).slice(-MAX_SHEET_ORDERS)) {
+      const status = await this.getOrderStatus(row, conversationId).catch(async (err) => {
+        console.error('Error reading cell colors:', err);
+        await this.logEvent('error', `Failed to read cell colors for ${conversationId}: ${err.message}`);
+        return null;
+      });
+      const fields = sheetFields(row);
+      orders.push({
+        product: fields.product || null,
+        orderDate: fields.orderDate && fields.orderDate !== 'N/A' ? fields.orderDate : null,
+        total: fields.total || null,
+        address: fields.address || null,
+        notes: fields.status || null,
+        source: row.sheetSourceLabel || null,
+        statusColor: status ? status.statusColor : 'white',
+        statusDescription: status ? status.statusDescription : 'Order received',
+        shipped: Boolean(status && status.shipped),
+        playbook: status ? status.playbook : ''
+      });
+    }
+    return orders;
+  }
+
+  /**
+   * Order details for a customer whose message is about their order: every sheet row of theirs with its
+   * color status, merged with their real Shopify orders (numbers, items, payment, fulfillment, tracking).
+   * With several open orders the AI is told to ask which one an ambiguous question is about.
+   * Returns { orderInfo, orderNumbers } - orderInfo is '' for non-customers and intents that don't need the order.
+   */
+  async buildOrderInfo(customer, conversationId, intent) {
+    if (!customer || !customer._rawData || !(INTENT_CONTEXT[intent] || {}).orderInfo) {
+      await this.logEvent('info', `Order status lookup skipped for ${conversationId}: ${customer ? `intent ${intent}` : 'no customer record'}`);
+      return { orderInfo: '', orderNumbers: [] };
+    }
+
+    const customerName = getCustomerName(customer);
+    const customerEmail = sheetFields(customer).email || customer.email;
+
+    // Row background color is the production status; Shopify has the real order numbers and tracking
+    const [sheetOrders, shopifyOrders] = await Promise.all([
+      this.readSheetOrders(customer, conversationId),
+      this.findShopifyOrders(conversationId, customer)
+    ]);
+    const openOrders = sheetOrders.filter(order => !order.shipped);
+    const shippedOrders = sheetOrders.filter(order => order.shipped);
+    const multipleOrders = sheetOrders.length > 1;
+    // The newest open order sets the tone when there is only one to talk about
+    const currentOrder = openOrders[openOrders.length - 1] || sheetOrders[sheetOrders.length - 1];
+
+    console.log(`📋 Order Info Extract for ${conversationId}:`);
+    console.log(`  Customer: ${customerName}`);
+    for (const order of sheetOrders) {
+      console.log(`  Product: ${order.product} | Order Date: ${order.orderDate} | Status: ${order.statusColor} | Source: ${order.source}`);
+    }
+
+    let orderInfo = `\n\nCUSTOMER ORDER INFORMATION:\n`;
+    orderInfo += `Customer: ${customerName}\n`;
+    if (!sheetOrders.some(order => order.orderDate) && shopifyOrders.length === 0) {
+      orderInfo += `⚠️ ORDER DATE NOT AVAILABLE - Do not guess or estimate dates. If asked about order dates, say "Let me check your order date and get back to you."\n`;
+    }
+    if (multipleOrders) {
+      orderInfo += `Orders on file: ${sheetOrders.length} (${openOrders.length} still open)\n`;
+      if (openOrders.length > 0) orderInfo += `OPEN ORDERS:\n${openOrders.map(formatSheetOrder).join('\n')}\n`;
+      if (shippedOrders.length > 0) orderInfo += `ALREADY SHIPPED:\n${shippedOrders.map(formatSheetOrder).join('\n')}\n`;
+    } else {
+      if (currentOrder.orderDate) orderInfo += `Order Date: ${currentOrder.orderDate}\n`;
+      if (currentOrder.product) orderInfo += `Product Ordered: ${currentOrder.product}\n`;
+      if (currentOrder.total) orderInfo += `Order Total: ${currentOrder.total}\n`;
+      if (currentOrder.source) orderInfo += `Found In: ${currentOrder.source} sheet\n`;
+      orderInfo += `Current Status: ${currentOrder.statusDescription}\n`;
+    }
+    if (currentOrder.notes) orderInfo += `Status Notes${multipleOrders ? ` (${currentOrder.product || 'newest open order'})` : ''}: ${currentOrder.notes}\n`;
+    if (currentOrder.address) orderInfo += `Shipping Address${multipleOrders ? ` (${currentOrder.product || 'newest open order'})` : ''}: ${currentOrder.address}\n`;
+    if (customerEmail) orderInfo += `Email: ${customerEmail}\n`;
+    orderInfo += multipleOrders
+      ? `\n🎨 COLOR CODE STATUS: shown for each order above\n`
+      : `\n🎨 COLOR CODE STATUS: ${currentOrder.statusColor} = ${currentOrder.statusDescription}\n`;
+    if (shopifyOrders.length > 0) {
+      orderInfo += `\n🛒 SHOPIFY ORDERS (most recent first):\n${ShopifyOrders.formatOrders(shopifyOrders)}\n`;
+    }
+    const trackingSection = await this.buildTrackingInfo(conversationId, customer, shopifyOrders);
+    orderInfo += trackingSection;
+    orderInfo += `\nIMPORTANT INSTRUCTIONS:\n`;
+    orderInfo += `- You have full access to the customer's product details above\n`;
+    orderInfo += multipleOrders
+      ? `- DO NOT ask for order numbers or order details - you already have them!\n`
+      : `- DO NOT ask for order numbers, products, or details - you already have them!\n`;
+    orderInfo += `- NEVER ask "Can you provide your order number?" - you can see their order!\n`;
+    if (!multipleOrders) {
+      orderInfo += `- NEVER ask "What product did you order?" - you can see: ${currentOrder.product}\n`;
+    } else if (openOrders.length > 1) {
+      orderInfo += `- This customer has ${openOrders.length} open orders. If their question could be about more than one, ask which one they mean ` +
+        `(name the products) instead of guessing - otherwise answer about the order they mention\n`;
+    } else if (openOrders.length === 1) {
+      orderInfo += `- Only one order is still open (${currentOrder.product}) - assume questions are about it unless they name a shipped one\n`;
+    } else {
+      orderInfo += `- All of this customer's orders have shipped - answer about the one they mention, or the most recent\n`;
+    }
+    orderInfo += `- Always include the specific product name when discussing their order\n`;
+    orderInfo += formatPlaybooks(multipleOrders ? sheetOrders : [currentOrder]);
+    orderInfo += `- Adjust your tone and response based on the customer's patience level indicated by the color\n`;
+    if (shopifyOrders.length > 0) {
+      orderInfo += `- Only mention the Shopify order numbers listed above - never any other order number\n`;
+      orderInfo += `- The color is the production status; Shopify fulfillment and tracking are the shipping status. Give tracking numbers when asked where an order is\n`;
+    }
+    if (trackingSection) {
+      orderInfo += `- When asked where their still is, answer from the TRACKING scan (status, where and when) in one short sentence, plus the estimated delivery if there is one\n`;
+    }
+
+    const statusSummary = multipleOrders
+      ? `${sheetOrders.length} sheet orders (${openOrders.length} open)`
+      : `${currentOrder.statusDescription} (${currentOrder.statusColor})`;
+    await this.logEvent('info', `Order status lookup successful for ${conversationId}: ${statusSummary}, ${shopifyOrders.length} Shopify order(s)`);
+    return { orderInfo, orderNumbers: shopifyOrders.map(order => order.orderNumber) };
+  }
+
+  /**
+   * Live availability for the product a stock (or product) question mentions.
+   * The previous customer message is included so "the 13 gallon" after "which size?" still resolves.
+   */
+  async buildInventoryInfo(context, userMessage, history) {
+    if (!this.inventoryLookup || !context.inventory) return '';
+
+    const previousUserMessage = [...history].reverse().find(msg => msg.role === 'user');
+    const lookupText = [previousUserMessage ? previousUserMessage.content : '', userMessage].join(' ');
+    try {
+      return await this.inventoryLookup.describe(lookupText, { askWhenAmbiguous: context.inventory === 'ask' });
+    } catch (err) {
+      console.error('❌ Inventory lookup failed:', err);
+      await this.logEvent('error', `Inventory lookup failed: ${err.message}`);
+      return '';
+    }
+  }
+
+  buildCustomerContext(customer) {
+    if (!customer || !customer._rawData) {
+      return `This person is NOT in your customer database. You are Jonathan responding personally. DO NOT access or reference any customer data, orders, or Google Sheets information. Respond naturally as Jonathan from The Distillery Network.`;
+    }
+
+    const customerName = getCustomerName(customer);
+    const customerEmail = sheetFields(customer).email || customer.email;
+    return `This is a known customer: ${customerName || 'Name not available'}\nEmail: ${customerEmail || 'Email not available'}
+
+🚫 CRITICAL: Do NOT make up specific order numbers, dates, expedited status, or tracking details unless you have explicit order information. If asked about order status, say "Let me check your order details" and offer to call back with specifics.`;
+  }
+
+  /**
+   * System prompt shared by all channels.
+   * extraInstructions: already-rendered sections (business hours, language) appended in order
+   */
+  async buildSystemPrompt({ channel, knowledgeChunks, customer, orderInfo, extraInstructions = [] }) {
+    const [persResult, systemResult] = await Promise.all([
+      this.pool.query('SELECT content FROM personality LIMIT 1'),
+      this.pool.query('SELECT content FROM system_instructions LIMIT 1')
+    ]);
+    const personalityText = persResult.rows.length ? persResult.rows[0].content : '';
+    const systemTemplate = systemResult.rows.length ? systemResult.rows[0].content : DEFAULT_SYSTEM_TEMPLATE;
+
+    let knowledgeContent = '';
+    if (knowledgeChunks.length > 0) {
+      knowledgeContent = 'Relevant Knowledge:\n';
+      knowledgeChunks.forEach(chunk => {
+        knowledgeContent += `- ${chunk}\n`;
+      });
+    }
+
+    const currentDateTime = this.getNow().toLocaleString('en-US', {
+      timeZone: 'America/New_York',
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+
+    let systemContent = `Current date and time: ${currentDateTime}\n\n` +
+      `🚫 CRITICAL: ONLY refer to information from THIS conversation's message history below. NEVER mention details, promises, or plans that are not explicitly stated in the message history for THIS conversation. Do not confabulate or assume previous interactions.\n\n` +
+      systemTemplate
+        .replace('{PERSONALITY}', personalityText)
+        .replace('{KNOWLEDGE}', knowledgeContent)
+        .replace('{CUSTOMER_CONTEXT}', this.buildCustomerContext(customer))
+        .replace('{ORDER_INFO}', orderInfo || '');
+
+    const adapter = this.getChannel(channel);
+    for (const section of [...extraInstructions, adapter.promptNotes]) {
+      if (section && section.trim()) {
+        systemContent += `\n\n${section.trim()}`;
+      }
+    }
+    return systemContent;
+  }
+
+  /**
+   * Messages before `beforeId` (the current turn), oldest first - 5 prior messages + the current turn = 6.
+   * With customer identities the history spans all of the person's conversations (SMS, email, web chat);
+   * linkedChannels lists the other channels that show up in it.
+   * Returns { messages, linkedChannels }
+   */
+  async getHistory(conversationId, beforeId) {
+    const conversationIds = this.customerIdentity
+      ? await this.customerIdentity.getLinkedIds(conversationId).catch(async (err) => {
+        await this.logEvent('error', `Linked conversation lookup failed for ${conversationId}: ${err.message}`);
+        return [conversationId];
+      })
+      : [conversationId];
+
+    const result = await this.pool.query(
+      `SELECT phone, sender, message, media_urls FROM messages
+       WHERE phone = ANY($1) AND id < $2
+       ORDER BY timestamp DESC
+       LIMIT 5`, [conversationIds, beforeId]
+    );
+    const rows = result.rows.reverse().filter(msg => msg.sender === 'user' || msg.sender === 'assistant');
+    const linkedChannels = [...new Set(rows
+      .filter(msg => msg.phone !== conversationId)
+      .map(msg => CHANNEL_NAMES[CustomerIdentity.identityKind(msg.phone)]))];
+    return {
+      // Earlier photos aren't re-sent; a photo-only text stands in as a note so no turn is empty
+      messages: rows
+        .map(msg => ({ role: msg.sender, content: msg.message || (msg.media_urls && msg.media_urls.length > 0 ? '[sent a photo]' : '') }))
+        .filter(msg => msg.content),
+      linkedChannels
+    };
+  }
+
+  /**
+   * Price check, greeting stripper and hallucination validator - every reply goes through these
+   */
+  async applyGuardrails(reply, { conversationId, userMessage, knowledgeChunks, orderInfo, orderNumbers = [], customer, hasHistory }) {
+    let text = reply.replace(/\[VOICE\]/g, '').trim();
+
+    const validPrice = await this.priceValidator.validate(text, userMessage, knowledgeChunks);
+    if (!validPrice) {
+      text = FALLBACK_REPLIES.price;
+      await this.logEvent('info', `PriceValidator flagged response for ${conversationId}. Replaced with price fallback.`);
+    }
+
+    if (hasHistory) {
+      text = stripGreeting(text);
+    }
+
+    return validateAndSanitizeResponse(text, orderInfo, customer, orderNumbers);
+  }
+
+  // Canned replies when Claude can't be reached
+  getErrorReply(apiErr, hasMedia) {
+    if (apiErr.status === 429 || apiErr.status === 503 || apiErr.status === 502) {
+      return FALLBACK_REPLIES.overloaded;
+    }
+    return hasMedia ? FALLBACK_REPLIES.image : FALLBACK_REPLIES.error;
+  }
+
+  /**
+   * Generate, guard, format and save the reply to one inbound turn.
+   * The caller has already stored the user message (beforeId = its id, or the first id of a burst)
+   * and decided the conversation should get an answer.
+   *
+   * instructions: extra prompt sections (business hours, language) from the caller
+   * imageBlocks: Claude image content blocks; hasMedia: the customer attached media at all
+   * Returns { text, parts, formatted, messageId, intent, handoff, error }
+   */
+  async respond({
+    channel,
+    conversationId,
+    userMessage,
+    customer = null,
+    beforeId,
+    instructions = [],
+    imageBlocks = [],
+    hasMedia = false
+  }) {
+    let intent = 'handoff';
+    const deliver = async (text, flags = {}) => {
+      const formatted = await this.formatReply(channel, text);
+      if (formatted.truncated) {
+        await this.logEvent('info', `Reply to ${conversationId} trimmed to ${formatted.parts.length} segment(s) (${formatted.encoding})`);
+      }
+      const messageId = await this.saveReply(conversationId, formatted.text, intent);
+      return { text: formatted.text, parts: formatted.parts, formatted, messageId, intent, handoff: false, error: false, ...flags };
+    };
+
+    // Explicit takeover phrases hand off before any AI runs; otherwise the classifier picks the context.
+    // A "handoff" label from the classifier alone is only a routing hint - it never pauses the conversation.
+    const explicitHandoff = detectHumanTakeover(userMessage);
+    if (!explicitHandoff) {
+      // A photo with no text is almost always "what is this part / is this damaged?"
+      const classification = !String(userMessage || '').trim() && hasMedia
+        ? { intent: 'product_question', source: 'media' }
+        : await this.classifyIntent(userMessage);
+      intent = classification.intent;
+      await this.logEvent('info', `Intent for ${conversationId}: ${intent} (${classification.source})`);
+    }
+    await this.recordIntent(conversationId, beforeId, intent);
+
+    const sentiment = await this.recordSentiment(conversationId, beforeId, userMessage);
+
+    // Customer asked for a person (or to stop the bot)
+    if (explicitHandoff) {
+      await this.handleHumanTakeover({ channel, conversationId, customer, userMessage });
+      return deliver(HANDOFF_MESSAGE, { handoff: true });
+    }
+
+    // Getting frustrated: hand off now (pauseOnAlert) or let staff know while the bot keeps answering
+    if (sentiment && sentiment.alert) {
+      if (sentiment.pauseOnAlert) {
+        intent = 'handoff';
+        await this.handleHumanTakeover({ channel, conversationId, customer, userMessage, sentiment });
+        return deliver(HANDOFF_MESSAGE, { handoff: true });
+      }
+      try {
+        await this.notifyHumanTakeover({ conversationId, channel, customerName: getCustomerName(customer), userMessage, sentiment });
+      } catch (err) {
+        await this.logEvent('error', `Failed to send frustration alert for ${conversationId}: ${err.message}`);
+      }
+    }
+
+    const context = INTENT_CONTEXT[intent] || INTENT_CONTEXT.product_question;
+    const { orderInfo, orderNumbers } = await this.buildOrderInfo(customer, conversationId, intent);
+
+    const knowledgeChunks = context.knowledge > 0
+      ? await this.knowledgeRetriever.retrieveRelevantChunks(userMessage, context.knowledge)
+      : [];
+    await this.logEvent('info', `Knowledge retrieved: found ${knowledgeChunks.length} relevant pieces.`);
+
+    const { messages, linkedChannels } = await this.getHistory(conversationId, beforeId);
+    const hasHistory = messages.length > 0;
+    const historyNote = linkedChannels.length > 0
+      ? `🔗 HISTORY: Some of the earlier messages below were exchanged with this same customer by ${linkedChannels.join(' and ')}. ` +
+        `Carry on from them naturally (e.g. "like you mentioned in your email") instead of starting over.`
+      : '';
+
+    const inventoryInfo = await this.buildInventoryInfo(context, userMessage, messages);
+    if (inventoryInfo) {
+      await this.logEvent('info', `Inventory context loaded for ${conversationId}`);
+    }
+
+    const system = await this.buildSystemPrompt({
+      channel,
+      knowledgeChunks,
+      customer,
+      orderInfo,
+      extraInstructions: [inventoryInfo || context.guidance, historyNote, ...instructions]
+    });
+
+    // Strip control characters only - accents and emojis stay intact
+    const sanitizedMessage = sanitizeMessageText(userMessage);
+    let userText = (sanitizedMessage === '' && hasMedia) ? 'I sent you a picture/image' : (sanitizedMessage || userMessage);
+    // Media we couldn't load (unsupported type or fetch failure): let Claude know so it can ask about it
+    if (hasMedia && imageBlocks.length === 0) {
+      userText += '\n\n[The customer attached a photo, but it could not be loaded.]';
+    }
+    if (imageBlocks.length > 0) {
+      await this.logEvent('info', `Passing ${imageBlocks.length} image(s) from ${conversationId} to Claude`);
+      messages.push({ role: 'user', content: [...imageBlocks, { type: 'text', text: userText }] });
+    } else {
+      messages.push({ role: 'user', content: userText });
+    }
+
+    let aiResponse;
+    try {
+      const completion = await this.anthropicClient.messages.create({
+        model: this.model,
+        max_tokens: this.getChannel(channel).maxTokens,
+        temperature: 0.7,
+        system,
+        messages
+      });
+      aiResponse = completion.content[0].text.trim();
+    } catch (apiErr) {
+      console.error('Claude API error:', apiErr);
+      const errorDetail = `Claude API error: ${apiErr.status || 'unknown'} - ${apiErr.error?.type || 'unknown'} - ${apiErr.error?.message || apiErr.message}`;
+      await this.logEvent('error', `Claude API request failed for ${conversationId}: ${errorDetail} - Message: "${String(userMessage).substring(0, 50)}"`);
+      return deliver(this.getErrorReply(apiErr, hasMedia), { error: true });
+    }
+
+    if (!aiResponse) {
+      await this.logEvent('error', `Claude API returned empty response for ${conversationId}.`);
+      return deliver(FALLBACK_REPLIES.empty, { error: true });
+    }
+
+    // Prices quoted from the live inventory section or the customer's own order count as known prices
+    aiResponse = await this.applyGuardrails(aiResponse, {
+      conversationId,
+      userMessage,
+      knowledgeChunks: [...knowledgeChunks, inventoryInfo, orderInfo].filter(Boolean),
+      orderInfo,
+      orderNumbers,
+      customer,
+      hasHistory
+    });
+    return deliver(aiResponse);
+  }
+}
+
+ConversationEngine.HUMAN_TAKEOVER_TRIGGERS = HUMAN_TAKEOVER_TRIGGERS;
+ConversationEngine.HANDOFF_MESSAGE = HANDOFF_MESSAGE;
+ConversationEngine.INTENT_CONTEXT = INTENT_CONTEXT;
+ConversationEngine.detectHumanTakeover = detectHumanTakeover;
+ConversationEngine.validateAndSanitizeResponse = validateAndSanitizeResponse;
+ConversationEngine.getCustomerName = getCustomerName;
+
+module.exports = ConversationEngine;
@@ -0,0 +1,242 @@
+/**
+ * Customer Identity:
+ * One customer record per person across SMS, email and web chat. Every conversation id
+ * (bare phone for SMS, email:<address>, web:<session id>) is an identity linked to a customers row.
+ * - Inbound SMS/email link their conversation plus the other contact on the customer's sheet row
+ *   (the email on a phone customer's row, the phone on an email customer's row)
+ * - When the sheet shows two records are the same person they are merged automatically -
+ *   unless staff placed one of the identities by hand
+ * - Web chat sessions are never linked automatically (visitors aren't verified) - staff merge them
+ * - Staff can merge two customers, or split an identity back out into its own customer
+ */
+
+function identityKind(conversationId) {
+  if (conversationId.startsWith('email:')) return 'email';
+  if (conversationId.startsWith('web:')) return 'web';
+  return 'phone';
+}
+
+class CustomerIdentity {
+  constructor(pool, { logEvent = async () => {} } = {}) {
+    this.pool = pool;
+    this.logEvent = logEvent;
+  }
+
+  // Run queries on one client inside a transaction (merges touch several rows)
+  async transaction(work) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getCustomerId(conversationId) {
+    const result = await this.pool.query(
+      'SELECT customer_id FROM customer_identities WHERE identity=$1',
+      [conversationId]
+    );
+    return result.rows[0]?.customer_id || null;
+  }
+
+  /**
+   * All conversation ids of the person behind a conversation (including itself)
+   */
+  async getLinkedIds(conversationId) {
+    const result = await this.pool.query(
+      `SELECT other.identity FROM customer_identities own
+       JOIN customer_identities other ON other.customer_id = own.customer_id
+       WHERE own.identity = $1`,
+      [conversationId]
+    );
+    const ids = result.rows.map(row => row.identity);
+    return ids.includes(conversationId) ? ids : [conversationId, ...ids];
+  }
+
+  /**
+   * Make sure a conversation belongs to a customer and attach the customer's other verified contacts.
+   * relatedIds: conversation ids from the sheet row (e.g. 'email:jo@example.com' for a phone customer)
+   * Returns the customer id.
+   */
+  async link(conversationId, { name = null, relatedIds = [] } = {}) {
+    const ids = [...new Set([conversationId, ...relatedIds.filter(Boolean)])];
+    const existing = await this.pool.query(
+      'SELECT identity, customer_id, source FROM customer_identities WHERE identity = ANY($1)',
+      [ids]
+    );
+    const linked = new Map(existing.rows.map(row => [row.identity, row]));
+
+    let customerId = (linked.get(conversationId) || existing.rows[0] || {}).customer_id;
+    if (!customerId) {
+      const created = await this.pool.query('INSERT INTO customers(name) VALUES($1) RETURNING id', [name]);
+      customerId = created.rows[0].id;
+    }
+
+    const merged = new Set();
+    for (const identity of ids) {
+      const current = linked.get(identity);
+      if (!current) {
+        await this.pool.query(
+          `INSERT INTO customer_identities(identity, customer_id, kind, source) VALUES($1, $2, $3, $4)
+           ON CONFLICT (identity) DO NOTHING`,
+          [identity, customerId, identityKind(identity), identity === conversationId ? 'inbound' : 'sheet']
+        );
+      } else if (current.customer_id !== customerId && !merged.has(current.customer_id)) {
+        // The sheet says these are one person - but never undo a link or split staff made by hand
+        const manual = existing.rows.some(row => row.source === 'manual');
+        if (manual) {
+          await this.logEvent('info', `Customer ${current.customer_id} (${identity}) looks like customer ${customerId} - not merged because staff linked one of them manually`);
+        } else {
+          await this.merge(customerId, current.customer_id, { source: 'sheet' });
+          merged.add(current.customer_id);
+        }
+      }
+    }
+
+    if (name) {
+      await this.pool.query(
+        `UPDATE customers SET name=$1, updated_at=CURRENT_TIMESTAMP
+         WHERE id=$2 AND (name IS NULL OR name IN ('Non-customer', 'Web visitor'))`,
+        [name, customerId]
+      );
+    }
+    return customerId;
+  }
+
+  /**
+   * Move every identity of sourceId onto targetId and delete sourceId.
+   * source: 'manual' (dashboard) pins the moved identities so sheet matching won't undo it
+   */
+  async merge(targetId, sourceId, { source = 'manual' } = {}) {
+    if (Number(targetId) === Number(sourceId)) {
+      throw new Error('Cannot merge a customer into itself');
+    }
+
+    await this.transaction(async (client) => {
+      const found = await client.query('SELECT id, name FROM customers WHERE id = ANY($1)', [[targetId, sourceId]]);
+      if (found.rows.length !== 2) {
+        throw new Error('Customer not found');
+      }
+      const sourceName = found.rows.find(row => Number(row.id) === Number(sourceId)).name;
+
+      await client.query(
+        `UPDATE customer_identities SET customer_id=$1, source=CASE WHEN $3 = 'manual' THEN 'manual' ELSE source END
+         WHERE customer_id=$2`,
+        [targetId, sourceId, source]
+      );
+      await client.query(
+        `UPDATE customers SET name=COALESCE(name, $2), updated_at=CURRENT_TIMESTAMP WHERE id=$1`,
+        [targetId, sourceName]
+      );
+      await client.query('DELETE FROM customers WHERE id=$1', [sourceId]);
+    });
+
+    await this.logEvent('info', `Merged customer ${sourceId} into ${targetId} (${source})`);
+    return targetId;
+  }
+
+  /**
+   * Move one identity out into a new customer of its own (a wrong link). Returns the new customer id.
+   */
+  async split(conversationId) {
+    const customerId = await this.getCustomerId(conversationId);
+    if (!customerId) {
+      throw new Error('Identity not found');
+    }
+    const others = await this.pool.query(
+      'SELECT COUNT(*)::int AS count FROM customer_identities WHERE customer_id=$1 AND identity <> $2',
+      [customerId, conversationId]
+    );
+    if (others.rows[0].count === 0) {
+      throw new Error('Identity is not linked to anything else');
+    }
+
+    const newCustomerId = await this.transaction(async (client) => {
+      const conversation = await client.query('SELECT name FROM conversations WHERE phone=$1', [conversationId]);
+      const created = await client.query(
+        'INSERT INTO customers(name) VALUES($1) RETURNING id',
+        [conversation.rows[0]?.name || null]
+      );
+      await client.query(
+        `UPDATE customer_identities SET customer_id=$1, source='manual' WHERE identity=$2`,
+        [created.rows[0].id, conversationId]
+      );
+      return created.rows[0].id;
+    });
+
+    await this.logEvent('info', `Split ${conversationId} from customer ${customerId} into customer ${newCustomerId}`);
+    return newCustomerId;
+  }
+
+  /**
+   * Customers for the dashboard, most recently active first, with their identities.
+   * search matches the name or any identity.
+   */
+  async list({ search = '', limit = 50 } = {}) {
+    const result = await this.pool.query(
+      `SELECT c.id, c.name, c.created_at,
+              json_agg(json_build_object('identity', ci.identity, 'kind', ci.kind, 'source', ci.source) ORDER BY ci.created_at) AS identities,
+              MAX(conv.last_active) AS last_active
+       FROM customers c
+       JOIN customer_identities ci ON ci.customer_id = c.id
+       LEFT JOIN conversations conv ON conv.phone = ci.identity
+       GROUP BY c.id
+       HAVING $1 = '' OR c.name ILIKE '%' || $1 || '%' OR bool_or(ci.identity ILIKE '%' || $1 || '%')
+       ORDER BY MAX(conv.last_active) DESC NULLS LAST
+       LIMIT $2`,
+      [search, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * One customer with every message from all their conversations, oldest first. Returns null if unknown.
+   */
+  async getTimeline(customerId, { limit = 200 } = {}) {
+    const customer = await this.pool.query('SELECT id, name, created_at FROM customers WHERE id=$1', [customerId]);
+    if (customer.rows.length === 0) return null;
+
+    const identities = await this.pool.query(
+      'SELECT identity, kind, source, created_at FROM customer_identities WHERE customer_id=$1 ORDER BY created_at',
+      [customerId]
+    );
+    const messages = await this.pool.query(
+      `SELECT * FROM (
+         SELECT m.id, m.phone AS identity, ci.kind AS channel, m.sender, m.message, m.timestamp, m.media_urls, m.translation, m.intent
+         FROM messages m
+         JOIN customer_identities ci ON ci.identity = m.phone
+         WHERE ci.customer_id = $1
+         ORDER BY m.timestamp DESC
+         LIMIT $2
+       ) recent ORDER BY timestamp ASC`,
+      [customerId, limit]
+    );
+    return { ...customer.rows[0], identities: identities.rows, messages: messages.rows };
+  }
+
+  /**
+   * Give every conversation that predates identities a customer of its own (run at startup)
+   */
+  async backfill() {
+    const result = await this.pool.query(
+      `SELECT conv.phone, conv.name FROM conversations conv
+       LEFT JOIN customer_identities ci ON ci.identity = conv.phone
+       WHERE ci.identity IS NULL`
+    );
+    for (const conversation of result.rows) {
+      await this.link(conversation.phone, { name: conversation.name });
+    }
+    return result.rows.length;
+  }
+}
+
+CustomerIdentity.identityKind = identityKind;
+
+module.exports = CustomerIdentity;
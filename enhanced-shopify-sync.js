@@ -1,10 +1,39 @@
 /**
  * Enhanced Shopify Sync
  * Syncs products with metafields, store policies, and website content
+ * Also refreshes the shopify_variants catalog used by the live inventory lookup - replaced in one
+ * transaction once every product has been fetched, so a failed sync keeps the previous catalog
  */
 
 const completeWebsiteSync = require('./complete-website-sync');
 
+// Replace shopify_variants with the fetched rows in one transaction; returns the number of variants written
+async function replaceVariantCatalog(pool, rows) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM shopify_variants');
+    let written = 0;
+    for (const row of rows) {
+      const result = await client.query(
+        `INSERT INTO shopify_variants(variant_id, product_id, product_title, product_handle, product_type, variant_title,
+           option1, option2, option3, sku, price, inventory_quantity, inventory_management, inventory_policy, lead_time)
+         VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         ON CONFLICT (variant_id) DO NOTHING`,
+        row
+      );
+      written += result.rowCount;
+    }
+    await client.query('COMMIT');
+    return written;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 async function enhancedShopifySync(pool, SHOPIFY_STORE_DOMAIN, SHOPIFY_ACCESS_TOKEN) {
   const fetch = (await import('node-fetch')).default;
   const syncResults = {
@@ -12,6 +41,7 @@ async function enhancedShopifySync(pool, SHOPIFY_STORE_DOMAIN, SHOPIFY_ACCESS_TO
     metafields: 0,
     policies: 0,
     pages: 0,
+    variants: 0,
     errors: []
   };
 
@@ -36,11 +66,13 @@ async function enhancedShopifySync(pool, SHOPIFY_STORE_DOMAIN, SHOPIFY_ACCESS_TO
     
     const productsData = await productsResponse.json();
     const products = productsData.products || [];
+    const variantRows = []; // shopify_variants rows, written together after the loop
     
     // Process each product
     for (let product of products) {
       const baseTitle = product.title;
       let baseContentText = "";
+      let leadTime = null; // lead_time metafield, quoted when a variant is out of stock
       
       // Build comprehensive product content
       if (product.body_html) {
@@ -78,6 +110,9 @@ async function enhancedShopifySync(pool, SHOPIFY_STORE_DOMAIN, SHOPIFY_ACCESS_TO
               // Special handling for important metafields
               if (metafield.key.includes('shipping') || metafield.key.includes('lead_time') || metafield.key.includes('delivery')) {
                 baseContentText += `\n${metafield.key}: ${metafield.value}`;
+                if (metafield.key.includes('lead_time')) {
+                  leadTime = String(metafield.value);
+                }
                 
                 // Also create a separate knowledge entry for shipping info
                 await pool.query('INSERT INTO knowledge(title, content, source) VALUES($1, $2, $3)', 
@@ -144,6 +179,12 @@ async function enhancedShopifySync(pool, SHOPIFY_STORE_DOMAIN, SHOPIFY_ACCESS_TO
           await pool.query('INSERT INTO knowledge(title, content, source) VALUES($1, $2, $3)', 
             [variantTitle, variantContent.trim(), 'shopify']);
           syncResults.products++;
+
+          // Structured catalog row for inventory lookups
+          variantRows.push([variant.id, product.id, baseTitle, product.handle || null, product.product_type || null, variant.title || null,
+            variant.option1 || null, variant.option2 || null, variant.option3 || null, variant.sku || null,
+            variant.price || null, variant.inventory_quantity, variant.inventory_management || null,
+            variant.inventory_policy || null, leadTime]);
         }
       } else {
         // No variants, insert base product
@@ -153,6 +194,9 @@ async function enhancedShopifySync(pool, SHOPIFY_STORE_DOMAIN, SHOPIFY_ACCESS_TO
       }
     }
     
+    // Swap in the new variant catalog atomically - until this commits, inventory lookups see the previous one
+    syncResults.variants = await replaceVariantCatalog(pool, variantRows);
+
     // 3. Sync Store Policies
     console.log('📋 Syncing store policies...');
     const policiesUrl = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/2023-10/policies.json`;
@@ -0,0 +1,142 @@
+/**
+ * Intent Classifier:
+ * Labels each inbound message with one intent so the conversation engine loads the right context
+ * (sheet order lookup, product knowledge, handoff...) instead of guessing from regexes.
+ * - One short, temperature-0 Claude call per new message (INTENT_MODEL, defaults to ANTHROPIC_MODEL)
+ * - Results cached in Redis by normalized text, in-memory fallback like the customer cache
+ * - Keyword heuristic when the model call fails, so routing never blocks a reply
+ */
+
+const crypto = require('crypto');
+
+const INTENTS = {
+  order_status: 'Asking about an existing order: status, shipping, tracking, delivery date, changes to it',
+  inventory: 'Asking whether a product, size or material is in stock or available to buy',
+  product_question: 'Questions about products, specs, prices, shipping costs, how to use or assemble a still',
+  returns: 'Wants to return, exchange, cancel or get a refund',
+  complaint: 'Unhappy about a product, delay or service (but not asking to stop the bot)',
+  small_talk: 'Greetings, thanks, acknowledgements, jokes - nothing to look up',
+  handoff: 'Wants a real person instead of the bot, or wants the automated replies to stop'
+};
+
+const INTENT_NAMES = Object.keys(INTENTS);
+const CACHE_TTL_SECONDS = 7 * 24 * 3600;
+const MAX_MEMORY_ENTRIES = 1000;
+
+// Old routing regexes - only used when the model can't be reached
+const FALLBACK_PATTERNS = [
+  { intent: 'returns', pattern: /\b(return|refund|exchange|cancel)/i },
+  { intent: 'order_status', pattern: /order|ordered|purchase|purchased|bought|status|tracking|shipped|delivery|when will|eta|where.*my|my.*order/i },
+  { intent: 'inventory', pattern: /stock|available|availability|in stock/i },
+  { intent: 'small_talk', pattern: /^\W*(hi|hey|hello|thanks|thank you|ok|okay|cool|great|sounds good)\W*$/i }
+];
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function heuristicIntent(text) {
+  const match = FALLBACK_PATTERNS.find(entry => entry.pattern.test(text));
+  return match ? match.intent : 'product_question';
+}
+
+// First known intent label in the model output ("order_status", "Intent: returns" ...)
+function parseIntent(output) {
+  const words = String(output || '').toLowerCase().match(/[a-z_]+/g) || [];
+  return words.find(word => INTENT_NAMES.includes(word)) || null;
+}
+
+class IntentClassifier {
+  /**
+   * getRedisClient: () => client or null (the server drops to null when Redis errors)
+   */
+  constructor({ anthropicClient, model, getRedisClient = () => null, logEvent = async () => {} }) {
+    this.anthropicClient = anthropicClient;
+    this.model = model;
+    this.getRedisClient = getRedisClient;
+    this.logEvent = logEvent;
+    this.memoryCache = new Map(); // hash -> { intent, expiresAt }
+  }
+
+  cacheKey(text) {
+    return `intent:${crypto.createHash('sha256').update(normalizeText(text)).digest('hex')}`;
+  }
+
+  async getCached(key) {
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        const intent = await redisClient.get(key);
+        if (intent) return intent;
+      } catch (err) {
+        console.error('Redis intent cache get error:', err);
+      }
+    }
+
+    const entry = this.memoryCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.intent;
+    if (entry) this.memoryCache.delete(key);
+    return null;
+  }
+
+  async setCached(key, intent) {
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        await redisClient.setEx(key, CACHE_TTL_SECONDS, intent);
+      } catch (err) {
+        console.error('Redis intent cache set error:', err);
+      }
+    }
+
+    // Always set in fallback cache, dropping the oldest entries when it gets too large
+    this.memoryCache.set(key, { intent, expiresAt: Date.now() + CACHE_TTL_SECONDS * 1000 });
+    if (this.memoryCache.size > MAX_MEMORY_ENTRIES) {
+      const oldestKeys = Array.from(this.memoryCache.keys()).slice(0, 100);
+      oldestKeys.forEach(oldKey => this.memoryCache.delete(oldKey));
+    }
+  }
+
+  /**
+   * Classify one message.
+   * Returns { intent, source: 'cache' | 'model' | 'fallback' }
+   */
+  async classify(text) {
+    const normalized = normalizeText(text);
+    if (!normalized) return { intent: 'small_talk', source: 'fallback' };
+
+    const key = this.cacheKey(normalized);
+    const cached = await this.getCached(key);
+    if (cached) return { intent: cached, source: 'cache' };
+
+    try {
+      const completion = await this.anthropicClient.messages.create({
+        model: this.model,
+        max_tokens: 10,
+        temperature: 0,
+        system: 'Classify the customer text message sent to a moonshine still shop into exactly one intent. ' +
+          'Reply with the intent name only.\n\n' +
+          INTENT_NAMES.map(name => `${name}: ${INTENTS[name]}`).join('\n'),
+        messages: [{ role: 'user', content: String(text).substring(0, 1000) }]
+      });
+
+      const intent = parseIntent(completion.content[0].text);
+      if (intent) {
+        await this.setCached(key, intent);
+        return { intent, source: 'model' };
+      }
+      console.warn(`⚠️ Intent classifier returned an unknown label: "${completion.content[0].text}"`);
+    } catch (err) {
+      console.error('❌ Intent classification failed:', err.message);
+      await this.logEvent('error', `Intent classification failed, using keyword fallback: ${err.message}`);
+    }
+
+    return { intent: heuristicIntent(normalized), source: 'fallback' };
+  }
+}
+
+IntentClassifier.INTENTS = INTENTS;
+IntentClassifier.INTENT_NAMES = INTENT_NAMES;
+IntentClassifier.heuristicIntent = heuristicIntent;
+
+module.exports = IntentClassifier;
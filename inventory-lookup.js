@@ -0,0 +1,281 @@
+/**
+ * Inventory Lookup:
+ * Answers "is the 8 gallon still available in copper?" with real stock levels.
+ * - Resolves the product/variant mentioned in a message against the synced catalog (shopify_variants)
+ * - Reads current inventory from the Shopify Admin API, cached briefly in Redis (in-memory fallback)
+ * - Falls back to the quantities from the last sync when Shopify can't be reached
+ * - Several equally good matches = ambiguous, so the bot asks which size/option the customer means
+ */
+const fetch = require('node-fetch');
+
+const SHOPIFY_API_VERSION = '2023-10';
+const FETCH_TIMEOUT_MS = 5000;
+const DEFAULT_CACHE_SECONDS = 120;
+const CATALOG_CACHE_MS = 5 * 60 * 1000;
+const MAX_CANDIDATES = 6;
+const LOW_STOCK_THRESHOLD = 5;
+
+// Words that never identify a product
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'do', 'does', 'you', 'your', 'we', 'i', 'me', 'my', 'it', 'its', 'this', 'that',
+  'have', 'has', 'got', 'any', 'some', 'in', 'on', 'of', 'for', 'to', 'and', 'or', 'with', 'can', 'could', 'would',
+  'available', 'availability', 'stock', 'stocked', 'left', 'still', 'yet', 'now', 'right', 'there', 'one', 'ones',
+  'how', 'many', 'much', 'when', 'what', 'which', 'back', 'buy', 'order', 'get', 'please', 'thanks', 'hi', 'hey'
+]);
+
+// "8gal", "8 gallons", "8-gallon" -> "8 gallon"
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/(\d+(?:\.\d+)?)\s*-?\s*(gal|gals|gallon|gallons)\b/g, '$1 gallon')
+    .replace(/(\d+(?:\.\d+)?)\s*-?\s*(l|liter|liters|litre|litres)\b/g, '$1 liter');
+}
+
+function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^a-z0-9.]+/)
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .filter(word => word && !STOPWORDS.has(word));
+}
+
+function variantLabel(variant) {
+  const options = [variant.option1, variant.option2, variant.option3]
+    .filter(option => option && option !== 'Default Title');
+  return options.length > 0 ? `${variant.product_title} - ${options.join(' / ')}` : variant.product_title;
+}
+
+// In stock / backorder / out of stock from Shopify's inventory fields
+function describeAvailability(variant) {
+  if (!variant.inventory_management) {
+    return { status: 'available', text: 'Available (stock not tracked)' };
+  }
+  const quantity = Number(variant.inventory_quantity) || 0;
+  if (quantity > 0) {
+    return {
+      status: 'in_stock',
+      text: quantity <= LOW_STOCK_THRESHOLD ? `In stock - only ${quantity} left` : 'In stock'
+    };
+  }
+  if (variant.inventory_policy === 'continue') {
+    return { status: 'backorder', text: 'Out of stock - can still be ordered (backorder)' };
+  }
+  return { status: 'out_of_stock', text: 'Out of stock' };
+}
+
+class InventoryLookup {
+  /**
+   * getRedisClient: () => client or null (the server drops to null when Redis errors)
+   */
+  constructor(pool, {
+    storeDomain = null,
+    accessToken = null,
+    getRedisClient = () => null,
+    logEvent = async () => {},
+    cacheSeconds = DEFAULT_CACHE_SECONDS
+  } = {}) {
+    this.pool = pool;
+    this.storeDomain = storeDomain;
+    this.accessToken = accessToken;
+    this.getRedisClient = getRedisClient;
+    this.logEvent = logEvent;
+    this.cacheSeconds = cacheSeconds;
+    this.catalog = null;
+    this.catalogLoadedAt = 0;
+    this.memoryCache = new Map(); // productId -> { variants, expiresAt }
+  }
+
+  // Synced variants with their search tokens (reloaded every few minutes, so a new sync shows up quickly)
+  async loadCatalog() {
+    if (this.catalog && Date.now() - this.catalogLoadedAt < CATALOG_CACHE_MS) {
+      return this.catalog;
+    }
+
+    const result = await this.pool.query('SELECT * FROM shopify_variants ORDER BY product_title, variant_id');
+    const variants = result.rows.map(row => ({
+      ...row,
+      tokens: new Set(tokenize([row.product_title, row.product_type, row.option1, row.option2, row.option3, row.sku].join(' ')))
+    }));
+
+    // Rarer words identify a product better ("copper" vs "still") - weight each by 1 / number of products using it
+    const productsPerToken = new Map();
+    for (const variant of variants) {
+      for (const token of variant.tokens) {
+        if (!productsPerToken.has(token)) productsPerToken.set(token, new Set());
+        productsPerToken.get(token).add(String(variant.product_id));
+      }
+    }
+
+    this.catalog = { variants, productsPerToken };
+    this.catalogLoadedAt = Date.now();
+    return this.catalog;
+  }
+
+  clearCatalogCache() {
+    this.catalog = null;
+  }
+
+  /**
+   * Match a message to catalog variants.
+   * Returns { status: 'none' | 'resolved' | 'ambiguous', variants }
+   */
+  async resolve(text) {
+    const { variants, productsPerToken } = await this.loadCatalog();
+    const messageTokens = [...new Set(tokenize(text))];
+    if (variants.length === 0 || messageTokens.length === 0) {
+      return { status: 'none', variants: [] };
+    }
+
+    let bestScore = 0;
+    let best = [];
+    for (const variant of variants) {
+      let score = 0;
+      for (const token of messageTokens) {
+        if (variant.tokens.has(token)) {
+          score += 1 / productsPerToken.get(token).size;
+        }
+      }
+      if (score > bestScore + 1e-9) {
+        bestScore = score;
+        best = [variant];
+      } else if (score > 0 && Math.abs(score - bestScore) < 1e-9) {
+        best.push(variant);
+      }
+    }
+
+    if (best.length === 0) return { status: 'none', variants: [] };
+    if (best.length === 1) return { status: 'resolved', variants: best };
+    return { status: 'ambiguous', variants: best.slice(0, MAX_CANDIDATES) };
+  }
+
+  // Current variant inventory for one product: Redis/memory cache first, then the Shopify Admin API
+  async getLiveVariants(productId) {
+    const cacheKey = `inventory:product:${productId}`;
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        const cached = await redisClient.get(cacheKey);
+        if (cached) return JSON.parse(cached);
+      } catch (err) {
+        console.error('Redis inventory cache get error:', err);
+      }
+    }
+    const memoryEntry = this.memoryCache.get(cacheKey);
+    if (memoryEntry && memoryEntry.expiresAt > Date.now()) {
+      return memoryEntry.variants;
+    }
+
+    const url = `https://${this.storeDomain}/admin/api/${SHOPIFY_API_VERSION}/products/${productId}/variants.json`;
+    const response = await fetch(url, {
+      headers: {
+        'X-Shopify-Access-Token': this.accessToken,
+        'Content-Type': 'application/json'
+      },
+      timeout: FETCH_TIMEOUT_MS
+    });
+    if (!response.ok) {
+      throw new Error(`Shopify Variants API returned status ${response.status}`);
+    }
+    const data = await response.json();
+    const variants = (data.variants || []).map(variant => ({
+      id: variant.id,
+      inventory_quantity: variant.inventory_quantity,
+      inventory_management: variant.inventory_management,
+      inventory_policy: variant.inventory_policy
+    }));
+
+    if (redisClient) {
+      try {
+        await redisClient.setEx(cacheKey, this.cacheSeconds, JSON.stringify(variants));
+      } catch (err) {
+        console.error('Redis inventory cache set error:', err);
+      }
+    }
+    this.memoryCache.set(cacheKey, { variants, expiresAt: Date.now() + this.cacheSeconds * 1000 });
+    return variants;
+  }
+
+  /**
+   * Resolve the message and attach current availability to each matched variant.
+   * Returns { status, source: 'live' | 'sync', variants: [{ label, availability, price, leadTime, ... }] }
+   */
+  async lookup(text) {
+    const match = await this.resolve(text);
+    if (match.status === 'none') return { ...match, source: null };
+
+    let source = 'sync';
+    const liveByVariant = new Map();
+    if (this.storeDomain && this.accessToken) {
+      try {
+        const productIds = [...new Set(match.variants.map(variant => String(variant.product_id)))];
+        for (const productId of productIds) {
+          for (const live of await this.getLiveVariants(productId)) {
+            liveByVariant.set(String(live.id), live);
+          }
+        }
+        source = 'live';
+      } catch (err) {
+        console.error('❌ Live inventory lookup failed:', err.message);
+        await this.logEvent('error', `Live inventory lookup failed, using last sync: ${err.message}`);
+      }
+    }
+
+    const variants = match.variants.map(variant => {
+      const current = { ...variant, ...(liveByVariant.get(String(variant.variant_id)) || {}) };
+      return {
+        variantId: variant.variant_id,
+        productId: variant.product_id,
+        productTitle: variant.product_title,
+        label: variantLabel(variant),
+        options: [variant.option1, variant.option2, variant.option3].filter(option => option && option !== 'Default Title'),
+        price: variant.price,
+        quantity: current.inventory_quantity,
+        availability: describeAvailability(current),
+        leadTime: variant.lead_time,
+        syncedAt: variant.synced_at
+      };
+    });
+    return { status: match.status, source, variants };
+  }
+
+  /**
+   * Prompt section for the conversation engine, or '' when the message doesn't name a product.
+   * askWhenAmbiguous: false for general product questions - only stock questions get the "which size?" prompt
+   */
+  async describe(text, { askWhenAmbiguous = true } = {}) {
+    const result = await this.lookup(text);
+    if (result.status === 'none' || (result.status === 'ambiguous' && !askWhenAmbiguous)) {
+      return '';
+    }
+
+    const checked = result.source === 'live'
+      ? 'checked just now in Shopify'
+      : 'from the last catalog sync - may be out of date';
+
+    if (result.status === 'ambiguous') {
+      const sameProduct = new Set(result.variants.map(variant => String(variant.productId))).size === 1;
+      const choices = result.variants.map(variant => `- ${variant.label}`).join('\n');
+      return `📦 INVENTORY: The customer's message matches more than one ${sameProduct ? 'size/option' : 'product'}:\n${choices}\n` +
+        `Don't guess - ask which ${sameProduct ? 'size or option' : 'one'} they mean (list the choices briefly), then you can check stock for it.`;
+    }
+
+    const variant = result.variants[0];
+    let section = `📦 LIVE INVENTORY (${checked}):\n- ${variant.label}: ${variant.availability.text}`;
+    if (variant.price) section += `\n- Price: $${variant.price}`;
+    if (variant.availability.status === 'out_of_stock' || variant.availability.status === 'backorder') {
+      section += variant.leadTime
+        ? `\n- Typical lead time: ${variant.leadTime}`
+        : `\n- No lead time on file - offer to check with the team at (603) 997-6786`;
+    } else if (variant.leadTime) {
+      section += `\n- Typical lead time: ${variant.leadTime}`;
+    }
+    section += `\nAnswer the stock question from this - it overrides any stock numbers in the knowledge above. ` +
+      `Don't quote exact quantities unless only a few are left.`;
+    return section;
+  }
+}
+
+InventoryLookup.tokenize = tokenize;
+InventoryLookup.describeAvailability = describeAvailability;
+
+module.exports = InventoryLookup;
@@ -0,0 +1,152 @@
+/**
+ * Language Support:
+ * Detects the language a customer texts in, keeps their message text intact for Claude
+ * (accents, ñ, ¿¡, emojis) and produces English translations for the dashboard.
+ * Detection is a lightweight stopword/character heuristic so it adds no latency to /reply;
+ * a conversation only switches language when the signal is strong.
+ */
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  pt: 'Portuguese',
+  de: 'German',
+  it: 'Italian'
+};
+
+// Common function words per language - short texts rarely contain anything else
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'my', 'you', 'your', 'what', 'when', 'where', 'how', 'it', 'to', 'of', 'for',
+    'did', 'does', 'can', 'will', 'this', 'that', 'have', 'has', 'thanks', 'thank', 'hi', 'hello', 'order', 'yes', 'no',
+    'i', "i'm", 'a', 'an', 'in', 'on', 'at', 'am', 'are', 'was', 'be', 'me', 'we', 'us', 'our', 'do', 'not', 'with',
+    'from', 'just', 'please', 'but', 'so', 'get', 'got'],
+  es: ['el', 'la', 'los', 'las', 'que', 'de', 'y', 'en', 'un', 'una', 'es', 'mi', 'por', 'para', 'con',
+    'cuando', 'donde', 'como', 'pedido', 'gracias', 'hola', 'sí', 'está', 'estoy', 'tengo', 'usted', 'buenos', 'días'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'un', 'une', 'je', 'mon', 'ma', 'mes', 'vous', 'pour', 'avec', 'quand',
+    'où', 'comment', 'commande', 'merci', 'bonjour', 'oui', 'non', 'pas', 'du', 'des', 'ai', 'suis', "c'est"],
+  pt: ['o', 'os', 'as', 'que', 'de', 'e', 'em', 'um', 'uma', 'meu', 'minha', 'para', 'com', 'quando',
+    'onde', 'como', 'pedido', 'obrigado', 'obrigada', 'olá', 'oi', 'sim', 'não', 'você', 'está', 'estou', 'tenho'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'ich', 'mein', 'meine', 'sie', 'für', 'mit', 'wann',
+    'wo', 'wie', 'bestellung', 'danke', 'hallo', 'ja', 'nein', 'nicht', 'habe', 'bitte', 'guten'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'che', 'di', 'e', 'in', 'un', 'una', 'mio', 'mia', 'per', 'con',
+    'quando', 'dove', 'come', 'ordine', 'grazie', 'ciao', 'buongiorno', 'sì', 'non', 'sono', 'ho']
+};
+
+// Greetings/thanks that identify a language on their own ("Hola", "Merci!")
+const STRONG_WORDS = {
+  es: ['hola', 'gracias', 'pedido', 'cuándo', 'dónde', 'qué'],
+  fr: ['bonjour', 'merci', 'commande', 'bonsoir', 'salut'],
+  pt: ['olá', 'obrigado', 'obrigada', 'pedido', 'você'],
+  de: ['hallo', 'danke', 'bestellung', 'bitte'],
+  it: ['ciao', 'grazie', 'buongiorno', 'ordine']
+};
+
+// Characters that only (or mostly) appear in one language
+const CHARACTER_HINTS = [
+  { pattern: /[ñ¿¡]/i, language: 'es' },
+  { pattern: /[œçêèëîïûù]/i, language: 'fr' },
+  { pattern: /[ãõ]/i, language: 'pt' },
+  { pattern: /[ßäöü]/i, language: 'de' }
+];
+
+const MIN_SCORE = 2;
+// The winner must beat the runner-up by this much - shared words ("in", "la") shouldn't switch a conversation
+const MIN_MARGIN = 2;
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)])
+);
+
+/**
+ * Guess the language of a message.
+ * Returns { language, confident } - language is null when there's nothing to go on
+ * (e.g. "ok", "?", a lone emoji), in which case the conversation keeps its current language.
+ */
+function detectLanguage(text) {
+  const normalized = String(text || '').normalize('NFC').toLowerCase();
+  const words = normalized.match(/[\p{L}']+/gu) || [];
+  if (words.length === 0) {
+    return { language: null, confident: false };
+  }
+
+  const scores = Object.fromEntries(Object.keys(LANGUAGE_NAMES).map(code => [code, 0]));
+  for (const word of words) {
+    for (const [code, set] of Object.entries(STOPWORD_SETS)) {
+      if (set.has(word)) scores[code] += 1;
+    }
+    for (const [code, strong] of Object.entries(STRONG_WORDS)) {
+      if (strong.includes(word)) scores[code] += 2;
+    }
+  }
+  for (const hint of CHARACTER_HINTS) {
+    if (hint.pattern.test(normalized)) scores[hint.language] += 2;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  const runnerUpScore = ranked[1][1];
+
+  if (bestScore === 0) {
+    return { language: null, confident: false };
+  }
+  return {
+    language: best,
+    confident: bestScore >= MIN_SCORE && bestScore - runnerUpScore >= MIN_MARGIN
+  };
+}
+
+/**
+ * Clean inbound text for the Claude API without destroying non-English characters:
+ * only control characters and lone surrogate halves (broken emoji from the relay) are removed.
+ */
+function sanitizeMessageText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+    .replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+    .trim();
+}
+
+function getLanguageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+// System prompt instruction telling Claude which language to answer in
+function getLanguageInstruction(code) {
+  if (!code || code === 'en') return '';
+  const name = getLanguageName(code);
+  return `🌐 LANGUAGE: This customer writes in ${name}. Reply ONLY in ${name}, keeping the same tone and ` +
+    `length you would use in English. Keep product names, order numbers and phone numbers exactly as written.`;
+}
+
+/**
+ * Translate a message to English for staff. Returns null if the call fails.
+ */
+async function translateToEnglish(anthropicClient, model, text) {
+  if (!text || !text.trim()) return null;
+
+  try {
+    const completion = await anthropicClient.messages.create({
+      model,
+      max_tokens: 400,
+      temperature: 0,
+      system: 'Translate the user\'s text message into natural English. Output only the translation, nothing else. ' +
+        'If it is already English, repeat it unchanged.',
+      messages: [{ role: 'user', content: text }]
+    });
+    return completion.content[0].text.trim();
+  } catch (err) {
+    console.error('❌ Translation failed:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  detectLanguage,
+  sanitizeMessageText,
+  getLanguageName,
+  getLanguageInstruction,
+  translateToEnglish
+};
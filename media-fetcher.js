@@ -0,0 +1,171 @@
+/**
+ * Media Fetcher:
+ * Downloads MMS photos customers send (damaged stills, leaking joints, shipping labels)
+ * so they can be passed to Claude as image content blocks and shown in the dashboard.
+ * Twilio media URLs need HTTP basic auth when the account enforces it.
+ * Media URLs arrive in unauthenticated webhooks, so only known media hosts are fetched
+ * (Twilio and the relay's hosts), every redirect hop is checked again, and hosts that resolve
+ * to loopback, private or link-local addresses are refused.
+ */
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Claude's per-image size limit
+const FETCH_TIMEOUT_MS = 8000;
+const MAX_REDIRECTS = 3;
+
+// api.twilio.com answers media requests with a redirect to its CDN
+const DEFAULT_MEDIA_HOSTS = ['api.twilio.com', '*.twiliocdn.com'];
+
+// Loopback, private, link-local, CGNAT, multicast and unspecified addresses (IPv4 and IPv6)
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  const lower = address.toLowerCase();
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+}
+
+// dns.lookup that refuses private addresses - checked at connect time, so a host can't change its answer after the check
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) return callback(new Error(`Media host ${hostname} resolves to private address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+class MediaFetcher {
+  /**
+   * allowedHosts: extra media hosts (the relay's), "*.example.com" allows subdomains
+   */
+  constructor(options = {}) {
+    this.twilioAccountSid = options.twilioAccountSid || null;
+    this.twilioAuthToken = options.twilioAuthToken || null;
+    this.allowedHosts = [...DEFAULT_MEDIA_HOSTS, ...(options.allowedHosts || [])]
+      .map(host => String(host).trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Known media host, http(s) and not an IP literal in a private range. Returns an error message or null.
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return 'invalid media URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return `unsupported protocol ${parsed.protocol}`;
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) return `private address ${hostname}`;
+    const allowed = this.allowedHosts.some(host => (host.startsWith('*.')
+      ? hostname.endsWith(host.slice(1))
+      : hostname === host));
+    return allowed ? null : `host ${hostname} is not a known media host`;
+  }
+
+  // Basic auth header for Twilio-hosted media, nothing for other hosts
+  getHeaders(url) {
+    const isTwilio = /(^|\.)twilio\.com$/i.test(new URL(url).hostname);
+    if (isTwilio && this.twilioAccountSid && this.twilioAuthToken) {
+      const credentials = Buffer.from(`${this.twilioAccountSid}:${this.twilioAuthToken}`).toString('base64');
+      return { Authorization: `Basic ${credentials}` };
+    }
+    return {};
+  }
+
+  /**
+   * Download a media URL. Returns { contentType, buffer } or throws
+   * (err.blocked is set when the URL or a redirect target isn't allowed).
+   */
+  async download(url) {
+    let response;
+    for (let hop = 0; ; hop++) {
+      const problem = this.checkUrl(url);
+      if (problem) {
+        const err = new Error(`Media fetch refused: ${problem}`);
+        err.blocked = true;
+        throw err;
+      }
+
+      response = await fetch(url, {
+        headers: this.getHeaders(url),
+        agent: (parsed) => (parsed.protocol === 'http:' ? httpAgent : httpsAgent),
+        redirect: 'manual',
+        timeout: FETCH_TIMEOUT_MS,
+        size: MAX_IMAGE_BYTES
+      });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      if (hop >= MAX_REDIRECTS) {
+        throw new Error('Media fetch followed too many redirects');
+      }
+      url = new URL(location, url).toString();
+    }
+    if (!response.ok) {
+      throw new Error(`Media fetch returned status ${response.status}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const buffer = await response.buffer();
+    return { contentType, buffer };
+  }
+
+  /**
+   * Download an image and convert it to a Claude image content block.
+   * Returns null for unsupported media types (videos, vCards, etc.)
+   */
+  async toClaudeImageBlock(url) {
+    const { contentType, buffer } = await this.download(url);
+    if (!SUPPORTED_IMAGE_TYPES.includes(contentType)) {
+      console.warn(`⚠️ Skipping unsupported media type ${contentType || 'unknown'} for ${url}`);
+      return null;
+    }
+
+    return {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: contentType,
+        data: buffer.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * Convert a list of media URLs to image blocks, skipping any that fail.
+   */
+  async toClaudeImageBlocks(urls = [], maxImages = 3) {
+    const blocks = [];
+    for (const url of urls.slice(0, maxImages)) {
+      try {
+        const block = await this.toClaudeImageBlock(url);
+        if (block) blocks.push(block);
+      } catch (err) {
+        console.error(`❌ Failed to fetch media ${url}:`, err.message);
+      }
+    }
+    return blocks;
+  }
+}
+
+MediaFetcher.SUPPORTED_IMAGE_TYPES = SUPPORTED_IMAGE_TYPES;
+MediaFetcher.isPrivateAddress = isPrivateAddress;
+
+module.exports = MediaFetcher;
@@ -0,0 +1,108 @@
+/**
+ * Opt-Out Registry:
+ * TCPA/CTIA carrier keyword handling for SMS. Exact keywords are matched before any AI runs:
+ * - STOP, STOPALL, UNSUBSCRIBE, CANCEL, END, QUIT -> opt out + one final confirmation
+ * - START, UNSTOP -> opt back in
+ * - HELP, INFO -> help message with contact info and opt-out instructions
+ * Opted-out numbers (sms_opt_outs table) get no AI replies and no outbound messages
+ * until they text START again or an admin records new consent.
+ */
+
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+const CONFIRMATION_MESSAGES = {
+  opt_out: 'The Distillery Network: You are unsubscribed and will receive no further messages. Reply START to resubscribe.',
+  opt_in: 'The Distillery Network: You are resubscribed to order updates. Msg & data rates may apply. Reply HELP for help, STOP to opt out.',
+  help: 'The Distillery Network: For help call (603) 997-6786 or visit moonshinestills.com. Msg & data rates may apply. Reply STOP to opt out.'
+};
+
+// Registry key: last 10 digits, so "+1 (603) 555-1234" and "6035551234" match
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : digits;
+}
+
+/**
+ * Match a message against the carrier keywords. The whole message must be the keyword
+ * (case-insensitive, surrounding whitespace/punctuation ignored) - "stop by tomorrow" is not an opt-out.
+ * Returns { action: 'opt_out' | 'opt_in' | 'help', keyword } or null.
+ */
+function matchKeyword(text) {
+  const keyword = String(text || '').trim().replace(/^[\s"'.!?]+|[\s"'.!?]+$/g, '').toUpperCase();
+  if (OPT_OUT_KEYWORDS.includes(keyword)) return { action: 'opt_out', keyword };
+  if (OPT_IN_KEYWORDS.includes(keyword)) return { action: 'opt_in', keyword };
+  if (HELP_KEYWORDS.includes(keyword)) return { action: 'help', keyword };
+  return null;
+}
+
+class OptOutRegistry {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async isOptedOut(phone) {
+    const result = await this.pool.query(
+      'SELECT opted_out FROM sms_opt_outs WHERE phone=$1',
+      [normalizePhone(phone)]
+    );
+    return result.rows[0]?.opted_out === true;
+  }
+
+  /**
+   * Record an opt-out and cancel anything still waiting in the outbound queue.
+   * source: 'keyword' (customer texted it) | 'admin' (entered in the dashboard)
+   */
+  async optOut(phone, { keyword = null, source = 'keyword', note = null } = {}) {
+    const key = normalizePhone(phone);
+    const result = await this.pool.query(
+      `INSERT INTO sms_opt_outs(phone, opted_out, keyword, source, note, opted_out_at, updated_at)
+       VALUES($1, true, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (phone) DO UPDATE SET opted_out = true, keyword = EXCLUDED.keyword, source = EXCLUDED.source,
+         note = EXCLUDED.note, opted_out_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [key, keyword, source, note]
+    );
+
+    await this.pool.query(
+      `UPDATE outbound_messages SET status = 'cancelled', locked_until = NULL, last_error = 'Recipient opted out'
+       WHERE status IN ('pending', 'sending') AND source <> 'system'
+         AND right(regexp_replace(phone, '\\D', '', 'g'), 10) = $1`,
+      [key]
+    );
+    return result.rows[0];
+  }
+
+  async optIn(phone, { keyword = null, source = 'keyword', note = null } = {}) {
+    const result = await this.pool.query(
+      `INSERT INTO sms_opt_outs(phone, opted_out, keyword, source, note, opted_in_at, updated_at)
+       VALUES($1, false, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (phone) DO UPDATE SET opted_out = false, keyword = EXCLUDED.keyword, source = EXCLUDED.source,
+         note = EXCLUDED.note, opted_in_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [normalizePhone(phone), keyword, source, note]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Registry entries for the dashboard (opted-out numbers first)
+   */
+  async list({ optedOutOnly = false } = {}) {
+    const result = await this.pool.query(
+      `SELECT phone, opted_out, keyword, source, note, opted_out_at, opted_in_at, updated_at
+       FROM sms_opt_outs
+       WHERE ($1::boolean = false OR opted_out = true)
+       ORDER BY opted_out DESC, updated_at DESC`,
+      [optedOutOnly]
+    );
+    return result.rows;
+  }
+}
+
+OptOutRegistry.CONFIRMATION_MESSAGES = CONFIRMATION_MESSAGES;
+OptOutRegistry.matchKeyword = matchKeyword;
+OptOutRegistry.normalizePhone = normalizePhone;
+
+module.exports = OptOutRegistry;
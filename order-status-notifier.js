@@ -0,0 +1,306 @@
+/**
+ * Order Status Notifier:
+ * Proactive messages when staff move an order along in the sheet (white -> yellow -> green).
+ * - The sheet index sync compares each order's row color with the previous sync and reports transitions
+ * - A transition into a color that has a template (in production, shipped) becomes a notification
+ * - SMS goes through the outbox; customers with no phone on the sheet, or who texted STOP, get an email instead
+ * - Nothing goes out during quiet hours - pending notifications are delivered on the first run after they end
+ * - Each order is notified at most once per status, and every notification sent is added to the
+ *   customer's conversation history
+ * Settings live in system_settings.order_notifications (merged over DEFAULT_NOTIFICATION_SETTINGS)
+ */
+const { parseTime, getLocalParts } = require('./business-hours');
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false, // Off until staff have checked the templates
+  // Status color -> message; {first_name}, {name}, {product}, {order_date}, {total} and {tracking} are filled in
+  templates: {
+    yellow: "Hi {first_name}! Good news - your {product} is now in production. We'll let you know as soon as it ships.",
+    green: 'Hi {first_name}! Your {product} just shipped!{tracking}'
+  },
+  quietHours: { start: '21:00', end: '08:00' }, // In the business-hours timezone; start = end turns them off
+  maxPerSync: 25 // More transitions than this in one sync looks like a bulk recolor - held for review instead
+};
+
+const DELIVERY_BATCH = 50;
+
+function normalizeSettings(settings = {}) {
+  settings = settings || {};
+  return {
+    enabled: settings.enabled !== undefined ? settings.enabled === true : DEFAULT_NOTIFICATION_SETTINGS.enabled,
+    templates: { ...DEFAULT_NOTIFICATION_SETTINGS.templates, ...(settings.templates || {}) },
+    quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(settings.quietHours || {}) },
+    maxPerSync: settings.maxPerSync !== undefined ? settings.maxPerSync : DEFAULT_NOTIFICATION_SETTINGS.maxPerSync
+  };
+}
+
+/**
+ * Validate settings before saving. Returns an error message or null.
+ */
+function validateSettings(settings) {
+  if (parseTime(settings.quietHours.start) === null || parseTime(settings.quietHours.end) === null) {
+    return 'Quiet hours need start and end times as HH:MM';
+  }
+  if (!Number.isInteger(settings.maxPerSync) || settings.maxPerSync < 1) {
+    return 'maxPerSync must be a positive integer';
+  }
+  if (Object.values(settings.templates).some(template => typeof template !== 'string')) {
+    return 'Templates must be text (use an empty template to stop notifying for a status)';
+  }
+  return null;
+}
+
+// Quiet hours may wrap midnight (21:00-08:00)
+function isQuietTime(quietHours, timezone, now = new Date()) {
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const { minutes } = getLocalParts(now, timezone);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Fill a template from an index record (see sheet-customer-index.js); tracking and total come from the column mapping
+function renderTemplate(template, record) {
+  const mapped = record.mapped || {};
+  const name = String(record.name || '').trim();
+  const tracking = mapped.tracking;
+
+  return String(template)
+    .replace(/\{first_name\}/g, name.split(/\s+/)[0] || 'there')
+    .replace(/\{name\}/g, name || 'there')
+    .replace(/\{product\}/g, record.product || 'order')
+    .replace(/\{order_date\}/g, record.order_date || '')
+    .replace(/\{total\}/g, mapped.total || '')
+    .replace(/\{tracking\}/g, tracking ? ` Tracking number: ${tracking}` : '')
+    .trim();
+}
+
+class OrderStatusNotifier {
+  /**
+   * getSettings: async () => stored settings (or null for the defaults)
+   * getTimezone: async () => timezone that quiet hours are in (the business-hours calendar's)
+   * sendSms: async (conversationId, text) => text as sent (after SMS formatting)
+   * sendEmail: async ({ to, name, subject, text }) - null when email isn't configured
+   * isOptedOut: async (phone) => whether the number texted STOP
+   */
+  constructor(pool, { getSettings, getTimezone, sendSms, sendEmail = null, isOptedOut, logEvent = async () => {}, intervalMinutes = 5 }) {
+    this.pool = pool;
+    this.getSettings = getSettings;
+    this.getTimezone = getTimezone;
+    this.sendSms = sendSms;
+    this.sendEmail = sendEmail;
+    this.isOptedOut = isOptedOut;
+    this.logEvent = logEvent;
+    this.intervalMinutes = intervalMinutes;
+    this.delivering = null; // Promise of the delivery run in progress
+    this.timer = null;
+  }
+
+  async loadSettings() {
+    return normalizeSettings(await this.getSettings());
+  }
+
+  // The customer's existing SMS conversation (any phone format), or the bare 10 digits for a new one
+  async findSmsConversation(phoneKey) {
+    const result = await this.pool.query(
+      `SELECT phone FROM conversations
+       WHERE phone NOT LIKE 'email:%' AND phone NOT LIKE 'web:%'
+         AND right(regexp_replace(phone, '\\D', '', 'g'), 10) = $1
+       ORDER BY last_active DESC LIMIT 1`,
+      [phoneKey]
+    );
+    return result.rows[0]?.phone || phoneKey;
+  }
+
+  // SMS when the sheet has a phone that hasn't opted out, otherwise email
+  async chooseRecipient(record) {
+    const phoneKey = record.phone_key || '';
+    const optedOut = phoneKey.length === 10 && await this.isOptedOut(phoneKey);
+    if (phoneKey.length === 10 && !optedOut) {
+      return { channel: 'sms', recipient: phoneKey, conversationId: await this.findSmsConversation(phoneKey) };
+    }
+    if (record.email && this.sendEmail) {
+      return { channel: 'email', recipient: record.email, conversationId: `email:${record.email}` };
+    }
+    return { channel: null, recipient: null, conversationId: null, reason: optedOut ? 'Opted out of SMS and no email on file' : 'No phone or email on file' };
+  }
+
+  /**
+   * Status transitions from a sheet index sync: [{ orderKey, record, fromStatus, toStatus }].
+   * Queues a notification for every transition into a status with a template, then delivers what's due.
+   * Returns the number of notifications queued.
+   */
+  async handleChanges(changes) {
+    const settings = await this.loadSettings();
+    if (!settings.enabled) return 0;
+
+    const notifiable = changes.filter(change => settings.templates[change.toStatus]);
+    if (notifiable.length === 0) return 0;
+
+    const held = notifiable.length > settings.maxPerSync;
+    if (held) {
+      console.warn(`⚠️ ${notifiable.length} order status changes in one sync - notifications held for review`);
+      await this.logEvent('warning', `${notifiable.length} order status changes in one sync (limit ${settings.maxPerSync}) - notifications held for review instead of sent`);
+    }
+
+    let queued = 0;
+    for (const { orderKey, record, fromStatus, toStatus } of notifiable) {
+      const target = await this.chooseRecipient(record);
+      const status = !target.channel ? 'skipped' : held ? 'held' : 'pending';
+      const result = await this.pool.query(
+        `INSERT INTO order_notifications(order_key, row_index, conversation_id, channel, recipient, customer_name, product,
+                                         from_status, to_status, message, status, reason)
+         VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (order_key, to_status) DO NOTHING
+         RETURNING id`,
+        [orderKey, record.row_index, target.conversationId, target.channel, target.recipient, record.name, record.product,
+          fromStatus, toStatus, renderTemplate(settings.templates[toStatus], record), status, target.reason || null]
+      );
+      if (result.rows.length > 0 && status !== 'skipped') queued++;
+    }
+
+    if (queued > 0 && !held) {
+      await this.deliverDue();
+    }
+    return queued;
+  }
+
+  /**
+   * Send pending notifications unless it's quiet hours. Concurrent calls share the run in progress.
+   * Returns the number sent.
+   */
+  async deliverDue() {
+    if (!this.delivering) {
+      this.delivering = this.runDelivery().finally(() => {
+        this.delivering = null;
+      });
+    }
+    return this.delivering;
+  }
+
+  async runDelivery() {
+    const settings = await this.loadSettings();
+    if (!settings.enabled) return 0;
+    if (isQuietTime(settings.quietHours, await this.getTimezone())) return 0;
+
+    const due = await this.pool.query(
+      `SELECT * FROM order_notifications WHERE status = 'pending' ORDER BY created_at, id LIMIT $1`,
+      [DELIVERY_BATCH]
+    );
+    let sent = 0;
+    for (const notification of due.rows) {
+      if (await this.deliver(notification)) sent++;
+    }
+    return sent;
+  }
+
+  async deliver(notification) {
+    const { id, channel, recipient, conversation_id: conversationId } = notification;
+    try {
+      let text = notification.message;
+      if (channel === 'sms') {
+        // Checked again - they may have texted STOP while this waited out quiet hours
+        if (await this.isOptedOut(recipient)) {
+          await this.pool.query(
+            `UPDATE order_notifications SET status = 'skipped', reason = 'Opted out of SMS' WHERE id = $1`,
+            [id]
+          );
+          return false;
+        }
+        text = await this.sendSms(conversationId, text);
+      } else {
+        await this.sendEmail({ to: recipient, name: notification.customer_name || 'there', subject: 'An update on your order', text });
+      }
+
+      await this.pool.query(
+        `UPDATE order_notifications SET status = 'sent', message = $2, sent_at = CURRENT_TIMESTAMP, reason = NULL WHERE id = $1`,
+        [id, text]
+      );
+      await this.recordMessage(notification, text);
+      await this.logEvent('info', `Order notification sent to ${conversationId} by ${channel}: ${notification.product || 'order'} is now ${notification.to_status}`);
+      return true;
+    } catch (err) {
+      console.error(`❌ Order notification ${id} to ${conversationId} failed:`, err.message);
+      await this.pool.query(
+        `UPDATE order_notifications SET status = 'failed', reason = $2 WHERE id = $1`,
+        [id, err.message]
+      ).catch(() => {});
+      await this.logEvent('error', `Order notification ${id} to ${conversationId} failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  // Staff see the notification in the conversation like any other message from us
+  async recordMessage(notification, text) {
+    await this.pool.query(
+      `INSERT INTO conversations(phone, name, last_active) VALUES($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (phone) DO UPDATE SET last_active = CURRENT_TIMESTAMP`,
+      [notification.conversation_id, notification.customer_name]
+    );
+    await this.pool.query(
+      'INSERT INTO messages(phone, sender, message) VALUES($1, $2, $3)',
+      [notification.conversation_id, 'assistant', text]
+    );
+  }
+
+  /**
+   * Recent notifications for the dashboard, newest first
+   */
+  async list({ status = null, limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM order_notifications
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [status, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Send a held or failed notification after all (goes out on the next delivery run outside quiet hours)
+   */
+  async release(id) {
+    const result = await this.pool.query(
+      `UPDATE order_notifications SET status = 'pending', reason = NULL
+       WHERE id = $1 AND status IN ('held', 'failed') RETURNING *`,
+      [id]
+    );
+    if (result.rows.length > 0) {
+      await this.deliverDue();
+    }
+    return result.rows[0] || null;
+  }
+
+  async cancel(id) {
+    const result = await this.pool.query(
+      `UPDATE order_notifications SET status = 'skipped', reason = 'Cancelled by staff'
+       WHERE id = $1 AND status IN ('held', 'pending', 'failed') RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Deliver what waited out quiet hours every intervalMinutes
+  start() {
+    this.timer = setInterval(() => {
+      this.deliverDue().catch(err => console.error('❌ Order notification delivery failed:', err.message));
+    }, this.intervalMinutes * 60 * 1000);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+OrderStatusNotifier.DEFAULT_NOTIFICATION_SETTINGS = DEFAULT_NOTIFICATION_SETTINGS;
+OrderStatusNotifier.normalizeSettings = normalizeSettings;
+OrderStatusNotifier.validateSettings = validateSettings;
+OrderStatusNotifier.isQuietTime = isQuietTime;
+OrderStatusNotifier.renderTemplate = renderTemplate;
+
+module.exports = OrderStatusNotifier;
@@ -0,0 +1,141 @@
+/**
+ * OutboundQueue:
+ * Persistent queue of outgoing SMS stored in PostgreSQL (outbound_messages table).
+ * The relay device polls GET /api/outbox, sends each message, then acks it.
+ * AI replies, staff messages and scheduled messages all share this delivery path.
+ * Unacked or failed messages are retried with exponential backoff up to maxAttempts.
+ * Messages to numbers in the opt-out registry (sms_opt_outs) are cancelled instead of delivered.
+ * A message can be pinned to one sender (route = 'twilio' for replies to Twilio webhooks); unpinned
+ * messages go to whichever sender currently delivers the queue.
+ */
+class OutboundQueue {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.leaseSeconds = options.leaseSeconds || 120; // How long a polled message stays claimed
+    this.retryBaseSeconds = options.retryBaseSeconds || 30;
+  }
+
+  /**
+   * Add a message to the queue.
+   * source: 'ai' | 'staff' | 'scheduled' | 'system'; sendAfter delays delivery (Date);
+   * route pins the message to one sender ('twilio'), null lets the current sender deliver it
+   */
+  async enqueue(phone, message, { source = 'ai', sendAfter = null, route = null } = {}) {
+    const result = await this.pool.query(
+      `INSERT INTO outbound_messages(phone, message, source, send_after, route)
+       VALUES($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP), $5)
+       RETURNING id, phone, message, source, status, send_after, route`,
+      [phone, message, source, sendAfter, route]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Claim up to `limit` due messages for a sender.
+   * route: the sender claiming ('relay' | 'twilio') - it gets the messages pinned to it, plus the
+   * unpinned ones when includeUnpinned (it's the sender currently delivering the queue).
+   * Messages whose lease expired without an ack are offered again until maxAttempts.
+   */
+  async claim(limit = 10, { route = 'relay', includeUnpinned = true } = {}) {
+    // Never deliver to numbers that opted out (STOP) - only keyword confirmations ('system') go through
+    await this.pool.query(
+      `UPDATE outbound_messages o
+       SET status = 'cancelled', locked_until = NULL, last_error = 'Recipient opted out'
+       WHERE o.status IN ('pending', 'sending') AND o.source <> 'system'
+         AND EXISTS (
+           SELECT 1 FROM sms_opt_outs s
+           WHERE s.opted_out AND s.phone = right(regexp_replace(o.phone, '\\D', '', 'g'), 10)
+         )`
+    );
+
+    // Give up on messages that were claimed too many times without an ack
+    await this.pool.query(
+      `UPDATE outbound_messages
+       SET status = 'failed', last_error = COALESCE(last_error, 'No acknowledgement from relay')
+       WHERE status = 'sending' AND locked_until < CURRENT_TIMESTAMP AND attempts >= $1`,
+      [this.maxAttempts]
+    );
+
+    const result = await this.pool.query(
+      `UPDATE outbound_messages
+       SET status = 'sending',
+           attempts = attempts + 1,
+           locked_until = CURRENT_TIMESTAMP + make_interval(secs => $2)
+       WHERE id IN (
+         SELECT id FROM outbound_messages
+         WHERE ((status = 'pending' AND send_after <= CURRENT_TIMESTAMP)
+            OR (status = 'sending' AND locked_until < CURRENT_TIMESTAMP))
+           AND (route = $3 OR (route IS NULL AND $4::boolean))
+         ORDER BY send_after, id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, phone, message, source, attempts`,
+      [limit, this.leaseSeconds, route, includeUnpinned]
+    );
+
+    // RETURNING order isn't guaranteed - keep messages in the order they were queued
+    return result.rows.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Record the relay's delivery result. Failures go back to 'pending' with backoff.
+   * Only a claimed ('sending') message can be acked, so a late or repeated ack can't resurrect a
+   * cancelled message or mark one sent twice. Returns the updated row, or null if nothing was claimed.
+   */
+  async ack(id, { success = true, error = null } = {}) {
+    if (success) {
+      const result = await this.pool.query(
+        `UPDATE outbound_messages
+         SET status = 'sent', sent_at = CURRENT_TIMESTAMP, locked_until = NULL, last_error = NULL
+         WHERE id = $1 AND status = 'sending'
+         RETURNING id, phone, status, attempts`,
+        [id]
+      );
+      return result.rows[0] || null;
+    }
+
+    const result = await this.pool.query(
+      `UPDATE outbound_messages
+       SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+           send_after = CURRENT_TIMESTAMP + make_interval(secs => $3 * POWER(2, GREATEST(attempts - 1, 0))),
+           locked_until = NULL,
+           last_error = $4
+       WHERE id = $1 AND status = 'sending'
+       RETURNING id, phone, status, attempts`,
+      [id, this.maxAttempts, this.retryBaseSeconds, error || 'Relay reported failure']
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Cancel a message that hasn't been sent yet
+   */
+  async cancel(id) {
+    const result = await this.pool.query(
+      `UPDATE outbound_messages SET status = 'cancelled', locked_until = NULL
+       WHERE id = $1 AND status IN ('pending', 'sending')
+       RETURNING id, status`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List recent queue entries (for admin dashboard), optionally filtered by status/phone
+   */
+  async list({ status = null, phone = null, limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT id, phone, message, source, route, status, attempts, send_after, last_error, created_at, sent_at
+       FROM outbound_messages
+       WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR phone = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [status, phone, limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = OutboundQueue;
@@ -0,0 +1,150 @@
+/**
+ * The Distillery Network - embeddable web chat widget
+ * Add to any page (the site must be listed in CHAT_ALLOWED_ORIGINS on the server):
+ *   <script src="https://your-app.onrender.com/chat-widget.js" async></script>
+ * Optional attributes: data-api="https://..." (defaults to where this script is served from),
+ * data-title="Chat with Jonathan"
+ */
+(function () {
+  if (window.__tdnChatWidget) return;
+  window.__tdnChatWidget = true;
+
+  const script = document.currentScript;
+  const apiBase = (script && script.getAttribute('data-api')) || (script ? new URL(script.src).origin : '');
+  const title = (script && script.getAttribute('data-title')) || 'Chat with Jonathan';
+  const POLL_INTERVAL_MS = 5000;
+
+  let lastMessageId = 0;
+  let historyLoaded = false;
+  let sending = false;
+  let pollTimer = null;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    #tdn-chat-button { position: fixed; bottom: 20px; right: 20px; z-index: 2147483000; background: #d4510a; color: white;
+      border: none; border-radius: 30px; padding: 14px 20px; font: bold 15px sans-serif; cursor: pointer; box-shadow: 0 2px 8px rgba(0,0,0,0.3); }
+    #tdn-chat-panel { position: fixed; bottom: 80px; right: 20px; z-index: 2147483000; width: 340px; max-width: calc(100vw - 40px);
+      height: 460px; max-height: calc(100vh - 120px); background: white; border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+      display: none; flex-direction: column; font: 14px sans-serif; overflow: hidden; }
+    #tdn-chat-panel.open { display: flex; }
+    #tdn-chat-header { background: #d4510a; color: white; padding: 12px; font-weight: bold; display: flex; justify-content: space-between; }
+    #tdn-chat-close { background: none; border: none; color: white; font-size: 18px; cursor: pointer; }
+    #tdn-chat-messages { flex: 1; overflow-y: auto; padding: 10px; background: #f9f9f9; }
+    .tdn-chat-msg { margin: 6px 0; padding: 8px 10px; border-radius: 8px; max-width: 85%; white-space: pre-wrap; word-wrap: break-word; }
+    .tdn-chat-msg.user { background: #007bff; color: white; margin-left: auto; }
+    .tdn-chat-msg.assistant { background: #e9ecef; color: #333; }
+    .tdn-chat-msg.notice { background: none; color: #666; font-style: italic; text-align: center; max-width: 100%; }
+    #tdn-chat-form { display: flex; border-top: 1px solid #ddd; }
+    #tdn-chat-input { flex: 1; border: none; padding: 12px; font: 14px sans-serif; outline: none; }
+    #tdn-chat-send { background: #d4510a; color: white; border: none; padding: 0 16px; cursor: pointer; font-weight: bold; }
+    #tdn-chat-send:disabled { background: #aaa; }
+  `;
+  document.head.appendChild(style);
+
+  const button = document.createElement('button');
+  button.id = 'tdn-chat-button';
+  button.textContent = '💬 ' + title;
+
+  const panel = document.createElement('div');
+  panel.id = 'tdn-chat-panel';
+  panel.innerHTML = `
+    <div id="tdn-chat-header"><span></span><button id="tdn-chat-close" aria-label="Close chat">×</button></div>
+    <div id="tdn-chat-messages"></div>
+    <form id="tdn-chat-form">
+      <input id="tdn-chat-input" type="text" maxlength="1000" placeholder="Ask about stills, parts, or shipping..." autocomplete="off">
+      <button id="tdn-chat-send" type="submit">Send</button>
+    </form>
+  `;
+  panel.querySelector('#tdn-chat-header span').textContent = title;
+
+  document.body.appendChild(button);
+  document.body.appendChild(panel);
+
+  const messagesDiv = panel.querySelector('#tdn-chat-messages');
+  const form = panel.querySelector('#tdn-chat-form');
+  const input = panel.querySelector('#tdn-chat-input');
+  const sendButton = panel.querySelector('#tdn-chat-send');
+
+  function addMessage(sender, text) {
+    const div = document.createElement('div');
+    div.className = 'tdn-chat-msg ' + sender;
+    div.textContent = text; // textContent - never render message text as HTML
+    messagesDiv.appendChild(div);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+  }
+
+  // Fetch new messages. The first load shows the whole history; after that only replies are added
+  // (the visitor's own messages are already on screen).
+  async function poll() {
+    try {
+      const res = await fetch(`${apiBase}/chat/messages?after=${lastMessageId}`, { credentials: 'include' });
+      if (!res.ok) return;
+      const data = await res.json();
+
+      data.messages.forEach(msg => {
+        if (msg.id <= lastMessageId) return; // Already shown by an overlapping poll
+        lastMessageId = msg.id;
+        if (!historyLoaded || msg.sender === 'assistant') {
+          addMessage(msg.sender, msg.message);
+        }
+      });
+      if (!historyLoaded && data.messages.length === 0) {
+        addMessage('assistant', "Hi! I'm Jonathan from The Distillery Network. How can I help?");
+      }
+      historyLoaded = true;
+    } catch (err) {
+      console.error('Chat poll failed:', err);
+    }
+  }
+
+  async function send(text) {
+    sending = true;
+    sendButton.disabled = true;
+    addMessage('user', text);
+
+    try {
+      const res = await fetch(`${apiBase}/chat`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: text })
+      });
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        addMessage('notice', data.error || 'Sorry, something went wrong. Please call (603) 997-6786.');
+      }
+      // Replies (AI or staff) arrive through polling so nothing is shown twice
+      await poll();
+    } catch (err) {
+      addMessage('notice', 'Connection problem - please try again or call (603) 997-6786.');
+    } finally {
+      sending = false;
+      sendButton.disabled = false;
+      input.focus();
+    }
+  }
+
+  button.onclick = async () => {
+    const opening = !panel.classList.contains('open');
+    panel.classList.toggle('open', opening);
+    if (opening) {
+      if (!historyLoaded) await poll();
+      pollTimer = pollTimer || setInterval(poll, POLL_INTERVAL_MS);
+      input.focus();
+    } else {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+
+  panel.querySelector('#tdn-chat-close').onclick = () => button.onclick();
+
+  form.onsubmit = (event) => {
+    event.preventDefault();
+    const text = input.value.trim();
+    if (!text || sending) return;
+    input.value = '';
+    send(text);
+  };
+})();
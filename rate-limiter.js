@@ -0,0 +1,245 @@
+/**
+ * Rate Limiter:
+ * Per-sender and global limits for inbound channels (/reply, /email-notify) so a single
+ * number - or a flood of numbers in respond-to-all mode - can't run up Claude costs.
+ * - Fixed-window counters in Redis (INCR + EXPIRE), in-memory fallback like the customer cache
+ * - The global limit is counted per channel, so one channel's traffic can't starve another
+ * - Senders that keep tripping their limit are blocked temporarily
+ * - Permanent blocklist/allowlist in PostgreSQL (sender_lists table); allowlisted senders skip all limits
+ */
+
+const DEFAULT_RATE_LIMITS = {
+  enabled: true,
+  perSender: { limit: 10, windowSeconds: 600 },   // 10 messages per sender per 10 minutes
+  global: { limit: 300, windowSeconds: 3600 },     // 300 inbound messages per hour per channel across all senders
+  autoBlock: { violations: 3, windowSeconds: 3600, blockSeconds: 6 * 3600 } // 3 trips in an hour = 6h block
+};
+
+const LIST_TYPES = ['block', 'allow'];
+const MAX_MEMORY_COUNTERS = 5000;
+
+// Phone numbers compare on their last 10 digits, emails case-insensitively, ip:/web: ids as-is
+function normalizeSender(sender) {
+  const value = String(sender || '').trim().toLowerCase().replace(/^email:/, '');
+  if (value.includes('@') || /^(ip|web):/.test(value)) return value;
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : value;
+}
+
+class RateLimiter {
+  /**
+   * getRedisClient: () => client or null (the server drops to null when Redis errors)
+   */
+  constructor(pool, { getRedisClient = () => null, logEvent = async () => {} } = {}) {
+    this.pool = pool;
+    this.getRedisClient = getRedisClient;
+    this.logEvent = logEvent;
+    this.memoryCounters = new Map(); // key -> { count, resetAt }
+    this.memoryBlocks = new Map();   // sender -> { until, reason }
+  }
+
+  /**
+   * Merge stored settings over the defaults
+   */
+  static normalizeConfig(config = {}) {
+    return {
+      enabled: config.enabled !== undefined ? config.enabled !== false : DEFAULT_RATE_LIMITS.enabled,
+      perSender: { ...DEFAULT_RATE_LIMITS.perSender, ...(config.perSender || {}) },
+      global: { ...DEFAULT_RATE_LIMITS.global, ...(config.global || {}) },
+      autoBlock: { ...DEFAULT_RATE_LIMITS.autoBlock, ...(config.autoBlock || {}) }
+    };
+  }
+
+  // Increment a fixed-window counter and return the new count
+  async increment(key, windowSeconds) {
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        const count = await redisClient.incr(`ratelimit:${key}`);
+        if (count === 1) {
+          await redisClient.expire(`ratelimit:${key}`, windowSeconds);
+        }
+        return count;
+      } catch (err) {
+        console.error('Redis rate limit error:', err);
+      }
+    }
+
+    // Fallback to in-memory counters (drop expired windows so a flood of numbers can't grow the map forever)
+    const now = Date.now();
+    if (this.memoryCounters.size > MAX_MEMORY_COUNTERS) {
+      for (const [counterKey, counter] of this.memoryCounters) {
+        if (counter.resetAt <= now) this.memoryCounters.delete(counterKey);
+      }
+    }
+    const entry = this.memoryCounters.get(key);
+    if (!entry || entry.resetAt <= now) {
+      this.memoryCounters.set(key, { count: 1, resetAt: now + windowSeconds * 1000 });
+      return 1;
+    }
+    entry.count += 1;
+    return entry.count;
+  }
+
+  async block(sender, seconds, reason) {
+    const key = normalizeSender(sender);
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        await redisClient.setEx(`ratelimit:block:${key}`, seconds, reason);
+      } catch (err) {
+        console.error('Redis block error:', err);
+      }
+    }
+    // Always set in fallback store
+    this.memoryBlocks.set(key, { until: Date.now() + seconds * 1000, reason });
+  }
+
+  async unblock(sender) {
+    const key = normalizeSender(sender);
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        await redisClient.del(`ratelimit:block:${key}`);
+      } catch (err) {
+        console.error('Redis unblock error:', err);
+      }
+    }
+    return this.memoryBlocks.delete(key);
+  }
+
+  // Returns the block reason if the sender is temporarily blocked, otherwise null
+  async getTemporaryBlock(sender) {
+    const key = normalizeSender(sender);
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        const reason = await redisClient.get(`ratelimit:block:${key}`);
+        if (reason) return reason;
+      } catch (err) {
+        console.error('Redis block lookup error:', err);
+      }
+    }
+
+    const entry = this.memoryBlocks.get(key);
+    if (entry && entry.until > Date.now()) return entry.reason;
+    if (entry) this.memoryBlocks.delete(key);
+    return null;
+  }
+
+  /**
+   * Active temporary blocks: [{ sender, reason, expiresInSeconds }]
+   */
+  async listTemporaryBlocks() {
+    const blocks = new Map();
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        // node-redis v5 yields batches of keys, v4 yields single keys
+        for await (const batch of redisClient.scanIterator({ MATCH: 'ratelimit:block:*', COUNT: 100 })) {
+          for (const redisKey of [].concat(batch)) {
+            const [reason, ttl] = await Promise.all([redisClient.get(redisKey), redisClient.ttl(redisKey)]);
+            const sender = redisKey.replace('ratelimit:block:', '');
+            blocks.set(sender, { sender, reason, expiresInSeconds: ttl });
+          }
+        }
+      } catch (err) {
+        console.error('Redis block scan error:', err);
+      }
+    }
+
+    const now = Date.now();
+    for (const [sender, entry] of this.memoryBlocks) {
+      if (entry.until <= now) {
+        this.memoryBlocks.delete(sender);
+      } else if (!blocks.has(sender)) {
+        blocks.set(sender, { sender, reason: entry.reason, expiresInSeconds: Math.ceil((entry.until - now) / 1000) });
+      }
+    }
+    return [...blocks.values()];
+  }
+
+  // Permanent list entry for a sender ('block' | 'allow'), or null
+  async getListType(sender) {
+    const result = await this.pool.query('SELECT list_type FROM sender_lists WHERE sender=$1', [normalizeSender(sender)]);
+    return result.rows[0]?.list_type || null;
+  }
+
+  async setListEntry(sender, listType, reason = null) {
+    const result = await this.pool.query(
+      `INSERT INTO sender_lists(sender, list_type, reason) VALUES($1, $2, $3)
+       ON CONFLICT (sender) DO UPDATE SET list_type = EXCLUDED.list_type, reason = EXCLUDED.reason, created_at = CURRENT_TIMESTAMP
+       RETURNING sender, list_type, reason, created_at`,
+      [normalizeSender(sender), listType, reason]
+    );
+    return result.rows[0];
+  }
+
+  async removeListEntry(sender) {
+    const result = await this.pool.query('DELETE FROM sender_lists WHERE sender=$1', [normalizeSender(sender)]);
+    return result.rowCount > 0;
+  }
+
+  async listEntries() {
+    const result = await this.pool.query('SELECT sender, list_type, reason, created_at FROM sender_lists ORDER BY created_at DESC');
+    return result.rows;
+  }
+
+  /**
+   * Decide whether an inbound message from `sender` on `channel` may be processed.
+   * Returns { allowed, reason, retryAfter }
+   */
+  async check(channel, sender, rawConfig) {
+    const config = RateLimiter.normalizeConfig(rawConfig);
+    const key = normalizeSender(sender);
+    if (!config.enabled || !key) return { allowed: true };
+
+    const listType = await this.getListType(key);
+    if (listType === 'allow') return { allowed: true };
+    if (listType === 'block') {
+      return { allowed: false, reason: 'blocklisted' };
+    }
+
+    const blockReason = await this.getTemporaryBlock(key);
+    if (blockReason) {
+      return { allowed: false, reason: 'temporarily_blocked', detail: blockReason };
+    }
+
+    const senderCount = await this.increment(`sender:${key}`, config.perSender.windowSeconds);
+    if (senderCount > config.perSender.limit) {
+      // Log and count a violation when the limit first trips, not on every message after it
+      if (senderCount === config.perSender.limit + 1) {
+        await this.logEvent('warning', `Rate limit: ${channel} sender ${key} exceeded ${config.perSender.limit} messages per ${config.perSender.windowSeconds}s`);
+        await this.recordViolation(channel, key, config);
+      }
+      return { allowed: false, reason: 'sender_limit', retryAfter: config.perSender.windowSeconds };
+    }
+
+    // One global counter per channel so anonymous web chat traffic can't use up the SMS/email budget
+    const globalCount = await this.increment(`global:${channel}`, config.global.windowSeconds);
+    if (globalCount > config.global.limit) {
+      if (globalCount === config.global.limit + 1) {
+        await this.logEvent('warning', `Rate limit: global ${channel} inbound limit of ${config.global.limit} per ${config.global.windowSeconds}s reached (from ${key})`);
+      }
+      return { allowed: false, reason: 'global_limit', retryAfter: config.global.windowSeconds };
+    }
+
+    return { allowed: true };
+  }
+
+  // Count limit trips (one per window); too many within autoBlock.windowSeconds blocks the sender temporarily
+  async recordViolation(channel, key, config) {
+    const violations = await this.increment(`violations:${key}`, config.autoBlock.windowSeconds);
+    if (violations >= config.autoBlock.violations) {
+      const reason = `Auto-blocked after ${violations} rate limit violations on ${channel}`;
+      await this.block(key, config.autoBlock.blockSeconds, reason);
+      await this.logEvent('warning', `Rate limit: ${key} temporarily blocked for ${config.autoBlock.blockSeconds}s (${reason})`);
+    }
+  }
+}
+
+RateLimiter.DEFAULT_RATE_LIMITS = DEFAULT_RATE_LIMITS;
+RateLimiter.LIST_TYPES = LIST_TYPES;
+RateLimiter.normalizeSender = normalizeSender;
+
+module.exports = RateLimiter;
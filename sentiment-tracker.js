@@ -0,0 +1,177 @@
+/**
+ * Sentiment Tracker:
+ * Scores how frustrated each inbound message sounds (0 = calm or happy, 1 = furious) and keeps a
+ * rolling score per conversation, so staff hear about an unhappy customer before it turns into
+ * swearing at the bot and the takeover trigger list.
+ * - Keyword scoring (no model call), so it adds nothing to reply time or API cost
+ * - messages.frustration: the score of each scored customer message (a coalesced burst shares one score)
+ * - conversations.frustration: rolling score, newest message weighted by `smoothing`
+ * - When the rolling score rises past `alertThreshold` staff are notified (at most once per cooldown),
+ *   and with `pauseOnAlert` the conversation is handed off the same way as an explicit request
+ * Settings live in system_settings.sentiment (merged over DEFAULT_SENTIMENT_SETTINGS)
+ */
+
+const DEFAULT_SENTIMENT_SETTINGS = {
+  enabled: true,
+  alertThreshold: 0.5,
+  smoothing: 0.6,
+  cooldownHours: 24,
+  pauseOnAlert: false
+};
+
+// Each signal adds its weight once per message; the total is capped at 1
+const SIGNALS = [
+  { name: 'profanity', weight: 0.45, pattern: /\b(fuck\w*|shit\w*|damn\w*|wtf|bullshit|crap\w*|hell no|ass(hole)?s?)\b/i },
+  { name: 'anger', weight: 0.4, pattern: /\b(ridiculous|unacceptable|terrible|horrible|awful|worst|scam\w*|rip ?off|pissed|angry|furious|frustrat\w*|disappoint\w*|fed up|sick of|lied|lying|liars?|fraud\w*|incompetent)\b/i },
+  { name: 'impatience', weight: 0.3, pattern: /\b(still (waiting|haven'?t|have not|no)|how (much )?long(er)?|(taking|takes|waited) (so|this|too) long|forever|any update|never (got|received|heard)|what'?s taking|(asked|texted|emailed|called) (you )?(again|already|twice|three times)|(second|third|3rd|fourth) time|(been|over|almost) (\d+|a few|a couple|several|many) (days|weeks|months))\b/i },
+  { name: 'threat', weight: 0.35, pattern: /\b(charge ?back|dispute|bbb|better business|bad review|lawyer|attorney|report (you|this)|small claims|paypal claim)\b/i },
+  { name: 'shouting', weight: 0.2, test: (text) => {
+    const letters = text.replace(/[^a-z]/gi, '');
+    return letters.length >= 8 && letters.replace(/[^A-Z]/g, '').length / letters.length >= 0.6;
+  } },
+  { name: 'punctuation', weight: 0.15, pattern: /[?!]{2,}/ },
+  { name: 'positive', weight: -0.3, pattern: /\b(thanks|thank you|thx|great|awesome|appreciate\w*|love|perfect|excellent|amazing|no worries|no rush)\b|👍|😊|🙂|❤️/i }
+];
+
+/**
+ * Frustration of one message: { score (0-1, two decimals), signals: names of the signals found }
+ */
+function scoreMessage(text) {
+  const message = String(text || '');
+  const signals = SIGNALS.filter(signal => (signal.test ? signal.test(message) : signal.pattern.test(message)));
+  const total = signals.reduce((sum, signal) => sum + signal.weight, 0);
+  return {
+    score: Math.round(Math.min(1, Math.max(0, total)) * 100) / 100,
+    signals: signals.map(signal => signal.name)
+  };
+}
+
+function normalizeSettings(settings = {}) {
+  return { ...DEFAULT_SENTIMENT_SETTINGS, ...(settings || {}) };
+}
+
+/**
+ * Validate settings before saving. Returns an error message or null.
+ */
+function validateSettings(settings) {
+  for (const field of ['alertThreshold', 'smoothing']) {
+    if (typeof settings[field] !== 'number' || settings[field] <= 0 || settings[field] > 1) {
+      return `${field} must be a number above 0 and up to 1`;
+    }
+  }
+  if (typeof settings.cooldownHours !== 'number' || settings.cooldownHours < 0) {
+    return 'cooldownHours must be a number of hours (0 = alert every time the threshold is crossed)';
+  }
+  return null;
+}
+
+class SentimentTracker {
+  constructor(pool, { getSettings, logEvent = async () => {} }) {
+    this.pool = pool;
+    this.getSettings = getSettings;
+    this.logEvent = logEvent;
+  }
+
+  /**
+   * Score the customer messages of the current turn (ids >= beforeId) and update the rolling score.
+   * Returns { score, signals, rolling, previous, alert, pauseOnAlert }, or null while tracking is off.
+   * alert is true when the rolling score just rose past the threshold and no alert went out within the cooldown.
+   */
+  async record(conversationId, beforeId, text) {
+    const settings = await this.getSettings();
+    if (!settings.enabled) return null;
+
+    const { score, signals } = scoreMessage(text);
+    await this.pool.query(
+      `UPDATE messages SET frustration=$1 WHERE phone=$2 AND sender='user' AND id >= $3`,
+      [score, conversationId, beforeId]
+    );
+
+    const current = await this.pool.query(
+      'SELECT frustration, frustration_alerted_at FROM conversations WHERE phone=$1',
+      [conversationId]
+    );
+    const previous = current.rows[0] ? current.rows[0].frustration : null;
+    const alertedAt = current.rows[0] ? current.rows[0].frustration_alerted_at : null;
+    const rolling = previous === null
+      ? score
+      : Math.round((previous * (1 - settings.smoothing) + score * settings.smoothing) * 100) / 100;
+
+    const crossed = rolling >= settings.alertThreshold && (previous === null || previous < settings.alertThreshold);
+    const coolingDown = alertedAt && Date.now() - new Date(alertedAt).getTime() < settings.cooldownHours * 3600 * 1000;
+    const alert = crossed && !coolingDown;
+
+    await this.pool.query(
+      `UPDATE conversations SET frustration=$2, frustration_alerted_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE frustration_alerted_at END
+       WHERE phone=$1`,
+      [conversationId, rolling, alert]
+    );
+
+    if (signals.length > 0) {
+      console.log(`😠 Frustration for ${conversationId}: ${score} (${signals.join(', ')}), rolling ${rolling}`);
+    }
+    if (alert) {
+      await this.logEvent('warning', `Customer ${conversationId} is getting frustrated (rolling score ${rolling}, threshold ${settings.alertThreshold})`);
+    }
+    return { score, signals, rolling, previous, alert, pauseOnAlert: settings.pauseOnAlert };
+  }
+
+  /**
+   * Admin trends: average frustration per day and channel, and the conversations scoring highest right now
+   */
+  async getTrends({ days = 30, threshold = DEFAULT_SENTIMENT_SETTINGS.alertThreshold } = {}) {
+    const daily = await this.pool.query(
+      `SELECT DATE(timestamp) AS day,
+              CASE WHEN phone LIKE 'email:%' THEN 'email' WHEN phone LIKE 'web:%' THEN 'web' ELSE 'sms' END AS channel,
+              COUNT(*)::int AS messages,
+              ROUND(AVG(frustration)::numeric, 2)::float AS average,
+              COUNT(*) FILTER (WHERE frustration >= $2)::int AS frustrated
+       FROM messages
+       WHERE sender = 'user' AND frustration IS NOT NULL AND timestamp > NOW() - ($1 || ' days')::interval
+       GROUP BY 1, 2
+       ORDER BY 1 DESC, 2`,
+      [days, threshold]
+    );
+    const conversations = await this.pool.query(
+      `SELECT phone, name, frustration, frustration_alerted_at, paused, requested_human, last_active
+       FROM conversations
+       WHERE frustration IS NOT NULL AND last_active > NOW() - ($1 || ' days')::interval
+       ORDER BY frustration DESC, last_active DESC
+       LIMIT 20`,
+      [days]
+    );
+    return { days, threshold, daily: daily.rows, conversations: conversations.rows };
+  }
+
+  /**
+   * One conversation's scored messages, oldest first, with its current rolling score
+   */
+  async getConversation(conversationId) {
+    const conversation = await this.pool.query(
+      'SELECT frustration, frustration_alerted_at FROM conversations WHERE phone=$1',
+      [conversationId]
+    );
+    if (conversation.rows.length === 0) return null;
+
+    const messages = await this.pool.query(
+      `SELECT id, message, timestamp, intent, frustration
+       FROM messages
+       WHERE phone=$1 AND sender='user' AND frustration IS NOT NULL
+       ORDER BY timestamp ASC, id ASC
+       LIMIT 200`,
+      [conversationId]
+    );
+    return {
+      frustration: conversation.rows[0].frustration,
+      alertedAt: conversation.rows[0].frustration_alerted_at,
+      messages: messages.rows
+    };
+  }
+}
+
+SentimentTracker.DEFAULT_SENTIMENT_SETTINGS = DEFAULT_SENTIMENT_SETTINGS;
+SentimentTracker.normalizeSettings = normalizeSettings;
+SentimentTracker.validateSettings = validateSettings;
+SentimentTracker.scoreMessage = scoreMessage;
+
+module.exports = SentimentTracker;
@@ -17,6 +17,7 @@ const nodemailer = require('nodemailer');
 const AdvancedKnowledgeRetriever = require('./advanced-retriever');
 const PriceValidator = require('./price-validator');
 const enhancedShopifySync = require('./enhanced-shopify-sync');
+const { suggestMapping, normalizeMapping, extractFields } = require('./column-mapping');
 
 require('dotenv').config({ path: '.env.bluehost' });
 
@@ -343,6 +344,16 @@ app.post('/reply', async (req, res) => {
   }
 });
 
+// A sheet row's fields (name, phones, email...) through the columns detected from the sheet headers
+function mappedRowFields(row) {
+  const headers = customerSheet.headerValues || [];
+  const statusHeader = process.env.GOOGLE_SHEET_STATUS_COLUMN;
+  const mapping = normalizeMapping(suggestMapping(headers, statusHeader ? { status: [statusHeader] } : {}).mapping);
+  const values = {};
+  headers.forEach((header, i) => { values[header] = row._rawData[i]; });
+  return extractFields(values, mapping);
+}
+
 // Customer lookup function (same as original)
 async function findCustomerByPhone(phone) {
   if (!customerSheet) return null;
@@ -363,9 +374,11 @@ async function findCustomerByPhone(phone) {
         const normalizedPhone = phone.replace(/\D/g, '');
         
         if (normalizedCell.includes(normalizedPhone) || normalizedPhone.includes(normalizedCell)) {
+          const mapped = mappedRowFields(row);
           return {
-            name: rowData[2] || rowData[0] || 'Unknown Customer',
+            name: mapped.name || 'Unknown Customer',
             phone: phone,
+            mapped,
             _rawData: rowData
           };
         }
@@ -396,10 +409,12 @@ async function findCustomerByEmail(email) {
         if (!cellValue.includes('@')) continue; // Skip non-email values
         
         if (cellValue === email.toLowerCase()) {
+          const mapped = mappedRowFields(row);
           return {
-            name: rowData[2] || rowData[0] || 'Unknown Customer',
+            name: mapped.name || 'Unknown Customer',
             email: cellValue,
-            phone: rowData[1] || 'No phone',
+            phone: mapped.phones[0] || 'No phone',
+            mapped,
             _rawData: rowData
           };
         }
@@ -441,8 +456,18 @@ async function generateAIResponse(phone, userMessage, customer) {
     const knowledgeContent = await global.advancedRetriever.getRelevantKnowledge(userMessage);
     
     // Customer context
-    const customerContext = customer ? 
-      `Customer Name: ${customer.name}\nPhone: ${customer.phone}` : 
+    const mapped = (customer && customer.mapped) || {};
+    const customerContext = customer ?
+      [
+        `Customer Name: ${customer.name}`,
+        `Phone: ${customer.phone}`,
+        mapped.email && `Email: ${mapped.email}`,
+        mapped.product && `Product: ${mapped.product}`,
+        mapped.orderDate && `Order Date: ${mapped.orderDate}`,
+        mapped.total && `Order Total: ${mapped.total}`,
+        mapped.status && `Status Notes: ${mapped.status}`,
+        mapped.tracking && `Tracking: ${mapped.tracking}`
+      ].filter(Boolean).join('\n') :
       'Customer information not available';
 
     // Build prompt
@@ -543,7 +568,7 @@ app.post('/email-notify', async (req, res) => {
     );
 
     // Generate AI response using the same logic as SMS
-    const aiResponse = await generateAIResponse(emailId, emailMessage, customerName, customer);
+    const aiResponse = await generateAIResponse(emailId, emailMessage, customer);
     
     // Log the AI response
     await pool.execute(
@@ -11,6 +11,9 @@ const Anthropic = require('@anthropic-ai/sdk');
 const { GoogleSpreadsheet } = require('google-spreadsheet');
 const { Pool } = require('pg');
 const path = require('path');
+const crypto = require('crypto');
+const session = require('express-session');
+const cors = require('cors');
 const redis = require('redis');
 const nodemailer = require('nodemailer');
 
@@ -18,10 +21,34 @@ const AdvancedKnowledgeRetriever = require('./advanced-retriever');
 const PriceValidator = require('./price-validator');
 const enhancedShopifySync = require('./enhanced-shopify-sync');
 const EmailMonitor = require('./email-monitor');
+const OutboundQueue = require('./outbound-queue');
+const TwilioSender = require('./twilio-sender');
+const WebhookIdempotency = require('./webhook-idempotency');
+const { DEFAULT_FORMAT_OPTIONS, formatSms } = require('./sms-formatter');
+const MediaFetcher = require('./media-fetcher');
+const RateLimiter = require('./rate-limiter');
+const OptOutRegistry = require('./opt-out-registry');
+const ConversationEngine = require('./conversation-engine');
+const IntentClassifier = require('./intent-classifier');
+const SentimentTracker = require('./sentiment-tracker');
+const InventoryLookup = require('./inventory-lookup');
+const ShopifyOrders = require('./shopify-orders');
+const CarrierTracking = require('./carrier-tracking');
+const CustomerIdentity = require('./customer-identity');
+const SheetCustomerIndex = require('./sheet-customer-index');
+const OrderStatusNotifier = require('./order-status-notifier');
+const SheetWriter = require('./sheet-writer');
+const SheetSources = require('./sheet-sources');
+const { FIELDS: COLUMN_FIELDS, suggestMapping, normalizeMapping, validateMapping, extractFields } = require('./column-mapping');
+const { DEFAULT_STATUS_MAP, normalizeStatusMap, validateStatusMap, matchColor, describeStatus, colorForStatus, colorToHex, hexToColor } = require('./status-map');
+const { DEFAULT_BUSINESS_HOURS, normalizeConfig, validateConfig, getBusinessMode, renderModeText } = require('./business-hours');
+const { detectLanguage, sanitizeMessageText, getLanguageName, getLanguageInstruction, translateToEnglish } = require('./language-support');
+const { GATEWAY_MODES, DELIVERY_MODES, validateTwilioSignature, getWebhookUrl, getMediaUrls, createSmsResponder } = require('./sms-gateway');
 
 require('dotenv').config();
 
 const app = express();
+app.set('trust proxy', 1); // One hosting proxy in front: req.ip is the address it saw, not a client-supplied X-Forwarded-For
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
@@ -30,17 +57,34 @@ app.use(express.static('public'));
 const {
   ANTHROPIC_API_KEY,
   ANTHROPIC_MODEL = 'claude-3-haiku-20240307', // Stable default model
+  INTENT_MODEL, // Cheap model for intent classification (defaults to ANTHROPIC_MODEL)
   GOOGLE_SERVICE_ACCOUNT_EMAIL,
   GOOGLE_PRIVATE_KEY,
   GOOGLE_SHEET_ID,
   SHOPIFY_STORE_DOMAIN,
   SHOPIFY_ACCESS_TOKEN,
+  INVENTORY_CACHE_SECONDS = 120, // How long live Shopify stock levels are cached
+  EASYPOST_API_KEY,
+  TRACKING_PROVIDER, // 'easypost' (default when EASYPOST_API_KEY is set), 'mock' for local testing, 'none'
+  SHEET_SYNC_INTERVAL_MINUTES = 10, // How often the customer sheet is mirrored into Postgres (0 = on demand only)
+  SHEET_WRITEBACK_FLUSH_SECONDS = 15, // How often queued bot activity is written back to the sheet (one batch per flush)
   DATABASE_URL,
   REDIS_URL,
   REDIS_HOST,
   REDIS_PORT,
   REDIS_PASSWORD,
   REDIS_DB,
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_WEBHOOK_BASE_URL,
+  TWILIO_PHONE_NUMBER, // Number Twilio-mode replies and staff, scheduled and order messages are sent from when no relay phone polls the outbox
+  RELAY_MEDIA_HOSTS, // Comma-separated hosts the relay phone's MMS media URLs point to (Twilio's are always allowed)
+  SMS_GATEWAY_MODE = 'tasker', // Default relay when no system setting is stored
+  REPLY_DELIVERY_MODE = 'sync', // 'sync' = reply in HTTP response, 'outbox' = queue for relay polling
+  OUTBOX_API_KEY,
+  COALESCE_WINDOW_MS = 6000, // Debounce window for rapid-fire texts (0 disables)
+  SESSION_SECRET,
+  CHAT_ALLOWED_ORIGINS, // Comma-separated sites allowed to embed the web chat widget
   PORT = 3000
 } = process.env;
 
@@ -120,60 +164,184 @@ if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
 }
 
 
-// Google Sheets setup for customer data
-let customerSheetDoc = null;
-let customerSheet = null;
-
+// Google Sheets setup for customer data: every configured sheet source (tabs and workbooks)
 // Create reusable auth object for initial connection and retries
 const googleAuth = GOOGLE_SERVICE_ACCOUNT_EMAIL && GOOGLE_PRIVATE_KEY ? {
   client_email: GOOGLE_SERVICE_ACCOUNT_EMAIL,
   private_key: GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n')
 } : null;
 
-if (googleAuth && GOOGLE_SHEET_ID) {
-  customerSheetDoc = new GoogleSpreadsheet(GOOGLE_SHEET_ID);
+const sheetSources = new SheetSources({
+  openWorkbook: async (sheetId) => {
+    const workbook = new GoogleSpreadsheet(sheetId);
+    await workbook.useServiceAccountAuth(googleAuth);
+    await workbook.loadInfo();
+    return workbook;
+  },
+  defaultSheetId: GOOGLE_SHEET_ID,
+  getConfig: () => getSheetSourcesConfig(),
+  logEvent: (...args) => logEvent(...args)
+});
 
-  customerSheetDoc.useServiceAccountAuth(googleAuth).then(() => customerSheetDoc.loadInfo())
-    .then(() => {
-      // Find sheet by title for robustness (fallback to env var or index)
-      const targetSheetTitle = process.env.GOOGLE_SHEET_TAB_NAME || 'Shopify';
-      customerSheet = customerSheetDoc.sheetsByTitle[targetSheetTitle] || customerSheetDoc.sheetsByIndex[1];
+// (Re)open every sheet source, then re-index. Sources that fail are retried once after 10 seconds.
+async function loadSheetSources(reason, retry = true) {
+  const { loaded, failed } = await sheetSources.load();
+  columnMappingCache.clear(); // Re-detect columns from the loaded headers
+  if (loaded > 0) sheetIndex.sync(reason).catch(() => {}); // Failures are logged by the index
+  if (failed > 0 && retry) {
+    setTimeout(() => {
+      console.log("🔄 Retrying Google Sheets connection...");
+      loadSheetSources('sheet loaded on retry', false).catch(err => console.error("❌ Google Sheets retry failed:", err.message));
+    }, 10000); // Retry after 10 seconds
+  }
+  return { loaded, failed };
+}
 
-      if (customerSheet && customerSheet.title === targetSheetTitle) {
-        console.log(`✅ Google Sheet "${targetSheetTitle}" tab loaded successfully`);
-        statusColumnIndexCache = null; // Reset cache when sheet is loaded
-      } else if (customerSheet) {
-        console.log(`⚠️ Using fallback sheet: ${customerSheet.title} (target was "${targetSheetTitle}")`);
-      } else {
-        console.error(`❌ No sheet found with title "${targetSheetTitle}" or at index 1`);
-      }
-    })
-    .catch(err => {
-      console.error("❌ Failed to load Google Sheet:", err.message);
-      
-      // Retry Google Sheets connection after delay
-      setTimeout(async () => {
-        try {
-          console.log("🔄 Retrying Google Sheets connection...");
-          await customerSheetDoc.useServiceAccountAuth(googleAuth);
-          await customerSheetDoc.loadInfo();
-          // Find sheet by title for robustness (same logic as initial load)
-          const targetSheetTitle = process.env.GOOGLE_SHEET_TAB_NAME || 'Shopify';
-          customerSheet = customerSheetDoc.sheetsByTitle[targetSheetTitle] || customerSheetDoc.sheetsByIndex[1];
-          console.log(`✅ Google Sheet loaded on retry: ${customerSheet ? customerSheet.title : 'NOT FOUND'}`);
-          statusColumnIndexCache = null; // Reset cache when sheet is reloaded
-        } catch (retryErr) {
-          console.error("❌ Google Sheets retry failed:", retryErr.message);
-        }
-      }, 10000); // Retry after 10 seconds
-    });
-} else {
+// Sources are opened at startup, once the settings table exists
+if (!googleAuth) {
   console.warn("⚠️ Google Sheets credentials not provided");
 }
 
 // Initialize services
 const knowledgeRetriever = new AdvancedKnowledgeRetriever(pool);
 const priceValidator = new PriceValidator();
+const outboundQueue = new OutboundQueue(pool);
+const twilioSender = new TwilioSender({
+  accountSid: TWILIO_ACCOUNT_SID,
+  authToken: TWILIO_AUTH_TOKEN,
+  from: TWILIO_PHONE_NUMBER,
+  outboundQueue,
+  shouldDeliver: async () => (await getOutboundRoute()) === 'twilio',
+  logEvent: (...args) => logEvent(...args)
+});
+const mediaFetcher = new MediaFetcher({
+  twilioAccountSid: TWILIO_ACCOUNT_SID,
+  twilioAuthToken: TWILIO_AUTH_TOKEN,
+  allowedHosts: (RELAY_MEDIA_HOSTS || '').split(',')
+});
+const webhookIdempotency = new WebhookIdempotency(pool, { logEvent: (...args) => logEvent(...args) });
+const optOutRegistry = new OptOutRegistry(pool);
+const rateLimiter = new RateLimiter(pool, {
+  getRedisClient: () => redisClient, // Read lazily - redisClient drops to null on Redis errors
+  logEvent: (...args) => logEvent(...args)
+});
+
+const intentClassifier = new IntentClassifier({
+  anthropicClient,
+  model: INTENT_MODEL || ANTHROPIC_MODEL,
+  getRedisClient: () => redisClient,
+  logEvent: (...args) => logEvent(...args)
+});
+
+// Frustration score per customer message and rolling per conversation, with a staff alert threshold
+const sentimentTracker = new SentimentTracker(pool, {
+  getSettings: () => getSentimentSettings(),
+  logEvent: (...args) => logEvent(...args)
+});
+
+const inventoryLookup = new InventoryLookup(pool, {
+  storeDomain: SHOPIFY_STORE_DOMAIN,
+  accessToken: SHOPIFY_ACCESS_TOKEN,
+  getRedisClient: () => redisClient,
+  logEvent: (...args) => logEvent(...args),
+  cacheSeconds: parseInt(INVENTORY_CACHE_SECONDS, 10) || 120
+});
+
+const shopifyOrders = new ShopifyOrders({
+  storeDomain: SHOPIFY_STORE_DOMAIN,
+  accessToken: SHOPIFY_ACCESS_TOKEN,
+  getRedisClient: () => redisClient,
+  logEvent: (...args) => logEvent(...args)
+});
+
+// Proactive "your order is in production / shipped" messages when staff recolor a sheet row
+const orderStatusNotifier = new OrderStatusNotifier(pool, {
+  getSettings: () => getOrderNotificationSettings(),
+  getTimezone: async () => (await getBusinessHoursConfig()).timezone,
+  sendSms: async (phone, text) => {
+    const formatted = formatSms(text, await getSmsFormatOptions());
+    await queueOutboundSms(phone, formatted.parts, { source: 'scheduled' });
+    return formatted.text;
+  },
+  sendEmail: emailTransporter ? (email) => sendCustomerEmail(email) : null,
+  isOptedOut: (phone) => optOutRegistry.isOptedOut(phone),
+  logEvent: (...args) => logEvent(...args)
+});
+
+// Customer lookups read a Postgres mirror of the sheet instead of paging through it
+const syncIntervalMinutes = parseInt(SHEET_SYNC_INTERVAL_MINUTES, 10);
+const sheetIndex = new SheetCustomerIndex(pool, {
+  getSources: () => sheetSources.list(),
+  getConfiguredKeys: () => sheetSources.getConfigList().filter(source => source.enabled).map(source => source.key),
+  getMapping: (sourceKey) => getColumnMapping(sourceKey),
+  describeColor: (backgroundColor) => statusFromBackgroundColor(backgroundColor),
+  onStatusChange: (changes) => orderStatusNotifier.handleChanges(changes),
+  logEvent: (...args) => logEvent(...args),
+  intervalMinutes: Number.isNaN(syncIntervalMinutes) ? 10 : syncIntervalMinutes
+});
+
+// Bot activity written back to the customer's row (last contact, last message, handoff flag,
+// impatience escalation) - queued and flushed in batches to stay under the Sheets API rate limits
+const sheetWriter = new SheetWriter({
+  getSheet: (sourceKey) => (sheetSources.get(sourceKey) || {}).sheet || null,
+  statusOfColor: async (backgroundColor) => backgroundColor
+    ? (await statusFromBackgroundColor(backgroundColor)).statusColor
+    : (await getStatusMap()).fallback,
+  onEscalated: (update) => pool.query(
+    'INSERT INTO sheet_escalations(conversation_id, source, row_index, from_status, to_status) VALUES($1, $2, $3, $4, $5)',
+    [update.escalate.conversationId, update.source, update.rowIndex, update.escalate.from, update.escalate.to]
+  ),
+  logEvent: (...args) => logEvent(...args),
+  flushSeconds: parseInt(SHEET_WRITEBACK_FLUSH_SECONDS, 10) || 15
+});
+
+// One customer record per person across SMS, email and web chat conversations
+const customerIdentity = new CustomerIdentity(pool, { logEvent: (...args) => logEvent(...args) });
+
+// Carrier scans for tracking numbers - providers plug in by carrier (see carrier-tracking.js)
+const carrierTracking = new CarrierTracking({
+  getRedisClient: () => redisClient,
+  logEvent: (...args) => logEvent(...args)
+});
+const trackingProvider = TRACKING_PROVIDER || (EASYPOST_API_KEY ? 'easypost' : 'none');
+if (trackingProvider === 'easypost' && EASYPOST_API_KEY) {
+  carrierTracking.registerProvider(new CarrierTracking.EasyPostTrackingProvider({ apiKey: EASYPOST_API_KEY }));
+} else if (trackingProvider === 'mock') {
+  carrierTracking.registerProvider(new CarrierTracking.MockTrackingProvider());
+}
+
+// One reply pipeline for every channel - see conversation-engine.js
+const conversationEngine = new ConversationEngine({
+  pool,
+  anthropicClient,
+  model: ANTHROPIC_MODEL,
+  knowledgeRetriever,
+  priceValidator,
+  logEvent: (...args) => logEvent(...args),
+  getOrderStatus: (...args) => readOrderStatusColor(...args),
+  notifyHumanTakeover: (...args) => notifyHumanTakeover(...args),
+  intentClassifier,
+  sentimentTracker,
+  inventoryLookup,
+  shopifyOrders,
+  carrierTracking,
+  customerIdentity
+});
+conversationEngine
+  .registerChannel('sms', {
+    // GSM-7 swaps, segment budget, numbered parts split at sentence boundaries
+    formatReply: async (text) => formatSms(text, await getSmsFormatOptions())
+  })
+  .registerChannel('email', {
+    promptNotes: `📧 CHANNEL: This is an email reply, not a text message. Write complete sentences in a short email body ` +
+      `(no subject line, greeting or signature - those are added automatically).`,
+    maxTokens: 400
+  })
+  .registerChannel('web', {
+    promptNotes: `💬 CHANNEL: This is the live chat on moonshinestills.com, not a text message. ` +
+      `Web visitors aren't verified, so you can't look up orders here - for an existing order, ask them to text or call ` +
+      `(603) 997-6786 from the phone number on the order.`
+  });
 
 // Database initialization with retry logic
 async function initDatabase(retries = 3) {
@@ -201,6 +369,22 @@ async function initDatabase(retries = 3) {
       message TEXT NOT NULL,
       timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`);
+
+    // MMS media references (photos customers send) stored with the message
+    await pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_urls TEXT[]');
+
+    // Detected customer language per conversation, English translation per message for staff
+    await pool.query(`ALTER TABLE conversations ADD COLUMN IF NOT EXISTS language TEXT DEFAULT 'en'`);
+    await pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS translation TEXT');
+    // 'done', 'original' (already English - nothing to show) or 'failed'; NULL = never translated
+    await pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS translation_status TEXT');
+    await pool.query(`UPDATE messages SET translation_status = 'done' WHERE translation IS NOT NULL AND translation_status IS NULL`);
+    // Classified intent of each customer message (and of the reply that answered it), for routing analytics
+    await pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS intent TEXT');
+    // Frustration score (0-1) of each customer message, rolling score per conversation and when staff were last alerted
+    await pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS frustration REAL');
+    await pool.query('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS frustration REAL');
+    await pool.query('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS frustration_alerted_at TIMESTAMP');
     
     // Knowledge base table
     await pool.query(`CREATE TABLE IF NOT EXISTS knowledge (
@@ -243,6 +427,181 @@ async function initDatabase(retries = 3) {
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`);
 
+    // Outbound message queue polled by the relay device (AI, staff and scheduled messages)
+    await pool.query(`CREATE TABLE IF NOT EXISTS outbound_messages (
+      id SERIAL PRIMARY KEY,
+      phone TEXT NOT NULL,
+      message TEXT NOT NULL,
+      source TEXT DEFAULT 'ai' CHECK (source IN ('ai', 'staff', 'scheduled', 'system')),
+      status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+      attempts INTEGER DEFAULT 0,
+      send_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      locked_until TIMESTAMP,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP
+    )`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_outbound_messages_due ON outbound_messages(status, send_after)');
+    // Sender a message is pinned to ('twilio' for replies to Twilio webhooks), NULL = whoever delivers the queue
+    await pool.query('ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS route TEXT');
+
+    // Processed webhook keys so retried /reply and /human requests replay the original response
+    await pool.query(`CREATE TABLE IF NOT EXISTS processed_webhooks (
+      idempotency_key TEXT PRIMARY KEY,
+      route TEXT NOT NULL,
+      status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+      status_code INTEGER,
+      content_type TEXT,
+      response_body TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Permanent sender blocklist/allowlist for inbound rate limiting
+    await pool.query(`CREATE TABLE IF NOT EXISTS sender_lists (
+      sender TEXT PRIMARY KEY,
+      list_type TEXT NOT NULL CHECK (list_type IN ('block', 'allow')),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // SMS opt-out registry (STOP/START keywords or admin entries), keyed by last 10 digits
+    await pool.query(`CREATE TABLE IF NOT EXISTS sms_opt_outs (
+      phone TEXT PRIMARY KEY,
+      opted_out BOOLEAN NOT NULL DEFAULT true,
+      keyword TEXT,
+      source TEXT DEFAULT 'keyword' CHECK (source IN ('keyword', 'admin')),
+      note TEXT,
+      opted_out_at TIMESTAMP,
+      opted_in_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Human follow-ups queued for the next open hour (after hours / holidays)
+    await pool.query(`CREATE TABLE IF NOT EXISTS follow_up_tasks (
+      id SERIAL PRIMARY KEY,
+      phone TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      reason TEXT,
+      last_message TEXT,
+      due_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      status TEXT DEFAULT 'open' CHECK (status IN ('open', 'done', 'cancelled')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP
+    )`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_follow_up_tasks_open ON follow_up_tasks(status, due_at)');
+
+    // Product variants from the last Shopify sync, for resolving stock questions to a variant
+    await pool.query(`CREATE TABLE IF NOT EXISTS shopify_variants (
+      variant_id BIGINT PRIMARY KEY,
+      product_id BIGINT NOT NULL,
+      product_title TEXT NOT NULL,
+      product_handle TEXT,
+      product_type TEXT,
+      variant_title TEXT,
+      option1 TEXT,
+      option2 TEXT,
+      option3 TEXT,
+      sku TEXT,
+      price TEXT,
+      inventory_quantity INTEGER,
+      inventory_management TEXT,
+      inventory_policy TEXT,
+      lead_time TEXT,
+      synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // One customer per person; each conversation id (phone, email:..., web:...) is one of their identities
+    await pool.query(`CREATE TABLE IF NOT EXISTS customers (
+      id SERIAL PRIMARY KEY,
+      name TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await pool.query(`CREATE TABLE IF NOT EXISTS customer_identities (
+      identity TEXT PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL CHECK (kind IN ('phone', 'email', 'web')),
+      source TEXT DEFAULT 'inbound' CHECK (source IN ('inbound', 'sheet', 'manual')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_customer_identities_customer ON customer_identities(customer_id)');
+
+    // Postgres mirror of the customer sheet - one row per sheet row, refreshed by sheet-customer-index.js
+    await pool.query(`CREATE TABLE IF NOT EXISTS sheet_customers (
+      source TEXT NOT NULL DEFAULT 'main',
+      row_index INTEGER NOT NULL,
+      phone TEXT,
+      phone_key TEXT,
+      email TEXT,
+      emails TEXT[] DEFAULT '{}',
+      name TEXT,
+      product TEXT,
+      order_date TEXT,
+      status_color TEXT,
+      status_description TEXT,
+      fields JSONB,
+      raw_data JSONB,
+      synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (source, row_index)
+    )`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sheet_customers_phone_key ON sheet_customers(phone_key)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sheet_customers_emails ON sheet_customers USING GIN(emails)');
+    // Every mapped phone column is matched, and the mapped fields are stored with the row (column-mapping.js)
+    await pool.query('ALTER TABLE sheet_customers ADD COLUMN IF NOT EXISTS phone_keys TEXT[]');
+    await pool.query('ALTER TABLE sheet_customers ADD COLUMN IF NOT EXISTS mapped JSONB');
+    await pool.query(`UPDATE sheet_customers SET phone_keys = ARRAY[phone_key] WHERE phone_keys IS NULL AND phone_key <> ''`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sheet_customers_phone_keys ON sheet_customers USING GIN(phone_keys)');
+    // Rows from several sheet sources (sheet-sources.js): a row is identified by its source and row number.
+    // Tables from the single-tab index have a row_index primary key - replaced once, then left alone
+    await pool.query(`ALTER TABLE sheet_customers ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'main'`);
+    const sheetCustomersKey = await pool.query(
+      `SELECT array_agg(a.attname::text) AS columns FROM pg_constraint c
+       JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+       WHERE c.conrelid = 'sheet_customers'::regclass AND c.contype = 'p'`
+    );
+    const sheetCustomersKeyColumns = sheetCustomersKey.rows[0].columns;
+    if (!sheetCustomersKeyColumns || !sheetCustomersKeyColumns.includes('source')) {
+      if (sheetCustomersKeyColumns) {
+        await pool.query('ALTER TABLE sheet_customers DROP CONSTRAINT sheet_customers_pkey');
+      }
+      await pool.query('ALTER TABLE sheet_customers ADD PRIMARY KEY (source, row_index)');
+      console.log('✅ sheet_customers keyed by (source, row_index)');
+    }
+    await pool.query('DROP INDEX IF EXISTS idx_sheet_customers_source_row'); // Superseded by the primary key
+
+    // Proactive order status messages - one per order and status (order_key identifies the order across syncs)
+    await pool.query(`CREATE TABLE IF NOT EXISTS order_notifications (
+      id SERIAL PRIMARY KEY,
+      order_key TEXT NOT NULL,
+      row_index INTEGER,
+      conversation_id TEXT,
+      channel TEXT CHECK (channel IN ('sms', 'email')),
+      recipient TEXT,
+      customer_name TEXT,
+      product TEXT,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      message TEXT NOT NULL,
+      status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'held', 'sent', 'skipped', 'failed')),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP,
+      UNIQUE (order_key, to_status)
+    )`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_order_notifications_status ON order_notifications(status, created_at)');
+
+    // Row colors the bot escalated for impatient customers (audit trail + per-conversation cooldown)
+    await pool.query(`CREATE TABLE IF NOT EXISTS sheet_escalations (
+      id SERIAL PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      row_index INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await pool.query(`ALTER TABLE sheet_escalations ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'main'`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sheet_escalations_conversation ON sheet_escalations(conversation_id, created_at)');
+
     // Insert default personality if none exists
     const personalityResult = await pool.query('SELECT id FROM personality LIMIT 1');
     if (personalityResult.rows.length === 0) {
@@ -339,6 +698,12 @@ ORDER INFORMATION:
       await pool.query('INSERT INTO system_instructions(content) VALUES($1)', [defaultSystemInstructions.trim()]);
       console.log('✅ Default system instructions inserted');
     }
+
+    // Conversations from before customer identities get a customer of their own
+    const backfilled = await customerIdentity.backfill();
+    if (backfilled > 0) {
+      console.log(`✅ Linked ${backfilled} existing conversations to customer records`);
+    }
     
       console.log('✅ Database initialized successfully');
       return; // Success, exit retry loop
@@ -390,260 +755,520 @@ async function isRespondToAllEnabled() {
   }
 }
 
-// Helper function to normalize phone numbers
-function normalizePhoneNumber(phone) {
-  if (!phone) return '';
-  
-  const phoneStr = phone.toString();
-  const digitsOnly = phoneStr.replace(/\D/g, '');
-  
-  // If it starts with 1 and has 11 digits, remove the leading 1
-  if (digitsOnly.length === 11 && digitsOnly.startsWith('1')) {
-    return digitsOnly.substring(1);
+// Helper functions to read/write a single system setting
+async function getSetting(key, defaultValue = null) {
+  try {
+    const result = await pool.query('SELECT value FROM system_settings WHERE key = $1', [key]);
+    return result.rows.length > 0 ? result.rows[0].value : defaultValue;
+  } catch (err) {
+    console.error(`Error reading setting ${key}:`, err);
+    return defaultValue;
   }
-  
-  return digitsOnly;
 }
 
-// Cache for status column index to avoid repeated header lookups
-let statusColumnIndexCache = null;
+async function setSetting(key, value) {
+  await pool.query(
+    `INSERT INTO system_settings (key, value, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+    [key, String(value)]
+  );
+}
 
-// Helper function to find status column index by header name
-function getStatusColumnIndex() {
-  if (statusColumnIndexCache !== null) {
-    return statusColumnIndexCache;
-  }
+// Helper function to get the active SMS gateway mode ('tasker' or 'twilio')
+async function getSmsGatewayMode() {
+  const mode = await getSetting('sms_gateway_mode', SMS_GATEWAY_MODE);
+  return GATEWAY_MODES.includes(mode) ? mode : 'tasker';
+}
+
+// Who delivers the outbound queue: the relay phone polling /api/outbox (Tasker in outbox mode),
+// Twilio's REST API (any other mode, when TWILIO_PHONE_NUMBER is set), or nobody (null)
+async function getOutboundRoute() {
+  if (await getSmsGatewayMode() === 'tasker' && await getReplyDeliveryMode() === 'outbox') return 'relay';
+  return twilioSender.isConfigured() ? 'twilio' : null;
+}
+
+const NO_OUTBOUND_ROUTE_ERROR = 'Nothing delivers outbound SMS in this mode: switch Tasker to outbox delivery, or set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER';
 
-  if (!customerSheet || !customerSheet.headerValues) {
-    console.warn('⚠️ No sheet headers available, using fallback status column index 4');
-    return 4; // Fallback to original hardcoded index
+// Queue SMS parts for delivery. Throws (err.status = 409) instead of queueing what nothing would send.
+// pinnedRoute 'twilio' sends through Twilio whatever the stored gateway/delivery mode (replies to Twilio webhooks).
+async function queueOutboundSms(phone, parts, { source, sendAfter = null, pinnedRoute = null }) {
+  const route = pinnedRoute || await getOutboundRoute();
+  if (!route || (route === 'twilio' && !twilioSender.isConfigured())) {
+    const err = new Error(NO_OUTBOUND_ROUTE_ERROR);
+    err.status = 409;
+    throw err;
   }
 
-  // Try common status header variations (with env var override)
-  const envStatusHeader = process.env.GOOGLE_SHEET_STATUS_COLUMN;
-  const statusHeaders = envStatusHeader ?
-    [envStatusHeader, 'Status', 'Order Status', 'status', 'ORDER STATUS', 'Shipping Status', 'Order State'] :
-    ['Status', 'Order Status', 'status', 'ORDER STATUS', 'Shipping Status', 'Order State'];
-  const headers = customerSheet.headerValues;
+  const queued = [];
+  for (const part of parts) {
+    queued.push(await outboundQueue.enqueue(phone, part, { source, sendAfter, route: pinnedRoute }));
+  }
+  if (route === 'twilio' && !sendAfter) {
+    twilioSender.deliverDue().catch(err => console.error('❌ Twilio outbound delivery failed:', err.message));
+  }
+  return queued;
+}
 
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i];
-    if (statusHeaders.some(statusHeader =>
-      header && header.toString().toLowerCase().includes(statusHeader.toLowerCase())
-    )) {
-      console.log(`✅ Found status column "${header}" at index ${i}`);
-      statusColumnIndexCache = i;
-      return i;
-    }
+// Helper function to get SMS formatting options (stored as JSON in system_settings)
+async function getSmsFormatOptions() {
+  const stored = await getSetting('sms_format', null);
+  try {
+    return { ...DEFAULT_FORMAT_OPTIONS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (err) {
+    console.error('Invalid sms_format setting, using defaults:', err.message);
+    return { ...DEFAULT_FORMAT_OPTIONS };
   }
+}
 
-  console.warn(`⚠️ No status column found in headers: [${headers.slice(0, 10).join(', ')}], using fallback index 4`);
-  statusColumnIndexCache = 4; // Cache the fallback
-  return 4;
+// SMS replies go through the segment-aware formatter; web chat and email show the reply as written
+async function formatReplyForChannel(channel, reply) {
+  return conversationEngine.formatReply(channel, reply);
 }
 
-// Response validator to prevent AI hallucinations
-function validateAndSanitizeResponse(response, orderInfo = '', customer = null) {
-  if (!response) return response;
+// Web chat visitors are prospects, so they always get answers; SMS follows respond-to-all mode
+async function respondsToNonCustomers(channel) {
+  return channel === 'web' || isRespondToAllEnabled();
+}
 
-  let validated = response;
-  let flagged = false;
+// Helper function to get how /reply delivers Tasker replies ('sync' or 'outbox')
+async function getReplyDeliveryMode() {
+  const mode = await getSetting('reply_delivery_mode', REPLY_DELIVERY_MODE);
+  return DELIVERY_MODES.includes(mode) ? mode : 'sync';
+}
 
-  // 1. Check for fabricated order numbers (SP-### patterns) not in orderInfo
-  const orderNumberPattern = /(order\s*#?\s*|#)\s*(sp-\d+|ms\d+|\d{3,6})/gi;
-  const orderMatches = validated.match(orderNumberPattern);
-  if (orderMatches) {
-    // Check if any order numbers are NOT in the actual orderInfo
-    const hasValidOrderRef = orderMatches.some(match =>
-      orderInfo && orderInfo.toLowerCase().includes(match.toLowerCase())
-    );
-    if (!hasValidOrderRef) {
-      flagged = true;
-      console.warn(`⚠️ Response validation: Blocked fabricated order number - ${orderMatches.join(', ')}`);
-    }
+// Helper function to get the business-hours calendar (weekly schedule, holidays, per-mode behavior)
+async function getBusinessHoursConfig() {
+  const stored = await getSetting('business_hours', null);
+  try {
+    return normalizeConfig(stored ? JSON.parse(stored) : DEFAULT_BUSINESS_HOURS);
+  } catch (err) {
+    console.error('Invalid business_hours setting, using defaults:', err.message);
+    return normalizeConfig(DEFAULT_BUSINESS_HOURS);
   }
+}
 
-  // 2. Check for specific date claims not in orderInfo
-  const datePattern = /(before|after|since|on|from)\s+(january|february|march|april|may|june|july|august|september|october|november|december|\d{1,2}\/\d{1,2}|\d{4})/gi;
-  const dateMatches = validated.match(datePattern);
-  if (dateMatches) {
-    const hasValidDateRef = dateMatches.some(match =>
-      orderInfo && orderInfo.toLowerCase().includes(match.toLowerCase())
-    );
-    if (!hasValidDateRef) {
-      flagged = true;
-      console.warn(`⚠️ Response validation: Blocked fabricated date reference - ${dateMatches.join(', ')}`);
-    }
+// Helper function to get proactive order notification settings (templates, quiet hours, bulk limit)
+async function getOrderNotificationSettings() {
+  const stored = await getSetting('order_notifications', null);
+  try {
+    return OrderStatusNotifier.normalizeSettings(stored ? JSON.parse(stored) : {});
+  } catch (err) {
+    console.error('Invalid order_notifications setting, using defaults:', err.message);
+    return OrderStatusNotifier.normalizeSettings({});
   }
+}
 
-  // 3. Check for "expedited" without PURPLE status confirmation
-  const expeditePattern = /expedite|expedited|expediting/gi;
-  if (expeditePattern.test(validated)) {
-    // Only allow if we have explicit expedited status (would need status color context)
-    // For now, flag all expedited claims unless specifically verified
-    const hasValidExpediteStatus = orderInfo && orderInfo.toLowerCase().includes('expedit');
-    if (!hasValidExpediteStatus) {
-      flagged = true;
-      console.warn(`⚠️ Response validation: Blocked unverified expedited claim`);
-    }
+// Helper function to get sentiment tracking settings (alert threshold, smoothing, pause on alert)
+async function getSentimentSettings() {
+  const stored = await getSetting('sentiment', null);
+  try {
+    return SentimentTracker.normalizeSettings(stored ? JSON.parse(stored) : {});
+  } catch (err) {
+    console.error('Invalid sentiment setting, using defaults:', err.message);
+    return SentimentTracker.normalizeSettings({});
+  }
+}
+
+// Helper function to get sheet write-back settings (columns, impatience escalation)
+async function getSheetWritebackSettings() {
+  const stored = await getSetting('sheet_writeback', null);
+  try {
+    return SheetWriter.normalizeSettings(stored ? JSON.parse(stored) : {});
+  } catch (err) {
+    console.error('Invalid sheet_writeback setting, using defaults:', err.message);
+    return SheetWriter.normalizeSettings({});
   }
+}
 
-  // If flagged, replace with safe fallback
-  if (flagged) {
-    console.log(`🚫 Response validation triggered - replacing with safe fallback`);
-    return "Let me check your order details and get back to you shortly. Please call (603) 997-6786 if you need immediate assistance.";
+// Queue a human follow-up for the next open hour (one open task per phone)
+async function queueFollowUpTask(phone, businessMode, message) {
+  const verb = phone.startsWith('email:') ? 'Emailed' : phone.startsWith('web:') ? 'Chatted' : 'Texted';
+  const reason = businessMode.mode === 'holiday'
+    ? `${verb} during holiday closure (${businessMode.holiday.name || businessMode.holiday.date})`
+    : `${verb} after hours`;
+
+  const updated = await pool.query(
+    `UPDATE follow_up_tasks SET last_message=$2 WHERE phone=$1 AND status='open' RETURNING id`,
+    [phone, message]
+  );
+  if (updated.rows.length > 0) {
+    return updated.rows[0].id;
   }
 
-  return validated;
+  const result = await pool.query(
+    `INSERT INTO follow_up_tasks(phone, mode, reason, last_message, due_at)
+     VALUES($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP)) RETURNING id`,
+    [phone, businessMode.mode, reason, message, businessMode.nextOpen]
+  );
+  await logEvent('info', `Follow-up task queued for ${phone} (${reason}), due ${businessMode.nextOpen ? businessMode.nextOpen.toISOString() : 'now'}`);
+  return result.rows[0].id;
 }
 
-// Fallback in-memory cache for when Redis is unavailable
-const fallbackCache = new Map();
-const CACHE_DURATION = 5 * 60; // 5 minutes in seconds
+// Log and return the away message to send while AI replies are off, or null when none is configured
+// or it already went out during this closure (sent once per closure, not after every message)
+async function takeAwayMessage(conversationId, businessMode, timezone) {
+  const awayMessage = renderModeText(businessMode.settings.awayMessage, businessMode, timezone).trim();
+  if (!awayMessage) return null;
+
+  const lastReply = await pool.query(
+    `SELECT message FROM messages WHERE phone=$1 AND sender='assistant' ORDER BY timestamp DESC LIMIT 1`,
+    [conversationId]
+  );
+  if (lastReply.rows[0]?.message === awayMessage) return null;
+
+  await pool.query(
+    'INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4)',
+    [conversationId, 'assistant', awayMessage, new Date()]
+  );
+  await logEvent('info', `Sent ${businessMode.mode} away message to ${conversationId}`);
+  return awayMessage;
+}
+
+// Helper function to get inbound rate limit settings (per sender, global, auto-block)
+async function getRateLimitConfig() {
+  const stored = await getSetting('rate_limits', null);
+  try {
+    return RateLimiter.normalizeConfig(stored ? JSON.parse(stored) : {});
+  } catch (err) {
+    console.error('Invalid rate_limits setting, using defaults:', err.message);
+    return RateLimiter.normalizeConfig({});
+  }
+}
 
-// Cache helper functions
-async function getCachedCustomer(cacheKey) {
-  if (redisClient) {
+// Rate limit middleware for an inbound channel; onLimited answers without processing
+function inboundRateLimit(channel, { getSender, onLimited, bypass = () => false }) {
+  return async (req, res, next) => {
+    if (bypass(req)) return next();
     try {
-      const cached = await redisClient.get(`customer:${cacheKey}`);
-      if (cached) {
-        console.log(`📋 Redis cache hit for phone: ${cacheKey}`);
-        return JSON.parse(cached);
+      const sender = getSender(req);
+      const result = await rateLimiter.check(channel, sender, await getRateLimitConfig());
+      if (!result.allowed) {
+        console.log(`🚫 Dropped ${channel} message from ${sender}: ${result.reason}`);
+        return onLimited(req, res, result);
       }
     } catch (err) {
-      console.error('Redis get error:', err);
+      // Never drop a customer message because the limiter itself failed
+      console.error('Rate limit check error:', err);
     }
+    next();
+  };
+}
+
+// Update the conversation's language when an inbound message clearly uses a different one
+async function updateConversationLanguage(conversation, text) {
+  const detected = detectLanguage(text);
+  const current = conversation.language || 'en';
+  if (!detected.confident || detected.language === current) {
+    return current;
+  }
+
+  await pool.query('UPDATE conversations SET language=$1 WHERE phone=$2', [detected.language, conversation.phone]);
+  await logEvent('info', `Conversation ${conversation.phone} language changed: ${getLanguageName(current)} → ${getLanguageName(detected.language)}`);
+  conversation.language = detected.language;
+  return detected.language;
+}
+
+// Translate one message to English and store the outcome on it, so it is never re-requested by itself:
+// the translation ('done'), 'original' when the message is already English, or 'failed'
+const translationsInFlight = new Set();
+async function translateMessage(row) {
+  translationsInFlight.add(row.id);
+  try {
+    const translation = await translateToEnglish(anthropicClient, ANTHROPIC_MODEL, row.message);
+    const sameText = translation && translation.trim().toLowerCase() === row.message.trim().toLowerCase();
+    const status = !translation ? 'failed' : sameText ? 'original' : 'done';
+    await pool.query(
+      'UPDATE messages SET translation=$1, translation_status=$2 WHERE id=$3',
+      [status === 'done' ? translation : null, status, row.id]
+    );
+    return { translation: status === 'done' ? translation : null, translation_status: status };
+  } finally {
+    translationsInFlight.delete(row.id);
+  }
+}
+
+// Translate new messages for the dashboard without delaying replies
+function translateMessagesInBackground(rows) {
+  for (const row of rows) {
+    if (!row.id || !row.message || translationsInFlight.has(row.id)) continue;
+    translateMessage(row).catch(err => console.error(`Failed to store translation for message ${row.id}:`, err));
   }
+}
+
+// Helper function to normalize phone numbers
+function normalizePhoneNumber(phone) {
+  if (!phone) return '';
+  
+  const phoneStr = phone.toString();
+  const digitsOnly = phoneStr.replace(/\D/g, '');
   
-  // Fallback to in-memory cache
-  const cached = fallbackCache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp) < (CACHE_DURATION * 1000)) {
-    console.log(`📋 Memory cache hit for phone: ${cacheKey}`);
-    return cached.customer;
+  // If it starts with 1 and has 11 digits, remove the leading 1
+  if (digitsOnly.length === 11 && digitsOnly.startsWith('1')) {
+    return digitsOnly.substring(1);
   }
   
-  return null;
+  return digitsOnly;
 }
 
-async function setCachedCustomer(cacheKey, customer) {
-  if (redisClient) {
+// Oldest message (relative to the newest) that can be merged into one coalesced turn
+const COALESCE_MAX_SPAN_MS = 2 * 60 * 1000;
+
+// Column mapping per sheet source key (reset when an admin saves one or the sources reload)
+const columnMappingCache = new Map();
+
+// Cache for the color -> status map (reset when an admin saves it)
+let statusMapCache = null;
+
+/**
+ * Configured sheet sources. Until staff save a list there is one: GOOGLE_SHEET_TAB_NAME in
+ * GOOGLE_SHEET_ID, with the column mapping confirmed before sources existed (column_mapping).
+ */
+async function getSheetSourcesConfig() {
+  const stored = await getSetting('sheet_sources', null);
+  if (stored) {
     try {
-      await redisClient.setEx(`customer:${cacheKey}`, CACHE_DURATION, JSON.stringify(customer));
+      return SheetSources.normalizeSources(JSON.parse(stored));
     } catch (err) {
-      console.error('Redis set error:', err);
+      console.error('Invalid sheet_sources setting, using GOOGLE_SHEET_TAB_NAME:', err.message);
     }
   }
-  
-  // Always set in fallback cache
-  fallbackCache.set(cacheKey, {
-    customer,
-    timestamp: Date.now()
-  });
-  
-  // Clean up fallback cache if it gets too large
-  if (fallbackCache.size > 50) {
-    const oldestKeys = Array.from(fallbackCache.keys()).slice(0, 10);
-    oldestKeys.forEach(key => fallbackCache.delete(key));
+
+  let mapping = null;
+  const legacyMapping = await getSetting('column_mapping', null);
+  if (legacyMapping) {
+    try {
+      mapping = JSON.parse(legacyMapping);
+    } catch (err) {
+      console.error('Invalid column_mapping setting, detecting columns from headers:', err.message);
+    }
   }
+  const tab = process.env.GOOGLE_SHEET_TAB_NAME || 'Shopify';
+  return SheetSources.normalizeSources([{ key: 'main', label: tab, sheetId: '', tab, priority: 1, mapping }]);
 }
 
-// Helper function to find customer by phone in Google Sheets
-async function findCustomerByPhone(phone) {
-  if (!customerSheet) return null;
-
-  const normalizedPhone = normalizePhoneNumber(phone);
-  const cacheKey = normalizedPhone;
+// What detection suggests for a source from its headers (GOOGLE_SHEET_STATUS_COLUMN is still honored for status)
+function suggestSourceMapping(source) {
+  const headers = source && source.sheet ? source.sheet.headerValues || [] : [];
+  const statusHeader = process.env.GOOGLE_SHEET_STATUS_COLUMN;
+  return suggestMapping(headers, statusHeader ? { status: [statusHeader] } : {});
+}
 
-  // Check cache first
-  const cached = await getCachedCustomer(cacheKey);
-  if (cached) {
-    return cached;
-  }
+/**
+ * A sheet source's column mapping: the one staff confirmed, or columns detected from its headers.
+ * Defaults to the highest priority source.
+ */
+async function getColumnMapping(sourceKey = null) {
+  const source = sourceKey ? sheetSources.get(sourceKey) : sheetSources.primary();
+  const key = source ? source.key : sourceKey;
+  if (columnMappingCache.has(key)) return columnMappingCache.get(key);
+  if (source && source.mapping) return normalizeMapping(source.mapping);
+
+  const mapping = normalizeMapping(suggestSourceMapping(source).mapping);
+  if (source && source.sheet) columnMappingCache.set(key, mapping); // Nothing to cache until the tab has loaded
+  return mapping;
+}
 
+// Helper function to get the color -> status map (cached until it is saved again)
+async function getStatusMap() {
+  if (statusMapCache) return statusMapCache;
+  const stored = await getSetting('status_map', null);
   try {
-    // Load all rows with pagination to ensure complete customer coverage
-    // Reduced batch size to prevent memory issues on free hosting
-    const allRows = [];
-    let offset = 0;
-    const batchSize = 500; // Reduced from 1000 to 500
+    statusMapCache = normalizeStatusMap(stored ? JSON.parse(stored) : DEFAULT_STATUS_MAP);
+  } catch (err) {
+    console.error('Invalid status_map setting, using defaults:', err.message);
+    statusMapCache = normalizeStatusMap(DEFAULT_STATUS_MAP);
+  }
+  return statusMapCache;
+}
 
-    while (true) {
-      const batch = await customerSheet.getRows({ limit: batchSize, offset });
-      if (batch.length === 0) break;
-      allRows.push(...batch);
-      if (batch.length < batchSize) break; // No more rows
-      offset += batchSize;
+/**
+ * Row background color -> order status from the stored status map.
+ * Shared by the live row lookup, the sheet index sync and the status map test tool.
+ */
+async function statusFromBackgroundColor(bgColor) {
+  return matchColor(await getStatusMap(), bgColor);
+}
 
-      // Add memory check and early exit if too many rows
-      if (allRows.length > 5000) {
-        console.warn(`⚠️ Sheet has too many rows (${allRows.length}+), limiting to first 5000 for memory`);
-        break;
-      }
+// First colored cell in columns A-F of a loaded row - staff color the entire row
+function findRowBackground(sheet, rowIndex) {
+  for (let colIndex = 0; colIndex < 6; colIndex++) {
+    const cell = sheet.getCell(rowIndex - 1, colIndex);
+    if (cell && cell.backgroundColor) {
+      return { backgroundColor: cell.backgroundColor, column: colIndex };
     }
+  }
+  return null;
+}
 
-    const normalizedInputPhone = normalizePhoneNumber(phone);
-    
-    console.log(`🔍 Looking for phone: ${phone} -> normalized: ${normalizedInputPhone}`);
-    
-    let foundCustomer = null;
-    let foundRowIndex = -1;
-    
-    // Log memory usage for monitoring
-    const memUsage = process.memoryUsage();
-    console.log(`📊 Memory: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB heap, ${Math.round(memUsage.rss / 1024 / 1024)}MB total`);
-    
-    // Helper function to get phone field from row using various header names
-    function getPhoneFromRow(row) {
-      // Try common phone header variations
-      const phoneHeaders = ['Phone', 'phone', 'Phone Number', 'phone_number', 'PhoneNumber', 'PHONE', 'Tel', 'Mobile'];
-      
-      for (const header of phoneHeaders) {
-        const value = row[header];
-        if (value) return value;
-      }
-      
-      // Fallback to raw data index 6 (for backward compatibility)
-      return row._rawData[6];
+/**
+ * Order status from the customer's row background color in Google Sheets.
+ * Returns { statusColor, statusDescription, shipped, playbook }, or null when the row can't be read.
+ */
+async function readOrderStatusColor(customer, phone) {
+  const rowIndex = customer.googleRowIndex;
+  // The color from the last index sync, with its current description and playbook
+  const indexedStatus = async () => customer.indexedStatus ? describeStatus(await getStatusMap(), customer.indexedStatus) : null;
+  // Without a live connection to the row's source, use the color from the last index sync
+  const sheet = (sheetSources.get(customer.sheetSource) || {}).sheet;
+  if (!sheet || !rowIndex) return indexedStatus();
+
+  // Make color column configurable and expandable (defaults to the mapped status column)
+  const statusColumnIndex = (sheet.headerValues || []).indexOf((await getColumnMapping(customer.sheetSource)).status);
+  const colorColumnIndex = process.env.GOOGLE_SHEET_COLOR_COLUMN ?
+    parseInt(process.env.GOOGLE_SHEET_COLOR_COLUMN) : (statusColumnIndex >= 0 ? statusColumnIndex : 4);
+  const maxColumnIndex = Math.max(10, colorColumnIndex + 1); // Ensure we include the color column
+  const columnLetter = String.fromCharCode(65 + maxColumnIndex - 1); // Convert to letter (A=0, B=1, etc.)
+
+  // Load only specific cells to reduce memory usage
+  await sheet.loadCells(`A${rowIndex}:${columnLetter}${rowIndex}`);
+  console.log(`📋 Loading cells A${rowIndex}:${columnLetter}${rowIndex} of "${customer.sheetSource}" for status check`);
+
+  // Rows inserted since the last index sync shift row numbers - if this row now holds
+  // someone else, use the color recorded by the sync instead
+  const firstCell = sheet.getCell(rowIndex - 1, 0);
+  if (customer._rawData && String(firstCell.formattedValue ?? '') !== String(customer._rawData[0] ?? '')) {
+    console.log(`⚠️ Row ${rowIndex} changed since the last index sync, using indexed status`);
+    return indexedStatus();
+  }
+
+  const found = findRowBackground(sheet, rowIndex);
+  if (!found) return null;
+
+  // Log the cell position and color for audit
+  const bgColor = found.backgroundColor;
+  console.log(`🎨 Row color detected from Column ${found.column} (${String.fromCharCode(65 + found.column)}) at Row ${rowIndex}`);
+  console.log(`🎨 RGB values for ${phone}: R=${(bgColor.red || 0).toFixed(3)} G=${(bgColor.green || 0).toFixed(3)} B=${(bgColor.blue || 0).toFixed(3)}`);
+  const status = await statusFromBackgroundColor(bgColor);
+
+  console.log(`🎨 Mapped status for ${phone}: ${status.statusColor.toUpperCase()} = ${status.statusDescription}`);
+  return status;
+}
+
+// Email the team when a customer asks for a person (the engine has already paused the conversation),
+// or when their frustration score crosses the alert threshold (sentiment set; paused only with pauseOnAlert)
+async function notifyHumanTakeover({ conversationId, channel, customerName, userMessage, sentiment = null }) {
+  if (!emailTransporter) return;
+
+  const customerInfo = customerName ? `${customerName} (${conversationId})` : conversationId;
+  const frustrationInfo = sentiment
+    ? `<p><strong>Frustration:</strong> ${Math.round(sentiment.rolling * 100)}% (this message ${Math.round(sentiment.score * 100)}%${sentiment.signals.length > 0 ? `: ${sentiment.signals.join(', ')}` : ''})</p>`
+    : '';
+  let summary = `<p>Customer has requested to stop AI responses. Please contact them directly or call (603) 997-6786.</p>
+      <p><em>Conversation has been automatically paused.</em></p>`;
+  if (sentiment) {
+    summary = sentiment.pauseOnAlert
+      ? `<p>Customer is getting frustrated with the bot. Please contact them directly.</p>
+      <p><em>Conversation has been automatically paused.</em></p>`
+      : `<p>Customer is getting frustrated. The AI is still answering - consider taking over the conversation from the dashboard.</p>`;
+  }
+
+  await emailTransporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: 'universalstills@gmail.com',
+    subject: sentiment && !sentiment.pauseOnAlert
+      ? `😠 Frustrated Customer - ${customerInfo}`
+      : `🚨 Human Takeover Required - Customer ${customerInfo}`,
+    html: `
+      <h2>${sentiment ? 'Frustrated Customer' : 'Human Takeover Request'}</h2>
+      <p><strong>Customer:</strong> ${customerInfo}</p>
+      <p><strong>Channel:</strong> ${channel}</p>
+      <p><strong>Trigger Message:</strong> "${userMessage}"</p>
+      ${frustrationInfo}
+      <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+      <hr>
+      ${summary}
+    `
+  });
+  await logEvent('info', `${sentiment && !sentiment.pauseOnAlert ? 'Frustration alert' : 'Human takeover'} email sent for ${conversationId}`);
+}
+
+// Email a customer from the shop (email replies and order notifications share the layout)
+async function sendCustomerEmail({ to, name, subject, text }) {
+  await emailTransporter.sendMail({
+    from: `"The Distillery Network" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    text,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
+          <p>Hi ${name},</p>
+          <div style="white-space: pre-wrap; line-height: 1.6;">${text.replace(/\n/g, '<br>')}</div>
+          <br>
+          <p style="color: #6c757d; font-size: 14px;">
+            Best regards,<br>
+            The Distillery Network Team<br>
+            <a href="https://thedistillerynetwork.com">thedistillerynetwork.com</a>
+          </p>
+        </div>
+      </div>
+    `
+  });
+}
+
+// Link a conversation to its customer record, together with the other contact on their sheet row
+// (the email for an SMS customer, the phone for an email customer). Never blocks the reply.
+async function linkCustomerIdentity(conversationId, name, customer) {
+  const relatedIds = [];
+  if (customer) {
+    const fields = customer.mapped || {};
+    const email = String(fields.email || customer.email || '').toLowerCase().trim();
+    if (email.includes('@')) relatedIds.push(`email:${email}`);
+    for (const phone of [...(fields.phones || []), customer.phone].map(normalizePhoneNumber)) {
+      if (phone.length === 10 && !relatedIds.includes(phone)) relatedIds.push(phone);
     }
-    
-    allRows.forEach((row, index) => {
-      const phoneField = getPhoneFromRow(row);
-      if (!phoneField || foundCustomer) return;
-      
-      const normalizedRowPhone = normalizePhoneNumber(phoneField);
-      
-      // Exact match
-      if (normalizedRowPhone === normalizedInputPhone) {
-        console.log(`✅ EXACT MATCH found at Row ${index}`);
-        foundCustomer = row;
-        foundRowIndex = index + 1; // Google Sheets is 1-indexed
-        return;
-      }
-      
-      // Partial match (last 10 digits)
-      if (normalizedRowPhone.length >= 10 && normalizedInputPhone.length >= 10) {
-        const rowLast10 = normalizedRowPhone.slice(-10);
-        const inputLast10 = normalizedInputPhone.slice(-10);
-        
-        if (rowLast10 === inputLast10) {
-          console.log(`✅ PARTIAL MATCH found at Row ${index} (last 10 digits)`);
-          foundCustomer = row;
-          foundRowIndex = index + 1; // Google Sheets is 1-indexed
-          return;
-        }
-      }
-    });
-    
-    if (foundCustomer) {
-      foundCustomer.googleRowIndex = foundRowIndex;
-      // Cache the result
-      await setCachedCustomer(cacheKey, foundCustomer);
+  }
+
+  try {
+    return await customerIdentity.link(conversationId, { name, relatedIds });
+  } catch (err) {
+    console.error(`❌ Customer identity link failed for ${conversationId}:`, err.message);
+    await logEvent('error', `Customer identity link failed for ${conversationId}: ${err.message}`);
+    return null;
+  }
+}
+
+// Index record -> the customer/order object the rest of the app reads (header fields + _rawData + row reference)
+function sheetRecordToCustomer(record) {
+  return {
+    ...record.fields,
+    _rawData: record.raw_data,
+    mapped: record.mapped,
+    sheetSource: record.source,
+    sheetSourceLabel: sheetSources.label(record.source),
+    googleRowIndex: record.row_index,
+    indexedStatus: record.status_color
+      ? { statusColor: record.status_color, statusDescription: record.status_description }
+      : null
+  };
+}
+
+// The customer's details come from their first row in the highest priority source that has them;
+// rows are listed lowest priority source first, so that source's rows are the last ones
+function primarySheetRecord(records) {
+  const bestSource = records[records.length - 1].source;
+  return records.find(record => record.source === bestSource);
+}
+
+// Customer by phone from the sheet index, searched across every sheet source: the first matching row
+// of the highest priority source with every matching row in .orders, oldest first, so repeat
+// customers get all their orders (archive tabs included).
+async function findCustomerByPhone(phone) {
+  try {
+    const records = await sheetIndex.findByPhone(normalizePhoneNumber(phone));
+    if (records.length === 0) return null;
+
+    const orders = records.map(sheetRecordToCustomer);
+    const primary = sheetRecordToCustomer(primarySheetRecord(records));
+    if (orders.length > 1) {
+      const sources = [...new Set(orders.map(order => order.sheetSource))];
+      console.log(`📋 ${orders.length} orders found for ${normalizePhoneNumber(phone)} in ${sources.join(', ')}`);
     }
-    
-    return foundCustomer;
+    console.log(`📋 Customer ${normalizePhoneNumber(phone)} matched in sheet source "${primary.sheetSource}" row ${primary.googleRowIndex}`);
+    return { ...primary, orders };
   } catch (error) {
-    console.error('Google Sheets lookup error:', error.message);
-    await logEvent('error', `Google Sheets lookup failed for phone ${phone}: ${error.message}`);
+    console.error('Customer index lookup error:', error.message);
+    await logEvent('error', `Customer lookup failed for phone ${phone}: ${error.message}`);
     return null;
   }
 }
@@ -669,32 +1294,10 @@ const monitorMemory = async () => {
   const rssMB = Math.round(memUsage.rss / 1024 / 1024);
   
   console.log(`📊 Memory: ${heapUsedMB}MB heap, ${rssMB}MB total`);
-  console.log(`📊 Fallback cache size: ${fallbackCache.size} entries`);
   
-  // Clear cache if memory usage is high (reduced threshold for free hosting)
-  if (heapUsedMB > 200) { // Reduced from 350MB to 200MB
-    console.log('⚠️ High memory usage detected, clearing fallback cache...');
-    fallbackCache.clear();
-    
-    // Clear Redis cache if available - use SCAN to avoid blocking
-    if (redisClient) {
-      try {
-        const pipeline = redisClient.multi();
-        let deletedCount = 0;
-
-        for await (const key of redisClient.scanIterator({ MATCH: 'customer:*', COUNT: 100 })) {
-          pipeline.del(key);
-          deletedCount++;
-        }
-
-        if (deletedCount > 0) {
-          await pipeline.exec();
-          console.log(`🗑️ Cleared ${deletedCount} Redis cache entries using SCAN`);
-        }
-      } catch (err) {
-        console.error('Error clearing Redis cache:', err);
-      }
-    }
+  // Reduced threshold for free hosting
+  if (heapUsedMB > 200) {
+    console.log('⚠️ High memory usage detected');
     
     // Force garbage collection if available
     if (global.gc) {
@@ -707,11 +1310,26 @@ const monitorMemory = async () => {
 // Monitor memory every 2 minutes
 setInterval(monitorMemory, 120000);
 
+// Prune old webhook idempotency keys every hour
+setInterval(() => {
+  webhookIdempotency.prune()
+    .then(count => count > 0 && console.log(`🗑️ Pruned ${count} processed webhook keys`))
+    .catch(err => console.error('Error pruning webhook keys:', err));
+}, 60 * 60 * 1000);
+
 // Initial memory report
 setTimeout(monitorMemory, 5000);
 
 // Email response endpoint for customer emails to owner@thedistillerynetwork.com
-app.post('/email-notify', async (req, res) => {
+const emailRateLimit = inboundRateLimit('email', {
+  getSender: (req) => req.body.from_email,
+  onLimited: (req, res, result) => {
+    if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json({ success: false, rate_limited: true, message: `Email not processed: ${result.reason}` });
+  }
+});
+
+app.post('/email-notify', emailRateLimit, async (req, res) => {
   try {
     const { from_email, subject, body, to_email } = req.body;
     
@@ -781,46 +1399,101 @@ app.post('/email-notify', async (req, res) => {
 
     // Log the email as an incoming message
     const emailMessage = `📧 ${subject}\n\n${body}`;
-    await pool.query(
-      'INSERT INTO messages (phone, sender, message) VALUES ($1, $2, $3)',
+    const insertResult = await pool.query(
+      'INSERT INTO messages (phone, sender, message) VALUES ($1, $2, $3) RETURNING id',
       [emailId, 'user', emailMessage]
     );
+    await linkCustomerIdentity(emailId, customerName, customer);
 
-    // Generate AI response using the same logic as SMS
-    const aiResponse = await generateAIResponse(emailId, emailMessage, customer);
-    
-    // Log the AI response
-    await pool.query(
-      'INSERT INTO messages (phone, sender, message) VALUES ($1, $2, $3)',
-      [emailId, 'assistant', aiResponse]
-    );
-
-    // Send email response if email transporter is configured
-    let emailSent = false;
-    let emailError = null;
-    
-    if (emailTransporter) {
-      try {
-        await emailTransporter.sendMail({
-          from: `"The Distillery Network" <${process.env.EMAIL_USER}>`,
-          to: from_email,
-          subject: `Re: ${subject}`,
-          text: aiResponse,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
-                <p>Hi ${customerName},</p>
-                <div style="white-space: pre-wrap; line-height: 1.6;">${aiResponse.replace(/\n/g, '<br>')}</div>
-                <br>
-                <p style="color: #6c757d; font-size: 14px;">
-                  Best regards,<br>
-                  The Distillery Network Team<br>
-                  <a href="https://thedistillerynetwork.com">thedistillerynetwork.com</a>
-                </p>
-              </div>
-            </div>
-          `
-        });
+    // Human takeover (or staff pause) applies to email the same as SMS
+    if (conversation.paused) {
+      await logEvent('info', `AI is paused for ${emailId}, no automated email response sent.`);
+      return res.json({
+        success: true,
+        message: 'Email logged but AI is paused for this conversation',
+        customer_found: true,
+        customer_name: customerName,
+        ai_response: null,
+        email_sent: false,
+        paused: true
+      });
+    }
+
+    // Same context as SMS: business-hours instructions and the customer's language
+    const language = await updateConversationLanguage(conversation, body);
+    const businessHours = await getBusinessHoursConfig();
+    const businessMode = getBusinessMode(businessHours);
+
+    // AI replies off for this mode: send the away message (once per closure) instead of an AI answer
+    if (!businessMode.settings.aiReplies) {
+      const awayMessage = await takeAwayMessage(emailId, businessMode, businessHours.timezone);
+      let emailSent = false;
+      let emailError = null;
+      if (awayMessage && emailTransporter) {
+        try {
+          await sendCustomerEmail({ to: from_email, name: customerName, subject: `Re: ${subject}`, text: awayMessage });
+          emailSent = true;
+        } catch (error) {
+          emailError = error.message;
+          console.error('❌ Failed to send away email:', error);
+          await logEvent('error', `Failed to send away email to ${from_email}: ${error.message}`);
+        }
+      }
+      if (!awayMessage) {
+        await logEvent('info', `AI replies disabled during ${businessMode.mode} - no response to ${emailId}`);
+      } else if (businessMode.settings.followUp) {
+        await queueFollowUpTask(emailId, businessMode, emailMessage);
+      }
+
+      return res.json({
+        success: true,
+        message: awayMessage ? `Email processed and ${businessMode.mode} away message ${emailSent ? 'sent' : 'not sent'}` : `Email logged but AI replies are disabled during ${businessMode.mode}`,
+        customer_found: true,
+        customer_name: customerName,
+        ai_response: null,
+        away_message: awayMessage,
+        business_mode: businessMode.mode,
+        email_sent: emailSent,
+        email_error: emailError,
+        email_configured: !!emailTransporter
+      });
+    }
+
+    const instructions = [getLanguageInstruction(language)];
+    const modeInstructions = renderModeText(businessMode.settings.instructions, businessMode, businessHours.timezone).trim();
+    if (modeInstructions) {
+      instructions.unshift(`🕘 BUSINESS HOURS (${businessMode.mode.replace('_', ' ')}): ${modeInstructions}`);
+    }
+
+    // Generate, validate and log the AI response through the shared conversation engine.
+    // beforeId is this email's row, so the history holds the messages before it and the email is sent once, as the current turn
+    const result = await conversationEngine.respond({
+      channel: 'email',
+      conversationId: emailId,
+      userMessage: emailMessage,
+      customer,
+      beforeId: insertResult.rows[0].id,
+      instructions
+    });
+    const aiResponse = result.text;
+    await recordSheetActivity({ conversationId: emailId, customer, userMessage: body, intent: result.intent, handoff: result.handoff });
+    if (businessMode.settings.followUp) {
+      await queueFollowUpTask(emailId, businessMode, emailMessage);
+    }
+    if (language !== 'en') {
+      translateMessagesInBackground([
+        { id: insertResult.rows[0].id, message: emailMessage },
+        { id: result.messageId, message: aiResponse }
+      ]);
+    }
+
+    // Send email response if email transporter is configured
+    let emailSent = false;
+    let emailError = null;
+    
+    if (emailTransporter) {
+      try {
+        await sendCustomerEmail({ to: from_email, name: customerName, subject: `Re: ${subject}`, text: aiResponse });
         
         emailSent = true;
         console.log(`✅ Email response sent to ${customerName} (${from_email})`);
@@ -839,6 +1512,7 @@ app.post('/email-notify', async (req, res) => {
       customer_found: true,
       customer_name: customerName,
       ai_response: aiResponse,
+      human_takeover: result.handoff,
       email_sent: emailSent,
       email_error: emailError,
       email_configured: !!emailTransporter
@@ -851,85 +1525,256 @@ app.post('/email-notify', async (req, res) => {
   }
 });
 
-// Helper function to find customer by email address
+// Customer by email from the sheet index (any of a row's first 10 columns) across every sheet source, with all their orders
 async function findCustomerByEmail(email) {
-  if (!customerSheet) return null;
-
-  try {
-    // Load all rows with pagination to ensure complete customer coverage
-    // Reduced batch size to prevent memory issues on free hosting
-    const allRows = [];
-    let offset = 0;
-    const batchSize = 500; // Reduced from 1000 to 500
-
-    while (true) {
-      const batch = await customerSheet.getRows({ limit: batchSize, offset });
-      if (batch.length === 0) break;
-      allRows.push(...batch);
-      if (batch.length < batchSize) break; // No more rows
-      offset += batchSize;
-
-      // Add memory check and early exit if too many rows
-      if (allRows.length > 5000) {
-        console.warn(`⚠️ Sheet has too many rows (${allRows.length}+), limiting to first 5000 for memory`);
-        break;
-      }
-    }
-
-    for (const row of allRows) {
-      const rowData = row._rawData;
-      if (!rowData || rowData.length === 0) continue;
-      
-      // Check multiple email fields (usually in columns 0, 5, or other email columns)
-      for (let i = 0; i < Math.min(10, rowData.length); i++) {
-        const cellValue = String(rowData[i] || '').toLowerCase().trim();
-        
-        // Check if this cell contains an email that matches
-        if (cellValue.includes('@') && cellValue === email) {
-          return {
-            name: rowData[2] || rowData[1] || 'Unknown Customer',
-            email: cellValue,
-            phone: rowData[6] || rowData[7] || 'No phone',
-            _rawData: rowData
-          };
-        }
-      }
-    }
-    
-    return null;
+  try {
+    const records = await sheetIndex.findByEmail(email);
+    if (records.length === 0) return null;
+
+    const orders = records.map(sheetRecordToCustomer);
+    const primary = primarySheetRecord(records);
+    return {
+      ...sheetRecordToCustomer(primary),
+      name: primary.name || 'Unknown Customer',
+      email: String(email).toLowerCase().trim(),
+      phone: primary.phone || 'No phone',
+      orders
+    };
   } catch (error) {
     console.error('❌ Email customer lookup error:', error);
     return null;
   }
 }
 
-// SMS Reply endpoint (webhook for incoming SMS)
-app.post('/reply', async (req, res) => {
+/**
+ * Sheet write-back after the bot answers a customer: last contact, last message and the handoff flag on
+ * their newest order row, and - if they sound impatient about an order - an escalation of their newest
+ * open order's row color. Only queues the writes; sheetWriter flushes them in batches.
+ */
+async function recordSheetActivity({ conversationId, customer, userMessage, intent = null, handoff = false }) {
+  if (!customer || !customer.googleRowIndex) return;
+  try {
+    const settings = await getSheetWritebackSettings();
+    if (!settings.enabled) return;
+
+    const orders = customer.orders && customer.orders.length > 0 ? customer.orders : [customer];
+    const newest = orders[orders.length - 1];
+    const { columns } = settings;
+    const values = {};
+    if (columns.lastContact) {
+      const { timezone } = await getBusinessHoursConfig();
+      values[columns.lastContact] = new Date().toLocaleString('en-US', { timeZone: timezone });
+    }
+    if (columns.lastInbound) {
+      values[columns.lastInbound] = SheetWriter.summarizeInbound(userMessage, intent);
+    }
+    if (columns.handoff && handoff) {
+      values[columns.handoff] = 'YES';
+    }
+    if (Object.keys(values).length > 0) {
+      sheetWriter.queueUpdate(newest.sheetSource, newest.googleRowIndex, { expectedFirstCell: String(newest._rawData[0] ?? ''), values });
+    }
+
+    if (settings.escalation.enabled && SheetWriter.detectImpatience(userMessage, intent)) {
+      await queueImpatienceEscalation(conversationId, orders, settings.escalation);
+    }
+  } catch (err) {
+    console.error(`❌ Sheet write-back failed for ${conversationId}:`, err.message);
+    await logEvent('error', `Sheet write-back failed for ${conversationId}: ${err.message}`);
+  }
+}
+
+// Move the newest open order one step up the escalation ladder (white -> light blue -> dark blue),
+// at most once per cooldown per conversation. Rows in other statuses (red, yellow...) are left alone.
+async function queueImpatienceEscalation(conversationId, orders, escalation) {
+  const statusMap = await getStatusMap();
+  const statusOf = (order) => describeStatus(statusMap, order.indexedStatus || { statusColor: statusMap.fallback });
+  const order = [...orders].reverse().find(entry => !statusOf(entry).shipped);
+  if (!order) return;
+
+  const from = statusOf(order).statusColor;
+  const step = escalation.ladder.indexOf(from);
+  if (step < 0 || step === escalation.ladder.length - 1) return;
+  const to = escalation.ladder[step + 1];
+
+  const color = colorForStatus(statusMap, to);
+  if (!color) {
+    await logEvent('warning', `Can't escalate ${order.sheetSource} row ${order.googleRowIndex} to "${to}": give that status a hex color in the status map`);
+    return;
+  }
+
+  if (escalation.cooldownHours > 0) {
+    const recent = await pool.query(
+      `SELECT 1 FROM sheet_escalations WHERE conversation_id=$1 AND created_at > NOW() - ($2 * INTERVAL '1 hour') LIMIT 1`,
+      [conversationId, escalation.cooldownHours]
+    );
+    if (recent.rows.length > 0) {
+      console.log(`⏳ Escalation for ${conversationId} skipped: already escalated in the last ${escalation.cooldownHours}h`);
+      return;
+    }
+  }
+
+  console.log(`📈 Impatient customer ${conversationId}: escalating ${order.sheetSource} row ${order.googleRowIndex} from ${from} to ${to}`);
+  sheetWriter.queueUpdate(order.sheetSource, order.googleRowIndex, {
+    expectedFirstCell: String(order._rawData[0] ?? ''),
+    escalate: { from, to, color, conversationId }
+  });
+}
+
+// Staff took the conversation back from a handoff: clear the handoff flag on the customer's newest row
+async function clearSheetHandoff(conversationId) {
+  try {
+    const settings = await getSheetWritebackSettings();
+    if (!settings.enabled || !settings.columns.handoff || conversationId.startsWith('web:')) return;
+
+    const customer = conversationId.startsWith('email:')
+      ? await findCustomerByEmail(conversationId.slice('email:'.length))
+      : await findCustomerByPhone(conversationId);
+    if (!customer) return;
+
+    const orders = customer.orders && customer.orders.length > 0 ? customer.orders : [customer];
+    const newest = orders[orders.length - 1];
+    sheetWriter.queueUpdate(newest.sheetSource, newest.googleRowIndex, {
+      expectedFirstCell: String(newest._rawData[0] ?? ''),
+      values: { [settings.columns.handoff]: '' }
+    });
+  } catch (err) {
+    console.error(`❌ Clearing the sheet handoff flag failed for ${conversationId}:`, err.message);
+  }
+}
+
+/**
+ * Debounce rapid-fire texts from one phone.
+ * Waits out the debounce window, then:
+ * - returns null if a newer user message arrived (that request will answer instead)
+ * - otherwise returns the unanswered burst (messages since the last reply) merged into one turn
+ */
+async function collectMessageBurst(phone, messageId, timestamp) {
+  const windowMs = parseInt(COALESCE_WINDOW_MS, 10) || 0;
+  if (windowMs > 0) {
+    await new Promise(resolve => setTimeout(resolve, windowMs));
+  }
+
+  const newer = await pool.query(
+    `SELECT 1 FROM messages WHERE phone=$1 AND sender='user' AND id > $2 LIMIT 1`,
+    [phone, messageId]
+  );
+  if (newer.rows.length > 0) return null;
+
+  // Only merge recent messages so texts left unanswered during a pause aren't replayed
+  const burstStart = new Date(timestamp.getTime() - COALESCE_MAX_SPAN_MS);
+  const burstResult = await pool.query(
+    `SELECT id, message, media_urls FROM messages
+     WHERE phone=$1 AND sender='user' AND id <= $2 AND timestamp >= $3
+       AND id > (SELECT COALESCE(MAX(id), 0) FROM messages WHERE phone=$1 AND sender='assistant')
+     ORDER BY id ASC`,
+    [phone, messageId, burstStart]
+  );
+  const rows = burstResult.rows.length > 0 ? burstResult.rows : [{ id: messageId, message: '' }];
+
+  return {
+    firstId: rows[0].id,
+    count: rows.length,
+    text: rows.map(row => row.message).filter(Boolean).join('\n'),
+    // A photo sent just before "is this damaged?" belongs to the same turn
+    mediaUrls: rows.flatMap(row => row.media_urls || [])
+  };
+}
+
+// Middleware: pick the SMS gateway mode for this route and verify Twilio signatures
+function smsGateway(forcedMode = null) {
+  return async (req, res, next) => {
+    req.smsGatewayMode = forcedMode || await getSmsGatewayMode();
+    if (req.smsGatewayMode !== 'twilio') return next();
+
+    if (!TWILIO_AUTH_TOKEN) {
+      await logEvent('error', `Twilio request to ${req.path} rejected: TWILIO_AUTH_TOKEN not configured`);
+      return res.status(503).type('text/plain').send('Twilio gateway not configured');
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    const url = getWebhookUrl(req, TWILIO_WEBHOOK_BASE_URL);
+    if (!validateTwilioSignature(TWILIO_AUTH_TOKEN, signature, url, req.body)) {
+      await logEvent('warning', `Invalid Twilio signature on ${req.path} from ${req.body.From || 'unknown'}`);
+      return res.status(403).type('text/plain').send('Invalid Twilio signature');
+    }
+    next();
+  };
+}
+
+// SMS Reply handler (webhook for incoming SMS from Tasker or Twilio)
+// STOP/START/HELP: update the opt-out registry and send the compliant confirmation - no AI involved
+async function handleCarrierKeyword(phone, text, match, sms) {
+  try {
+    if (match.action === 'opt_out') {
+      await optOutRegistry.optOut(phone, { keyword: match.keyword });
+    } else if (match.action === 'opt_in') {
+      await optOutRegistry.optIn(phone, { keyword: match.keyword });
+    }
+    const confirmation = OptOutRegistry.CONFIRMATION_MESSAGES[match.action];
+
+    // Keep the exchange in the conversation history for staff
+    const now = new Date();
+    await pool.query(
+      `INSERT INTO conversations(phone, last_active) VALUES($1, $2)
+       ON CONFLICT (phone) DO UPDATE SET last_active = EXCLUDED.last_active`,
+      [phone, now]
+    );
+    await pool.query('INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4)', [phone, 'user', text, now]);
+    await pool.query('INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4)', [phone, 'assistant', confirmation, new Date()]);
+
+    await logEvent('info', `Carrier keyword ${match.keyword} from ${phone} - ${match.action.replace('_', ' ')} confirmation sent`);
+    return sms.reply(confirmation);
+  } catch (err) {
+    console.error(`Error handling carrier keyword from ${phone}:`, err);
+    await logEvent('error', `Failed to process ${match.keyword} from ${phone}: ${err.message}`);
+    return sms.error('Sorry, something went wrong. Please try again later.');
+  }
+}
+
+async function handleInboundSms(req, res) {
   const incomingPhone = req.body.phone || req.body.From;
   const incomingText = req.body.text || req.body.Body || '';
-  const mediaUrl = req.body.MediaUrl || req.body.mediaUrl || '';
+  const mediaUrls = getMediaUrls(req.body);
 
   if (!incomingPhone) {
     return res.status(400).json({ error: 'Missing phone number' });
   }
 
   const phone = normalizePhoneNumber(incomingPhone);
-  let userMessage = incomingText.trim();
+  const userMessage = incomingText.trim();
   const timestamp = new Date();
+  const carrierKeyword = OptOutRegistry.matchKeyword(userMessage);
+
+  // Queued delivery: acknowledge now (empty TwiML for Twilio) and queue the reply, so the coalescing window
+  // and AI calls can't run into Twilio's 15s webhook timeout. Tasker in outbox mode polls the queue; in Twilio
+  // mode the reply is pinned to Twilio's REST API, so it's sent even while the stored mode routes the queue
+  // to the relay outbox (inline TwiML only when TWILIO_PHONE_NUMBER isn't set).
+  // Keyword confirmations are queued as 'system' so opt-out suppression lets them through.
+  const deliveryMode = req.smsGatewayMode === 'twilio'
+    ? (twilioSender.isConfigured() ? 'outbox' : 'sync')
+    : await getReplyDeliveryMode();
+  const sms = createSmsResponder(res, req.smsGatewayMode, deliveryMode === 'outbox' ? {
+    enqueue: (text) => queueOutboundSms(phone, [text], {
+      source: carrierKeyword ? 'system' : 'ai',
+      pinnedRoute: req.smsGatewayMode === 'twilio' ? 'twilio' : null
+    }).catch(async (err) => {
+      await logEvent('error', `Failed to queue reply for ${phone}: ${err.message}`);
+    })
+  } : { json: req.body.format === 'json' || req.query.format === 'json' });
 
-  // Handle image/media messages
-  if (mediaUrl && mediaUrl !== '') {
-    // Customer sent an image/media
-    if (userMessage === '' || userMessage.length < 5) {
-      userMessage = "I sent you a picture/image";
-    } else {
-      userMessage = userMessage + " (with attached image)";
-    }
-    await logEvent('info', `Received SMS with media from ${phone}: "${userMessage}" MediaURL: ${mediaUrl}`);
-  } else if (userMessage === '' || userMessage === undefined) {
-    // Empty message with no media
+  // Carrier keywords are handled before any AI, even when AI is disabled
+  if (carrierKeyword) {
+    return handleCarrierKeyword(phone, userMessage, carrierKeyword, sms);
+  }
+
+  // Photos go to Claude as image blocks with the customer's own text (which may be empty)
+  if (userMessage === '' && mediaUrls.length === 0) {
     await logEvent('info', `Received empty SMS from ${phone} - ignoring`);
-    return res.status(204).send(); // No Content - ignore empty messages
+    return sms.noReply(); // ignore empty messages
+  }
+  if (mediaUrls.length > 0) {
+    await logEvent('info', `Received SMS with ${mediaUrls.length} media attachment(s) from ${phone}: MediaURLs: ${mediaUrls.join(', ')}`);
   }
 
   await logEvent('info', `Received SMS from ${phone}: "${userMessage}"`);
@@ -938,9 +1783,26 @@ app.post('/reply', async (req, res) => {
   const aiEnabled = await isAIEnabled();
   if (!aiEnabled) {
     await logEvent('info', `AI disabled - SMS from ${phone} logged but no response sent`);
-    return res.status(204).send(); // No Content - Tasker won't send SMS
+    return sms.noReply();
   }
 
+  return processInboundMessage({ channel: 'sms', phone, userMessage, mediaUrls, timestamp, responder: sms });
+}
+
+/**
+ * Shared inbound pipeline for SMS and web chat: conversation bookkeeping, pause/opt-out checks,
+ * business hours and customer gating, then the ConversationEngine reply delivered through `responder`.
+ * `phone` is the conversation id - a phone number, or web:<session> for web chat (like email:<address>).
+ * `lookupPhone` finds the customer in Google Sheets (null for anonymous web visitors).
+ */
+async function processInboundMessage({ channel, phone, lookupPhone = phone, visitorName = null, userMessage, mediaUrls = [], timestamp, responder }) {
+  // One sheet lookup per message, however many times it's needed
+  let customerLookup = null;
+  const lookupCustomer = () => {
+    if (!customerLookup) customerLookup = lookupPhone ? findCustomerByPhone(lookupPhone) : Promise.resolve(null);
+    return customerLookup;
+  };
+
   try {
     // Check/create conversation
     let convResult = await pool.query('SELECT * FROM conversations WHERE phone=$1', [phone]);
@@ -948,35 +1810,25 @@ app.post('/reply', async (req, res) => {
     
     if (!conversation) {
       // New conversation: check if customer exists in Google Sheets
-      const customer = await findCustomerByPhone(phone);
-      
-      // Helper function to get customer name
-      function getCustomerName(customer) {
-        if (!customer) return null;
-        try {
-          return customer['Name'] || customer['Customer'] || customer['name'] || customer._rawData[2];
-        } catch (err) {
-          return customer._rawData[2] || null;
-        }
-      }
+      const customer = await lookupCustomer();
       
-      const customerName = getCustomerName(customer);
+      const customerName = ConversationEngine.getCustomerName(customer);
       if (!customer || !customerName) {
         // Customer not found in Google Sheets - check respond-to-all mode
-        const respondToAll = await isRespondToAllEnabled();
+        const respondToAll = await respondsToNonCustomers(channel);
         if (!respondToAll) {
           // Sheets-only mode - return no content so Tasker ignores
           await logEvent('info', `Non-customer SMS from ${phone} - no auto-reply (sheets-only mode)`);
-          return res.status(204).send(); // No Content = Tasker won't send SMS
+          return responder.noReply();
         }
 
         // Respond-to-all mode - create conversation as Jonathan (no customer data access)
         await logEvent('info', `Non-customer SMS from ${phone} - responding as Jonathan (respond-to-all mode)`);
         await pool.query(
           'INSERT INTO conversations(phone, name, paused, requested_human, last_active) VALUES($1, $2, $3, $4, $5)',
-          [phone, 'Non-customer', false, false, timestamp]
+          [phone, visitorName || 'Non-customer', false, false, timestamp]
         );
-        conversation = { phone, name: 'Non-customer', paused: false, requested_human: false };
+        conversation = { phone, name: visitorName || 'Non-customer', paused: false, requested_human: false };
       } else {
         // Customer found - proceed with conversation
         const name = customerName;
@@ -991,26 +1843,16 @@ app.post('/reply', async (req, res) => {
     } else {
       // Existing conversation: verify customer still exists in Google Sheets
       if (!conversation.name) {
-        const customer = await findCustomerByPhone(phone);
+        const customer = await lookupCustomer();
         
-        // Helper function to get customer name
-        function getCustomerName(customer) {
-          if (!customer) return null;
-          try {
-            return customer['Name'] || customer['Customer'] || customer['name'] || customer._rawData[2];
-          } catch (err) {
-            return customer._rawData[2] || null;
-          }
-        }
-        
-        const customerName = getCustomerName(customer);
+        const customerName = ConversationEngine.getCustomerName(customer);
         if (!customer || !customerName) {
           // Customer no longer in Google Sheets - check respond-to-all mode
-          const respondToAll = await isRespondToAllEnabled();
+          const respondToAll = await respondsToNonCustomers(channel);
           if (!respondToAll) {
             // Sheets-only mode - return no content so Tasker ignores
             await logEvent('info', `Non-customer SMS from removed customer ${phone} - no auto-reply (sheets-only mode)`);
-            return res.status(204).send(); // No Content = Tasker won't send SMS
+            return responder.noReply();
           }
 
           // Respond-to-all mode - update conversation name to indicate non-customer
@@ -1025,680 +1867,293 @@ app.post('/reply', async (req, res) => {
     }
 
     // Log the incoming user message
-    await pool.query(
-      'INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4)',
-      [phone, 'user', userMessage, timestamp]
+    const insertResult = await pool.query(
+      'INSERT INTO messages(phone, sender, message, timestamp, media_urls) VALUES($1, $2, $3, $4, $5) RETURNING id',
+      [phone, 'user', userMessage, timestamp, mediaUrls.length > 0 ? mediaUrls : null]
     );
+    const messageId = insertResult.rows[0].id;
+
+    // Same person on SMS, email and web chat -> one customer record and one history
+    await linkCustomerIdentity(phone, conversation.name, await lookupCustomer());
+
+    // Opted-out numbers (STOP) get no replies until they text START
+    if (channel === 'sms' && await optOutRegistry.isOptedOut(phone)) {
+      await logEvent('info', `${phone} has opted out - message logged, no reply sent`);
+      return responder.noReply();
+    }
+
+    // Track the customer's language (also while paused, so staff get translations)
+    const language = await updateConversationLanguage(conversation, userMessage);
+    if (language !== 'en') {
+      translateMessagesInBackground([{ id: messageId, message: userMessage }]);
+    }
 
     // Check if conversation is paused (human takeover)  
     if (conversation.paused) {
       await logEvent('info', `AI is paused for ${phone}, no automated response sent.`);
-      return res.status(204).send(); // No Content = Tasker won't send SMS
+      return responder.noReply();
     }
 
-    // Human takeover detection is now handled in generateAIResponse function
-
-    // Check for inventory/stock queries
-    const inventoryPattern = /stock|available|availability|in stock/i;
-    if (inventoryPattern.test(userMessage)) {
-      const stockReply = "I'm unable to check inventory at the moment. Please contact us at (603) 997-6786 for stock availability.";
-      await pool.query(
-        'INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4)',
-        [phone, 'assistant', stockReply, new Date()]
-      );
-      await logEvent('info', `Inventory query detected from ${phone}. Sent stock fallback response.`);
-      return res.status(200).type('text/plain').send(stockReply);
+    // Coalesce rapid-fire texts ("hey" / "my order" / "when does it ship?") into one reply
+    const burst = channel === 'sms'
+      ? await collectMessageBurst(phone, messageId, timestamp)
+      : { firstId: messageId, count: 1, text: userMessage };
+    if (!burst) {
+      await logEvent('info', `Newer SMS from ${phone} arrived within the debounce window - letting it answer`);
+      return responder.noReply();
+    }
+    if (burst.count > 1) {
+      userMessage = burst.text;
+      mediaUrls = burst.mediaUrls;
+      await logEvent('info', `Coalesced ${burst.count} messages from ${phone} into one reply: "${userMessage}"`);
     }
 
     // Always check if this is a known customer first - only respond to customers in Google Sheets
-    const customer = await findCustomerByPhone(phone);
-    
-    // Helper function to get customer name for validation
-    function getCustomerName(customer) {
-      if (!customer) return null;
-      try {
-        return customer['Name'] || customer['Customer'] || customer['name'] || customer._rawData[2];
-      } catch (err) {
-        return customer._rawData[2] || null;
-      }
-    }
-    
-    const customerName = getCustomerName(customer);
-    const isCustomer = customer && customerName;
+    const customer = await lookupCustomer();
+    const isCustomer = Boolean(customer && ConversationEngine.getCustomerName(customer));
 
     if (!isCustomer) {
       // Not a customer in Google Sheets - check respond-to-all mode
-      const respondToAll = await isRespondToAllEnabled();
+      const respondToAll = await respondsToNonCustomers(channel);
       if (!respondToAll) {
         // Sheets-only mode - don't respond to anyone not in sheets
         await logEvent('info', `Non-customer SMS from ${phone} - no auto-reply (sheets-only mode)`);
-        return res.status(204).send(); // No Content = Tasker won't send SMS
+        return responder.noReply();
       }
 
       // Respond-to-all mode - respond as Jonathan but WITHOUT customer data
       await logEvent('info', `Non-customer SMS from ${phone} - responding as Jonathan without customer data`);
     }
 
-    // Handle order-related messages for customers only (not non-customers)
-    const orderPattern = /order|ordered|purchase|purchased|bought|status|tracking|shipped|delivery|when will|eta|where.*my|my.*order/i;
-    let orderInfo = "";
-    if (isCustomer && orderPattern.test(userMessage) && customer && customer._rawData) {
-        // Helper function to get customer data using headers or fallback to raw index
-        function getCustomerData(customer, headerName, fallbackIndex) {
-          try {
-            const value = customer[headerName];
-            if (value) return value;
-          } catch (err) {
-            // Header doesn't exist, fall back to raw data
-          }
-          return customer._rawData[fallbackIndex] || '';
-        }
-        
-        // Extract order information from Shopify Google Sheets row using header-based lookup
-        const customerEmail = getCustomerData(customer, 'Email', 0);
-        const productOrdered = getCustomerData(customer, 'Product', 1) || getCustomerData(customer, 'LineItem name', 1);
-        const customerName = getCustomerData(customer, 'Name', 2) || getCustomerData(customer, 'Customer', 2);
-        const orderDate = getCustomerData(customer, 'Created at', 3) || getCustomerData(customer, 'Order Date', 3) || getCustomerData(customer, 'Date', 3);
-        const totalPrice = getCustomerData(customer, 'Total', 4) || getCustomerData(customer, 'Price', 4);
-
-        // Flag for missing date information
-        const hasOrderDate = Boolean(orderDate && orderDate.trim() && orderDate !== 'N/A');
-        const email = getCustomerData(customer, 'Email', 5);
-        const customerPhone = getCustomerData(customer, 'Phone', 6) || getCustomerData(customer, 'phone', 6);
-        const shippingAddress = getCustomerData(customer, 'Shipping Address1', 7) || getCustomerData(customer, 'Address', 7);
-        const shippingCity = getCustomerData(customer, 'Shipping City', 8) || getCustomerData(customer, 'City', 8);
-        const shippingZip = getCustomerData(customer, 'Shipping Zip', 9) || getCustomerData(customer, 'Zip', 9);
-
-        console.log(`📋 Order Info Extract for ${phone} (customer phone: ${customerPhone}):`);
-        console.log(`  Customer: ${customerName}`);
-        console.log(`  Product: ${productOrdered}`);
-        console.log(`  Order Date: ${orderDate}`);
-        console.log(`  Total: ${totalPrice}`);
-        console.log(`  Raw Data Sample:`, customer._rawData.slice(0, 10));
-        
-        // Generate order ID from row position or use date
-        const orderId = `SP-${customer.rowNumber || 'unknown'}`;
-        const orderStatus = "In Progress"; // Default status since Shopify doesn't have status column
-        const trackingInfo = email; // Use email as tracking info
-        
-        // Get cell background color to determine actual status
-        let statusDescription = "Order received";
-        let statusColor = "white"; // default
-
-        try {
-          // Load only specific cells to reduce memory usage
-          const rowIndex = customer.googleRowIndex;
-
-          // Make color column configurable and expandable
-          const colorColumnIndex = process.env.GOOGLE_SHEET_COLOR_COLUMN ?
-            parseInt(process.env.GOOGLE_SHEET_COLOR_COLUMN) : getStatusColumnIndex();
-          const maxColumnIndex = Math.max(10, colorColumnIndex + 1); // Ensure we include the color column
-          const columnLetter = String.fromCharCode(65 + maxColumnIndex - 1); // Convert to letter (A=0, B=1, etc.)
-
-          await customerSheet.loadCells(`A${rowIndex}:${columnLetter}${rowIndex}`);
-          console.log(`📋 Loading cells A${rowIndex}:${columnLetter}${rowIndex} for status check`);
-
-          // Since entire row is colored for status, read from first few columns to detect row color
-          // Try multiple columns since the whole row should have the same background color
-          let statusCell = null;
-          let statusColIndex = 0;
-
-          // Try columns A through F to find one with background color (since whole row is colored)
-          for (let colIndex = 0; colIndex < 6; colIndex++) {
-            const testCell = customerSheet.getCell(rowIndex - 1, colIndex);
-            if (testCell && testCell.backgroundColor) {
-              statusCell = testCell;
-              statusColIndex = colIndex;
-              break;
-            }
-          }
-
-          // Log the cell position and color for audit
-          console.log(`🎨 Row color detected from Column ${statusColIndex} (${String.fromCharCode(65 + statusColIndex)}) at Row ${rowIndex}`);
-          if (statusCell && statusCell.backgroundColor) {
-            const bgColor = statusCell.backgroundColor;
-            
-            // Normalize undefined color values to 0
-            const red = bgColor.red || 0;
-            const green = bgColor.green || 0;
-            const blue = bgColor.blue || 0;
-
-            // Log RGB values for audit
-            console.log(`🎨 RGB values for ${phone}: R=${red.toFixed(3)} G=${green.toFixed(3)} B=${blue.toFixed(3)}`);
-
-            // Map colors to status descriptions based on your color coding system
-            if (red > 0.9 && green < 0.3 && blue < 0.3) {
-              // Red - Customer wants to cancel
-              statusDescription = "Customer wants to cancel (RED)";
-              statusColor = "red";
-            } else if (red < 0.3 && green > 0.7 && blue < 0.3) {
-              // Green - Shipped
-              statusDescription = "Shipped (GREEN)";
-              statusColor = "green";
-            } else if (red > 0.8 && green > 0.8 && blue < 0.3) {
-              // Yellow - In production
-              statusDescription = "In production (YELLOW)";
-              statusColor = "yellow";
-            } else if (red > 0.7 && green < 0.7 && blue > 0.7) {
-              // Purple - Expediting order (at risk of cancellation)
-              statusDescription = "Expediting order - at risk of cancellation (PURPLE)";
-              statusColor = "purple";
-            } else if (red < 0.3 && green > 0.5 && blue > 0.7) {
-              // Light blue - First step of antsy
-              statusDescription = "Customer getting impatient - needs update (LIGHT BLUE)";
-              statusColor = "light blue";
-            } else if (red < 0.3 && green < 0.3 && blue > 0.7) {
-              // Dark blue - Second step of antsy
-              statusDescription = "Customer very impatient - second escalation (DARK BLUE)";
-              statusColor = "dark blue";
-            } else {
-              // White - Order just received
-              statusDescription = "Order just received (WHITE)";
-              statusColor = "white";
-            }
-
-            // Log the final mapped status for audit
-            console.log(`🎨 Mapped status for ${phone}: ${statusColor.toUpperCase()} = ${statusDescription}`);
-          }
-        } catch (colorError) {
-          console.error('Error reading cell colors:', colorError);
-          await logEvent('error', `Failed to read cell colors for ${phone}: ${colorError.message}`);
-        }
-        
-        orderInfo = `\n\nCUSTOMER ORDER INFORMATION:\n`;
-        orderInfo += `Customer: ${customerName}\n`;
-        // Note: Internal row reference ${orderId} - DO NOT mention to customer unless they have a real order number
-        if (hasOrderDate) {
-          orderInfo += `Order Date: ${orderDate}\n`;
-        } else {
-          orderInfo += `⚠️ ORDER DATE NOT AVAILABLE - Do not guess or estimate dates. If asked about order dates, say "Let me check your order date and get back to you."\n`;
-        }
-        if (productOrdered) orderInfo += `Product Ordered: ${productOrdered}\n`;
-        orderInfo += `Current Status: ${statusDescription}\n`;
-        if (trackingInfo) orderInfo += `Email/Tracking: ${trackingInfo}\n`;
-        orderInfo += `\n🎨 COLOR CODE STATUS: ${statusColor} = ${statusDescription}\n`;
-        orderInfo += `\nIMPORTANT INSTRUCTIONS:\n`;
-        orderInfo += `- You have full access to the customer's product details above\n`;
-        orderInfo += `- DO NOT ask for order numbers, products, or details - you already have them!\n`;
-        orderInfo += `- NEVER ask "Can you provide your order number?" - you can see their order!\n`;
-        orderInfo += `- NEVER ask "What product did you order?" - you can see: ${productOrdered}\n`;
-        orderInfo += `- Always include the specific product name when discussing their order\n`;
-        orderInfo += `- Follow the color-coded customer service approach for ${statusColor} status\n`;
-        orderInfo += `- Adjust your tone and response based on the customer's patience level indicated by the color\n`;
-        
-        await logEvent('info', `Order status lookup successful for ${phone}: ${statusDescription} (${statusColor})`);
-    } else {
-        await logEvent('info', `Order status lookup failed for ${phone}: customer not found`);
-    }
-
-    // Retrieve relevant knowledge - reduced from 3 to 2 to save processing time
-    const knowledgeChunks = await knowledgeRetriever.retrieveRelevantChunks(userMessage, 2);
-    await logEvent('info', `Knowledge retrieved: found ${knowledgeChunks.length} relevant pieces.`);
-
-    // Get personality and system instructions from database
-    const [persResult, systemResult] = await Promise.all([
-      pool.query('SELECT content FROM personality LIMIT 1'),
-      pool.query('SELECT content FROM system_instructions LIMIT 1')
-    ]);
-    
-    const personalityText = persResult.rows.length ? persResult.rows[0].content : "";
-    const systemTemplate = systemResult.rows.length ? systemResult.rows[0].content : 
-      `YOU MUST FOLLOW THESE PERSONALITY INSTRUCTIONS EXACTLY:\n\n{PERSONALITY}`;
-    
-    // Get conversation history - reduced from 10 to 6 to save memory and processing
-    const historyResult = await pool.query(
-      `SELECT sender, message FROM messages 
-       WHERE phone=$1 
-       ORDER BY timestamp DESC 
-       LIMIT 6`, [phone]
-    );
-    const historyMessages = historyResult.rows.reverse(); // oldest first
-
-    // Build messages for Claude
-    const messages = [];
-    
-    // Prepare knowledge content
-    let knowledgeContent = "";
-    if (knowledgeChunks.length > 0) {
-      knowledgeContent = "Relevant Knowledge:\n";
-      knowledgeChunks.forEach((chunk, idx) => {
-        knowledgeContent += `- ${chunk}\n`;
-      });
-    }
-    
-    // Prepare customer context
-    let customerContext = "";
-    if (customer && customer._rawData) {
-      // This is a customer from Google Sheets - provide customer data
-      function getCustomerData(customer, headerName, fallbackIndex) {
-        try {
-          const value = customer[headerName];
-          if (value) return value;
-        } catch (err) {
-          // Header doesn't exist, fall back to raw data
-        }
-        return customer._rawData[fallbackIndex] || '';
+    // Business hours / after hours / holiday: away message or AI reply, plus a follow-up task for customers
+    const businessHours = await getBusinessHoursConfig();
+    const businessMode = getBusinessMode(businessHours);
+    const queueFollowUp = async () => {
+      if (isCustomer && businessMode.settings.followUp) {
+        await queueFollowUpTask(phone, businessMode, userMessage);
       }
-
-      const customerName = getCustomerData(customer, 'Name', 2) || getCustomerData(customer, 'Customer', 2);
-      const customerEmail = getCustomerData(customer, 'Email', 0);
-      customerContext = `This is a known customer: ${customerName || 'Name not available'}\nEmail: ${customerEmail || 'Email not available'}
-
-🚫 CRITICAL: Do NOT make up specific order numbers, dates, expedited status, or tracking details unless you have explicit order information. If asked about order status, say "Let me check your order details" and offer to call back with specifics.`;
-    } else {
-      // This is NOT a customer from Google Sheets - respond as Jonathan without customer data
-      const respondToAll = await isRespondToAllEnabled();
-      if (respondToAll) {
-        customerContext = `This person is NOT in your customer database. You are Jonathan responding personally. DO NOT access or reference any customer data, orders, or Google Sheets information. Respond naturally as Jonathan from The Distillery Network.`;
+    };
+    if (!businessMode.settings.aiReplies) {
+      const awayMessage = await takeAwayMessage(phone, businessMode, businessHours.timezone);
+      if (!awayMessage) {
+        await logEvent('info', `AI replies disabled during ${businessMode.mode} - no response to ${phone}`);
+        return responder.noReply();
       }
+
+      await responder.reply(await formatReplyForChannel(channel, awayMessage));
+      return queueFollowUp();
     }
-    
-    // Get current date and time
-    const currentDateTime = new Date().toLocaleString('en-US', {
-      timeZone: 'America/New_York',
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
 
-    // Build system content using template with replacements
-    let systemContent = `Current date and time: ${currentDateTime}\n\n` +
-      `🚫 CRITICAL: ONLY refer to information from THIS conversation's message history below. NEVER mention details, promises, or plans that are not explicitly stated in the message history for THIS phone number. Do not confabulate or assume previous interactions.\n\n` +
-      systemTemplate
-      .replace('{PERSONALITY}', personalityText)
-      .replace('{KNOWLEDGE}', knowledgeContent)
-      .replace('{CUSTOMER_CONTEXT}', customerContext)
-      .replace('{ORDER_INFO}', orderInfo || '');
-
-    // Add conversation history (excluding current message)
-    const conversationHistory = historyMessages.slice(0, -1);
-    for (let msg of conversationHistory) {
-      if (msg.sender === 'user') {
-        messages.push({ role: "user", content: msg.message });
-      } else if (msg.sender === 'assistant') {
-        messages.push({ role: "assistant", content: msg.message });
-      }
+    // Extra instructions for the current business mode (closed today, next open hour, etc.) and the customer's language
+    const instructions = [getLanguageInstruction(language)];
+    const modeInstructions = renderModeText(businessMode.settings.instructions, businessMode, businessHours.timezone).trim();
+    if (modeInstructions) {
+      instructions.unshift(`🕘 BUSINESS HOURS (${businessMode.mode.replace('_', ' ')}): ${modeInstructions}`);
     }
 
-    // Add current user message - sanitize for Claude API
-    const sanitizedMessage = userMessage.replace(/[^\x20-\x7E\s]/g, '').trim(); // Remove non-printable characters
-    if (sanitizedMessage === '' && mediaUrl) {
-      // If message is empty but there's media, provide context
-      messages.push({ role: "user", content: "I sent you a picture/image" });
-    } else {
-      messages.push({ role: "user", content: sanitizedMessage || userMessage });
+    // Photos go to Claude as image content blocks alongside the text
+    const imageBlocks = mediaUrls.length > 0 ? await mediaFetcher.toClaudeImageBlocks(mediaUrls) : [];
+
+    // Handoff detection, context, Claude call, guardrails, formatting and saving the reply
+    const result = await conversationEngine.respond({
+      channel,
+      conversationId: phone,
+      userMessage,
+      customer: isCustomer ? customer : null,
+      beforeId: burst.firstId,
+      instructions,
+      imageBlocks,
+      hasMedia: mediaUrls.length > 0
+    });
+    if (language !== 'en') {
+      translateMessagesInBackground([{ id: result.messageId, message: result.text }]);
     }
 
-    // Call Claude API
-    let aiResponse = null;
-    try {
-      const completion = await anthropicClient.messages.create({
-        model: ANTHROPIC_MODEL,
-        max_tokens: 200, // Reduced from 300 to save processing time
-        temperature: 0.7,
-        system: systemContent,
-        messages: messages
-      });
+    await logEvent('info', `Sending ${result.handoff ? 'human handoff' : 'AI'} response to ${phone}: "${result.text}"`);
+    // Plain text (or JSON parts) for Tasker, TwiML for Twilio, queued parts for the outbox, JSON for web chat
+    await responder.reply(result.formatted);
+    await queueFollowUp();
 
-      aiResponse = completion.content[0].text.trim();
+    if (isCustomer) {
+      await recordSheetActivity({ conversationId: phone, customer, userMessage, intent: result.intent, handoff: result.handoff });
+    }
 
-      // Handle image messages specially
-      if (mediaUrl && mediaUrl !== '') {
-        if (aiResponse && !aiResponse.toLowerCase().includes('picture') && !aiResponse.toLowerCase().includes('image')) {
-          aiResponse += "\n\nI see you sent a picture - I can't view images directly, but feel free to describe what you're showing me and I'll help however I can!";
-        }
-      }
+  } catch (err) {
+    console.error(`Error in ${channel} message pipeline:`, err);
+    await logEvent('error', `Internal error processing ${channel} message from ${phone}: ${err.message}`);
+    responder.error('Sorry, something went wrong. Please try again later.');
+  }
+}
 
-    } catch (apiErr) {
-      console.error("Claude API error:", apiErr);
-      console.error("Error details:", {
-        phone,
-        userMessage: userMessage.substring(0, 100),
-        messageLength: userMessage.length,
-        hasMedia: !!mediaUrl,
-        sanitizedMessage: sanitizedMessage.substring(0, 100),
-        statusCode: apiErr.status,
-        errorType: apiErr.error?.type,
-        errorMessage: apiErr.error?.message
-      });
+// Duplicate SMS still being processed: stay quiet, the original request will answer
+const replyIdempotency = webhookIdempotency.middleware('reply', {
+  onPending: (req, res) => createSmsResponder(res, req.smsGatewayMode).noReply()
+});
 
-      // Log detailed error for debugging
-      const errorDetail = `Claude API error: ${apiErr.status || 'unknown'} - ${apiErr.error?.type || 'unknown'} - ${apiErr.error?.message || apiErr.message}`;
-      await logEvent('error', `Claude API request failed for ${phone}: ${errorDetail} - Message: "${userMessage.substring(0, 50)}"`);
+// Limited senders get "no reply" so the relay doesn't retry; STOP/START/HELP always go through
+const replyRateLimit = inboundRateLimit('sms', {
+  getSender: (req) => req.body.phone || req.body.From,
+  bypass: (req) => !!OptOutRegistry.matchKeyword(req.body.text || req.body.Body),
+  onLimited: (req, res) => createSmsResponder(res, req.smsGatewayMode).noReply()
+});
+app.post('/reply', smsGateway(), replyIdempotency, replyRateLimit, handleInboundSms);
+app.post('/twilio/sms', smsGateway('twilio'), replyIdempotency, replyRateLimit, handleInboundSms);
+
+// Web chat channel: the embeddable widget (public/chat-widget.js) talks to /chat with a session cookie.
+// Chats are stored under web:<session id> and run through the same pipeline as SMS.
+const chatAllowedOrigins = (CHAT_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const chatCrossSite = chatAllowedOrigins.length > 0;
+if (!SESSION_SECRET) {
+  console.warn('⚠️ SESSION_SECRET not set - web chat sessions will reset on every restart');
+}
 
-      // Special handling for image messages
-      let errorReply;
-      if (mediaUrl && mediaUrl !== '') {
-        errorReply = "Thanks for the picture! I'm having trouble processing it right now. Can you describe what you're showing me? Or call (603) 997-6786 for direct assistance.";
-      } else {
-        errorReply = "Sorry, I'm having trouble right now. Please call (603) 997-6786 for assistance.";
-      }
+app.use('/chat', cors({ origin: chatCrossSite ? chatAllowedOrigins : false, credentials: true }));
+app.use('/chat', session({
+  name: 'tdn.chat',
+  secret: SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  resave: false,
+  saveUninitialized: false,
+  proxy: true, // Render/Railway terminate TLS in front of us
+  cookie: {
+    httpOnly: true,
+    maxAge: 30 * 24 * 60 * 60 * 1000, // Returning visitors keep their conversation for 30 days
+    // Embedding on another site needs a third-party cookie
+    sameSite: chatCrossSite ? 'none' : 'lax',
+    secure: chatCrossSite ? true : 'auto'
+  }
+}));
+
+// Widget responder: same interface as createSmsResponder, answers with JSON
+function createWebChatResponder(res) {
+  const toText = (reply) => (reply && reply.parts ? reply.text : [].concat(reply).filter(Boolean).join('\n'));
+  return {
+    mode: 'web',
+    reply(reply) {
+      return res.json({ reply: toText(reply) });
+    },
+    noReply() {
+      return res.json({ reply: null });
+    },
+    error(text) {
+      return res.status(500).json({ error: text });
+    }
+  };
+}
 
-      // Add retry logic for transient errors
-      if (apiErr.status === 429 || apiErr.status === 503 || apiErr.status === 502) {
-        errorReply = "I'm experiencing high load right now. Please try again in a moment or call (603) 997-6786 for immediate assistance.";
-      }
+// Visitor IP as seen by the hosting proxy (the first X-Forwarded-For entry is whatever the client sent)
+function getClientIp(req) {
+  return req.ip || '';
+}
 
-      try {
-        await pool.query(
-          'INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4)',
-          [phone, 'assistant', errorReply, new Date()]
-        );
-      } catch (dbErr) {
-        console.error('Failed to log error message to database:', dbErr);
-      }
-      return res.status(200).type('text/plain').send(errorReply);
-    }
+const chatRateLimit = inboundRateLimit('web', {
+  getSender: (req) => `ip:${getClientIp(req)}`,
+  onLimited: (req, res, result) => {
+    if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json({ error: 'Too many messages - please wait a few minutes or call (603) 997-6786.' });
+  }
+});
 
-    if (!aiResponse) {
-      aiResponse = "I'm sorry, I didn't catch that. Please contact us directly for help.";
-      await logEvent('error', `Claude API returned empty response for ${phone}.`);
-    }
+app.post('/chat', chatRateLimit, async (req, res) => {
+  const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  if (message.length > 1000) {
+    return res.status(400).json({ error: 'Message is too long (1000 characters max)' });
+  }
 
-    // Validate AI response for price mistakes with Shopify awareness
-    const validPrice = await priceValidator.validate(aiResponse, userMessage, knowledgeChunks);
-    if (!validPrice) {
-      aiResponse = "I'm having trouble accessing pricing right now. Please call (603) 997-6786 for current prices, or visit moonshinestills.com.";
-      await logEvent('info', `PriceValidator flagged response for ${phone}. Replaced with price fallback.`);
-    }
+  if (!req.session.chatId) {
+    req.session.chatId = crypto.randomBytes(12).toString('hex');
+  }
+  if (typeof req.body.name === 'string' && req.body.name.trim()) {
+    req.session.visitorName = req.body.name.trim().slice(0, 80);
+  }
+  const conversationId = `web:${req.session.chatId}`;
 
-    // Enforce conversation continuity (remove greetings from follow-up messages)
-    if (conversationHistory.length > 0) {
-      aiResponse = aiResponse
-                             .replace(/^hey( there)?[,!]*\s*/i, '')
-                             .replace(/^hi[,!]*\s*/i, '')
-                             .replace(/^hello[,!]*\s*/i, '')
-                             .replace(/^good (morning|afternoon|evening)[,!]*\s*/i, '')
-                             .replace(/^hey\s+[A-Za-z]+[,!]*\s*/i, '')
-                             .replace(/^hi\s+[A-Za-z]+[,!]*\s*/i, '');
-    }
+  await logEvent('info', `Received web chat from ${conversationId}: "${message}"`);
 
-    // Response validator to block timeline/number hallucinations
-    aiResponse = validateAndSanitizeResponse(aiResponse, orderInfo, customer);
+  const aiEnabled = await isAIEnabled();
+  if (!aiEnabled) {
+    await logEvent('info', `AI disabled - web chat from ${conversationId} not answered`);
+    return res.json({ reply: null });
+  }
 
-    // Save assistant's response
-    await pool.query(
-      'INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4)',
-      [phone, 'assistant', aiResponse, new Date()]
-    );
+  return processInboundMessage({
+    channel: 'web',
+    phone: conversationId,
+    lookupPhone: null,
+    visitorName: req.session.visitorName ? `${req.session.visitorName} (web)` : 'Web visitor',
+    userMessage: message,
+    timestamp: new Date(),
+    responder: createWebChatResponder(res)
+  });
+});
 
-    await logEvent('info', `Sending AI response to ${phone}: "${aiResponse}"`);
-    // Send plain text for Tasker integration
-    res.status(200).type('text/plain').send(aiResponse);
+// Widget polling: messages after `after` (staff replies during a human takeover show up here)
+app.get('/chat/messages', async (req, res) => {
+  if (!req.session.chatId) {
+    return res.json({ messages: [], paused: false });
+  }
 
+  const conversationId = `web:${req.session.chatId}`;
+  try {
+    const [msgResult, convResult] = await Promise.all([
+      pool.query(
+        `SELECT id, sender, message, timestamp FROM messages
+         WHERE phone=$1 AND id > $2
+         ORDER BY id ASC LIMIT 100`,
+        [conversationId, parseInt(req.query.after, 10) || 0]
+      ),
+      pool.query('SELECT paused FROM conversations WHERE phone=$1', [conversationId])
+    ]);
+    res.json({ messages: msgResult.rows, paused: convResult.rows[0]?.paused || false });
   } catch (err) {
-    console.error("Error in /reply handler:", err);
-    await logEvent('error', `Internal error processing SMS from ${phone}: ${err.message}`);
-    res.status(500).type('text/plain').send('Sorry, something went wrong. Please try again later.');
+    console.error(`Error fetching web chat messages for ${conversationId}:`, err);
+    res.status(500).json({ error: 'Failed to fetch messages' });
   }
 });
 
-// Helper function to generate AI response (extracted from SMS logic)
-async function generateAIResponse(phone, userMessage, customer = null) {
+
+// Human message logging endpoint (for Jonathan's phone)
+app.post('/human', webhookIdempotency.middleware('human', {
+  onPending: (req, res) => res.status(202).json({ success: true, duplicate: true })
+}), async (req, res) => {
+  const incomingPhone = req.body.phone || req.body.From;
+  const incomingText = req.body.text || req.body.Body || '';
+  const messageType = req.body.type || 'unknown'; // 'incoming' or 'outgoing'
+  
+  if (!incomingPhone || incomingText === undefined) {
+    return res.status(400).json({ error: 'Missing phone or message text' });
+  }
+  
+  const phone = normalizePhoneNumber(incomingPhone);
+  const userMessage = incomingText.trim();
+  const timestamp = new Date();
+
+  await logEvent('info', `Human message (${messageType}) with ${phone}: "${userMessage}"`);
+
   try {
-    // Check for human takeover requests
-    const lowerMessage = userMessage.toLowerCase();
-    const humanTakeoverTriggers = [
-      // Direct AI/Bot stop requests
-      'stop ai', 'stop bot', 'stop robot', 'shut off ai', 'turn off ai', 'disable ai',
-      'stop the ai', 'stop this ai', 'shut down ai', 'shut down bot',
-      'no more ai', 'turn off bot', 'disable bot', 'shut off bot', 'shut off the ai',
-      'shut down the ai', 'shut down the bot', 'turn off the bot', 'disable the bot',
-      'stop responding', 'stop replying', 'stop automatic', 'stop auto',
-      'ai talk', 'letting your ai', 'your ai talk', 'stop letting',
-      'ai off', 'shut ai', 'shut your ai', 'turn ai off', 'shut off your ai',
-      
-      // Human requests
-      'talk to human', 'speak to human', 'human help', 'real person', 'actual person',
-      'talk to someone', 'speak to someone', 'human representative', 'customer service',
-      'live chat', 'human support', 'real help', 'person help', 'human agent',
-      'transfer to human', 'connect to human', 'get human', 'need human',
-      'talk to a human', 'speak to a human', 'need to talk to',
-      'i want human', 'get me human', 'human please', 'human support',
+    // Check/create conversation
+    let convResult = await pool.query('SELECT * FROM conversations WHERE phone=$1', [phone]);
+    let conversation = convResult.rows[0];
+    
+    if (!conversation) {
+      // New conversation: check if customer exists in Google Sheets
+      const customer = await findCustomerByPhone(phone);
       
-      // Stop communication requests  
-      'stop texting', 'stop messaging', 'stop responding', 'stop talking', 'shut up',
-      'stop sending', 'stop contacting', 'dont text', "don't text", 'no more texts',
-      'no more messages', 'stop spam', 'quit messaging', 'quit texting',
-      'texting off', 'messaging off', 'fucking texting',
-      'stop this', 'make it stop', 'turn this off',
+      const customerName = ConversationEngine.getCustomerName(customer);
+      if (!customer || !customerName) {
+        // Customer not found in Google Sheets - ignore message
+        await logEvent('info', `Ignoring human message from non-customer: ${phone}`);
+        return res.status(200).json({ 
+          ignored: true, 
+          message: "Customer not found in records" 
+        });
+      }
       
-      // Frustration with AI
-      'this is annoying', "you're annoying", 'stop spamming', 'leave me alone',
-      'go away', 'piss off', 'bug off', 'screw off', 'get lost',
-      'fuck off', 'shut the fuck up', 'fucking ai', 'fucking bot', 'fucking robot',
-      'stupid ai', 'stupid bot', 'useless ai', 'useless bot', 'dumb ai', 'dumb bot',
-      'fucking annoying', 'so annoying', 'really annoying',
-      
-      // Explicit opt-out language
-      'unsubscribe', 'opt out', 'remove me', 'delete me', 'take me off',
-      'remove from list', 'stop subscription', 'cancel texts', 'end service'
-    ];
-    
-    const shouldTriggerHuman = humanTakeoverTriggers.some(trigger => lowerMessage.includes(trigger));
-    
-    if (shouldTriggerHuman) {
-      // Immediately pause conversation and request human
-      await pool.query(
-        'UPDATE conversations SET paused = true, requested_human = true WHERE phone = $1',
-        [phone]
-      );
-      
-      await logEvent('info', `Human takeover triggered for ${phone}: "${userMessage}"`);
-      
-      // Send email notification if email transporter is configured
-      if (emailTransporter) {
-        try {
-          const customerInfo = customer ? `${customer.name} (${phone})` : phone;
-          await emailTransporter.sendMail({
-            from: process.env.EMAIL_USER,
-            to: 'universalstills@gmail.com',
-            subject: `🚨 Human Takeover Required - Customer ${customerInfo}`,
-            html: `
-              <h2>Human Takeover Request</h2>
-              <p><strong>Customer:</strong> ${customerInfo}</p>
-              <p><strong>Phone:</strong> ${phone}</p>
-              <p><strong>Trigger Message:</strong> "${userMessage}"</p>
-              <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
-              <hr>
-              <p>Customer has requested to stop AI responses. Please contact them directly at ${phone} or call (603) 997-6786.</p>
-              <p><em>Conversation has been automatically paused.</em></p>
-            `
-          });
-          await logEvent('info', `Human takeover email sent for ${phone}`);
-        } catch (emailError) {
-          await logEvent('error', `Failed to send human takeover email for ${phone}: ${emailError.message}`);
-        }
-      }
-      
-      // Return human handoff message
-      return "I understand you'd prefer to speak with someone directly. I've paused our AI responses and notified our team. Please call (603) 997-6786 to speak with a real person, or someone will follow up with you soon.";
-    }
-
-    // Retrieve relevant knowledge
-    const knowledgeChunks = await knowledgeRetriever.retrieveRelevantChunks(userMessage, 2);
-    
-    // Get personality and system instructions from database
-    const [persResult, systemResult] = await Promise.all([
-      pool.query('SELECT content FROM personality LIMIT 1'),
-      pool.query('SELECT content FROM system_instructions LIMIT 1')
-    ]);
-    
-    const personalityText = persResult.rows.length ? persResult.rows[0].content : "";
-    const systemTemplate = systemResult.rows.length ? systemResult.rows[0].content : 
-      `YOU MUST FOLLOW THESE PERSONALITY INSTRUCTIONS EXACTLY:\n\n{PERSONALITY}`;
-    
-    // Get conversation history
-    const historyResult = await pool.query(
-      `SELECT sender, message FROM messages 
-       WHERE phone=$1 
-       ORDER BY timestamp DESC 
-       LIMIT 6`, [phone]
-    );
-    const historyMessages = historyResult.rows.reverse();
-
-    // Prepare knowledge content
-    let knowledgeContent = "";
-    if (knowledgeChunks.length > 0) {
-      knowledgeContent = "Relevant Knowledge:\n";
-      knowledgeChunks.forEach((chunk, idx) => {
-        knowledgeContent += `- ${chunk}\n`;
-      });
-    }
-    
-    // Prepare customer context
-    let customerContext = "";
-    if (customer && customer._rawData) {
-      function getCustomerData(customer, headerName, fallbackIndex) {
-        try {
-          const value = customer[headerName];
-          if (value) return value;
-        } catch (err) {
-          return customer._rawData[fallbackIndex] || '';
-        }
-      }
-      
-      const customerName = getCustomerData(customer, 'Name', 2) || getCustomerData(customer, 'Customer', 2);
-      const customerEmail = getCustomerData(customer, 'Email', 0);
-      const customerPhone = getCustomerData(customer, 'Phone', 1);
-      
-      // Parse customer data into more readable format
-      const rawData = customer._rawData || [];
-      let orderDetails = '';
-      if (rawData.length > 0) {
-        orderDetails = `
-Customer Details from Database:
-- Name: ${rawData[2] || 'N/A'}
-- Email: ${rawData[0] || 'N/A'} 
-- Phone: ${rawData[1] || rawData[6] || rawData[7] || 'N/A'}
-- Order Status: ${rawData[3] || rawData[4] || rawData[5] || 'N/A'}
-- Product/Order Info: ${rawData.slice(8, 12).filter(x => x).join(', ') || 'N/A'}
-- Additional Info: ${rawData.slice(12, 15).filter(x => x).join(', ') || 'N/A'}
-- Raw Data: ${rawData.slice(0, 15).join(' | ')}`;
-      }
-      
-      customerContext = `This is a known customer with the following information:
-${orderDetails}
-
-🚫 CRITICAL ORDER DATA RULES:
-- ONLY reference order details if they are CLEARLY readable and specific in the data above
-- If order status shows "N/A" or unclear data, do NOT make up order numbers, dates, or status
-- Do NOT invent expedited status, specific dates, or order numbers unless explicitly clear in the data
-- If data is unclear, say "Let me check your order details for you" and offer to call back
-- NEVER make up timeline references like "before July 17th" or specific order numbers unless they appear clearly above`;
-    }
-    
-    // Add current date and time context to prevent date/time confusion
-    const currentDateTime = new Date().toLocaleString('en-US', {
-      timeZone: 'America/New_York',
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-    const dateContext = `\n\n⚠️ CURRENT DATE & TIME CONTEXT ⚠️\nRight now it is: ${currentDateTime}\nAlways use this current date and time for any date/time calculations or comparisons.\nDo not reference outdated information or incorrect dates/times.\n\n⚠️ CRITICAL ERROR PREVENTION ⚠️\n- If you make a mistake, acknowledge it immediately and correct it\n- Do not make up order information if you're unsure\n- Do not repeat incorrect information - fix it right away\n- If a customer corrects you, thank them and use the correct information\n- Stay consistent with dates and order details throughout the conversation\n`;
-
-    // Build system content using template with replacements
-    let systemContent = `🚫 CRITICAL: ONLY refer to information from THIS conversation's message history below. NEVER mention details, promises, or plans that are not explicitly stated in the message history for THIS phone number. Do not confabulate or assume previous interactions.\n\n` +
-      systemTemplate
-      .replace('{PERSONALITY}', personalityText + dateContext)
-      .replace('{KNOWLEDGE}', knowledgeContent)
-      .replace('{CUSTOMER_CONTEXT}', customerContext)
-      .replace('{ORDER_INFO}', '');
-
-    // Build messages for Claude
-    const messages = [];
-    
-    // Add conversation history (excluding current message)
-    const conversationHistory = historyMessages.slice(0, -1);
-    for (let msg of conversationHistory) {
-      if (msg.sender === 'user') {
-        messages.push({ role: "user", content: msg.message });
-      } else if (msg.sender === 'assistant') {
-        messages.push({ role: "assistant", content: msg.message });
-      }
-    }
-
-    // Add current user message
-    messages.push({ role: "user", content: userMessage });
-
-    // Call Claude API
-    const completion = await anthropicClient.messages.create({
-      model: ANTHROPIC_MODEL,
-      max_tokens: 200,
-      temperature: 0.7,
-      system: systemContent,
-      messages: messages
-    });
-    
-    let aiResponse = completion.content[0].text.trim();
-    
-    // Clean up response
-    aiResponse = aiResponse.replace(/\[VOICE\]/g, '');
-    
-    return aiResponse;
-
-  } catch (error) {
-    console.error('Error generating AI response:', error);
-    return "I'm sorry, I'm having trouble right now. Please call back later or visit our website.";
-  }
-}
-
-// Human message logging endpoint (for Jonathan's phone)
-app.post('/human', async (req, res) => {
-  const incomingPhone = req.body.phone || req.body.From;
-  const incomingText = req.body.text || req.body.Body || '';
-  const messageType = req.body.type || 'unknown'; // 'incoming' or 'outgoing'
-  
-  if (!incomingPhone || incomingText === undefined) {
-    return res.status(400).json({ error: 'Missing phone or message text' });
-  }
-  
-  const phone = normalizePhoneNumber(incomingPhone);
-  const userMessage = incomingText.trim();
-  const timestamp = new Date();
-
-  await logEvent('info', `Human message (${messageType}) with ${phone}: "${userMessage}"`);
-
-  try {
-    // Check/create conversation
-    let convResult = await pool.query('SELECT * FROM conversations WHERE phone=$1', [phone]);
-    let conversation = convResult.rows[0];
-    
-    if (!conversation) {
-      // New conversation: check if customer exists in Google Sheets
-      const customer = await findCustomerByPhone(phone);
-      
-      // Helper function to get customer name
-      function getCustomerName(customer) {
-        if (!customer) return null;
-        try {
-          return customer['Name'] || customer['Customer'] || customer['name'] || customer._rawData[2];
-        } catch (err) {
-          return customer._rawData[2] || null;
-        }
-      }
-      
-      const customerName = getCustomerName(customer);
-      if (!customer || !customerName) {
-        // Customer not found in Google Sheets - ignore message
-        await logEvent('info', `Ignoring human message from non-customer: ${phone}`);
-        return res.status(200).json({ 
-          ignored: true, 
-          message: "Customer not found in records" 
-        });
-      }
-      
-      // Customer found - proceed with logging
-      const name = customerName;
-      await logEvent('info', `Customer identified for human conversation: ${name} (phone ${phone})`);
+      // Customer found - proceed with logging
+      const name = customerName;
+      await logEvent('info', `Customer identified for human conversation: ${name} (phone ${phone})`);
       
       await pool.query(
         'INSERT INTO conversations(phone, name, paused, requested_human, last_active) VALUES($1, $2, $3, $4, $5)',
@@ -1727,6 +2182,50 @@ app.post('/human', async (req, res) => {
   }
 });
 
+// Middleware: optional shared key for the relay device (set OUTBOX_API_KEY to enable)
+function requireOutboxKey(req, res, next) {
+  if (!OUTBOX_API_KEY) return next();
+  const key = req.get('X-Outbox-Key') || req.query.key;
+  if (key !== OUTBOX_API_KEY) {
+    return res.status(401).json({ error: 'Invalid outbox key' });
+  }
+  next();
+}
+
+// Relay device polls for due outbound messages (claimed for a short lease until acked)
+app.get('/api/outbox', requireOutboxKey, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  try {
+    const messages = await outboundQueue.claim(limit);
+    res.json({ messages });
+  } catch (err) {
+    console.error('Error polling outbox:', err);
+    res.status(500).json({ error: 'Failed to poll outbox' });
+  }
+});
+
+// Relay device reports delivery result: { success: true } or { success: false, error: "..." }
+app.post('/api/outbox/:id/ack', requireOutboxKey, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'Outbound message id must be a number' });
+  }
+  const id = parseInt(req.params.id, 10);
+  const success = req.body.success !== false && req.body.success !== 'false';
+  try {
+    const result = await outboundQueue.ack(id, { success, error: req.body.error });
+    if (!result) {
+      return res.status(409).json({ error: 'Outbound message is not awaiting an ack (unknown, already acked or cancelled)' });
+    }
+    if (result.status === 'failed') {
+      await logEvent('error', `Outbound message ${id} to ${result.phone} failed after ${result.attempts} attempts: ${req.body.error || 'unknown error'}`);
+    }
+    res.json({ success: true, status: result.status });
+  } catch (err) {
+    console.error(`Error acking outbound message ${id}:`, err);
+    res.status(500).json({ error: 'Failed to ack outbound message' });
+  }
+});
+
 // Admin Dashboard routes
 app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'management.html'));
@@ -1773,7 +2272,7 @@ app.get('/api/email-alerts', async (req, res) => {
 app.get('/api/conversations', async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT phone, name, paused, requested_human, last_active 
+      `SELECT phone, name, paused, requested_human, last_active, language, frustration
        FROM conversations 
        ORDER BY last_active DESC`
     );
@@ -1794,8 +2293,23 @@ app.get('/api/conversation/:phone', async (req, res) => {
     }
     
     const conversation = convResult.rows[0];
+    conversation.opted_out = !phone.includes(':') && await optOutRegistry.isOptedOut(phone);
+    // Other conversations of the same person (SMS / email / web chat)
+    conversation.customer_id = await customerIdentity.getCustomerId(phone);
+    conversation.linked = (await customerIdentity.getLinkedIds(phone)).filter(id => id !== phone);
+    // The sheet rows this conversation matches, and which source (tab/workbook) each came from
+    const sheetRecords = phone.startsWith('web:') ? []
+      : phone.startsWith('email:') ? await sheetIndex.findByEmail(phone.slice('email:'.length))
+        : await sheetIndex.findByPhone(phone);
+    conversation.sheet_rows = sheetRecords.map(record => ({
+      source: record.source,
+      label: sheetSources.label(record.source),
+      row: record.row_index,
+      product: record.product,
+      status: record.status_color
+    }));
     const msgResult = await pool.query(
-      `SELECT sender, message, timestamp 
+      `SELECT id, sender, message, timestamp, media_urls, translation, translation_status, intent 
        FROM messages 
        WHERE phone=$1 
        ORDER BY timestamp ASC`, [phone]
@@ -1808,6 +2322,261 @@ app.get('/api/conversation/:phone', async (req, res) => {
   }
 });
 
+// Customers across channels: each has one or more identities (phone, email:..., web:...)
+app.get('/api/customers', async (req, res) => {
+  try {
+    const search = String(req.query.search || '').trim();
+    res.json(await customerIdentity.list({ search }));
+  } catch (err) {
+    console.error('Error fetching customers:', err);
+    res.status(500).json({ error: 'Failed to fetch customers' });
+  }
+});
+
+// One timeline per person: messages from all of the customer's conversations
+app.get('/api/customers/:id', async (req, res) => {
+  try {
+    const timeline = await customerIdentity.getTimeline(parseInt(req.params.id, 10));
+    if (!timeline) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(timeline);
+  } catch (err) {
+    console.error(`Error fetching customer ${req.params.id}:`, err);
+    res.status(500).json({ error: 'Failed to fetch customer' });
+  }
+});
+
+// Manual merge: move every identity of source_id onto target_id (e.g. a web chat that was really a customer)
+app.post('/api/customers/merge', async (req, res) => {
+  const targetId = parseInt(req.body.target_id, 10);
+  const sourceId = parseInt(req.body.source_id, 10);
+  if (!targetId || !sourceId || targetId === sourceId) {
+    return res.status(400).json({ error: 'target_id and source_id must be two different customers' });
+  }
+  try {
+    await customerIdentity.merge(targetId, sourceId);
+    res.json({ success: true, customer_id: targetId });
+  } catch (err) {
+    if (err.message === 'Customer not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    console.error('Error merging customers:', err);
+    res.status(500).json({ error: 'Failed to merge customers' });
+  }
+});
+
+// Manual split: give one identity (conversation id) its own customer again
+app.post('/api/customers/split', async (req, res) => {
+  const identity = typeof req.body.identity === 'string' ? req.body.identity.trim() : '';
+  if (!identity) {
+    return res.status(400).json({ error: 'identity is required' });
+  }
+  try {
+    const customerId = await customerIdentity.split(identity);
+    res.json({ success: true, customer_id: customerId });
+  } catch (err) {
+    if (err.message === 'Identity not found' || err.message === 'Identity is not linked to anything else') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error(`Error splitting ${identity}:`, err);
+    res.status(500).json({ error: 'Failed to split customer' });
+  }
+});
+
+// Staff message into a web chat - the widget picks it up from /chat/messages
+async function sendWebChatMessage(conversationId, message, sendAt, res) {
+  if (sendAt) {
+    return res.status(400).json({ error: 'Scheduled messages are only supported for SMS' });
+  }
+  try {
+    const result = await pool.query(
+      'INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4) RETURNING id',
+      [conversationId, 'assistant', message.trim(), new Date()]
+    );
+    await logEvent('info', `Staff message posted to web chat ${conversationId}`);
+    res.json({ success: true, messageId: result.rows[0].id });
+  } catch (err) {
+    console.error(`Error posting web chat message for ${conversationId}:`, err);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+}
+
+// Staff-initiated or scheduled message through the outbound queue
+app.post('/api/conversation/:phone/send', async (req, res) => {
+  const phone = req.params.phone;
+  const { message, send_at } = req.body;
+
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  if (phone.startsWith('email:')) {
+    return res.status(400).json({ error: 'Outbound queue only delivers SMS' });
+  }
+  if (phone.startsWith('web:')) {
+    return sendWebChatMessage(phone, message, send_at, res);
+  }
+  if (await optOutRegistry.isOptedOut(phone)) {
+    return res.status(409).json({ error: 'This number has opted out (STOP) - messages cannot be sent' });
+  }
+
+  const sendAfter = send_at ? new Date(send_at) : null;
+  if (sendAfter && isNaN(sendAfter.getTime())) {
+    return res.status(400).json({ error: 'Invalid send_at date' });
+  }
+
+  let messageId = null;
+  let queued = null;
+  try {
+    // Refuse before anything is written when nothing would deliver the SMS
+    if (!await getOutboundRoute()) {
+      return res.status(409).json({ error: NO_OUTBOUND_ROUTE_ERROR });
+    }
+
+    // Record the message (and the conversation it belongs to) before queueing, so a failed insert
+    // can't leave an SMS queued that staff will send again
+    const formatted = formatSms(message, await getSmsFormatOptions());
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO conversations(phone, last_active) VALUES($1, CURRENT_TIMESTAMP)
+         ON CONFLICT (phone) DO UPDATE SET last_active = EXCLUDED.last_active`,
+        [phone]
+      );
+      const inserted = await client.query(
+        'INSERT INTO messages(phone, sender, message, timestamp) VALUES($1, $2, $3, $4) RETURNING id',
+        [phone, 'assistant', formatted.text, sendAfter || new Date()]
+      );
+      await client.query('COMMIT');
+      messageId = inserted.rows[0].id;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    queued = await queueOutboundSms(phone, formatted.parts, {
+      source: sendAfter ? 'scheduled' : 'staff',
+      sendAfter
+    });
+    await logEvent('info', `Staff message queued for ${phone}${sendAfter ? ` (scheduled ${sendAfter.toISOString()})` : ''}`);
+    res.json({ success: true, queued });
+  } catch (err) {
+    // Nothing was queued, so don't leave the message in the history as if it had been sent
+    if (messageId && !queued) {
+      await pool.query('DELETE FROM messages WHERE id=$1', [messageId]).catch(() => {});
+    }
+    if (err.status === 409) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error(`Error queueing message for ${phone}:`, err);
+    res.status(500).json({ error: 'Failed to queue message' });
+  }
+});
+
+// List outbound queue entries for the dashboard
+app.get('/api/outbound-messages', async (req, res) => {
+  try {
+    const messages = await outboundQueue.list({
+      status: req.query.status || null,
+      phone: req.query.phone || null
+    });
+    res.json(messages);
+  } catch (err) {
+    console.error('Error fetching outbound messages:', err);
+    res.status(500).json({ error: 'Failed to fetch outbound messages' });
+  }
+});
+
+// Cancel a queued message that hasn't been delivered yet
+app.post('/api/outbound-messages/:id/cancel', async (req, res) => {
+  try {
+    const result = await outboundQueue.cancel(parseInt(req.params.id, 10));
+    if (!result) {
+      return res.status(404).json({ error: 'No pending message with that id' });
+    }
+    await logEvent('info', `Outbound message ${req.params.id} cancelled by admin`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error cancelling outbound message:', err);
+    res.status(500).json({ error: 'Failed to cancel outbound message' });
+  }
+});
+
+// Translate one message when staff open it in the dashboard (older messages, or a retry after a failure)
+app.post('/api/messages/:id/translate', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'Message id must be a number' });
+  }
+  const id = parseInt(req.params.id, 10);
+  try {
+    const result = await pool.query('SELECT id, message, translation, translation_status FROM messages WHERE id=$1', [id]);
+    const row = result.rows[0];
+    if (!row) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (row.translation_status === 'done' || row.translation_status === 'original') {
+      return res.json({ translation: row.translation, translation_status: row.translation_status });
+    }
+    if (!row.message || translationsInFlight.has(id)) {
+      return res.json({ translation: null, translation_status: row.translation_status });
+    }
+    res.json(await translateMessage(row));
+  } catch (err) {
+    console.error(`Error translating message ${id}:`, err);
+    res.status(500).json({ error: 'Failed to translate message' });
+  }
+});
+
+// Proxy a message's MMS media for dashboard thumbnails (Twilio media needs auth)
+app.get('/api/messages/:id/media/:index', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id) || !/^\d+$/.test(req.params.index)) {
+    return res.status(400).json({ error: 'Message id and media index must be non-negative numbers' });
+  }
+  const id = parseInt(req.params.id, 10);
+  const index = parseInt(req.params.index, 10);
+
+  // Past the SERIAL range no message can exist (and Postgres would reject the parameter)
+  if (id > 2147483647) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  let url;
+  try {
+    const result = await pool.query('SELECT media_urls FROM messages WHERE id=$1', [id]);
+    const mediaUrls = result.rows[0]?.media_urls || [];
+    url = index < mediaUrls.length ? mediaUrls[index] : null;
+  } catch (err) {
+    console.error(`Error loading media for message ${id}:`, err);
+    return res.status(500).json({ error: 'Failed to load media' });
+  }
+  if (!url) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  try {
+    const { contentType, buffer } = await mediaFetcher.download(url);
+    // Re-served from the dashboard origin: images only, never the remote server's HTML or SVG
+    if (!MediaFetcher.SUPPORTED_IMAGE_TYPES.includes(contentType)) {
+      return res.status(415).json({ error: `Unsupported media type ${contentType || 'unknown'}` });
+    }
+    res.set({
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Disposition': 'inline'
+    });
+    res.type(contentType).send(buffer);
+  } catch (err) {
+    console.error(`Error fetching media for message ${id}:`, err.message);
+    if (err.blocked) {
+      return res.status(403).json({ error: 'Media host not allowed' });
+    }
+    res.status(502).json({ error: 'Failed to fetch media' });
+  }
+});
+
 // Pause a conversation
 app.post('/api/conversation/:phone/pause', async (req, res) => {
   const phone = req.params.phone;
@@ -1826,6 +2595,7 @@ app.post('/api/conversation/:phone/resume', async (req, res) => {
   const phone = req.params.phone;
   try {
     await pool.query('UPDATE conversations SET paused=false, requested_human=false WHERE phone=$1', [phone]);
+    await clearSheetHandoff(phone);
     await logEvent('info', `Admin resumed AI for conversation ${phone}`);
     res.json({ success: true });
   } catch (err) {
@@ -1970,6 +2740,7 @@ app.post('/api/sync-shopify', async (req, res) => {
   try {
     console.log('🔄 Starting enhanced Shopify sync...');
     const syncResults = await enhancedShopifySync(pool, SHOPIFY_STORE_DOMAIN, SHOPIFY_ACCESS_TOKEN);
+    inventoryLookup.clearCatalogCache();
     
     const totalSynced = syncResults.products + syncResults.metafields + syncResults.policies + syncResults.pages;
     const message = `Enhanced Shopify sync complete: ${syncResults.products} products, ${syncResults.metafields} metafields, ${syncResults.policies} policies, ${syncResults.pages} pages synced.`;
@@ -1994,6 +2765,229 @@ app.post('/api/sync-shopify', async (req, res) => {
 });
 
 
+// Inventory lookup preview: how the bot resolves a message to catalog variants and their stock
+app.get('/api/inventory', async (req, res) => {
+  const query = (req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  try {
+    res.json(await inventoryLookup.lookup(query));
+  } catch (err) {
+    console.error('Error looking up inventory:', err);
+    res.status(500).json({ error: 'Failed to look up inventory' });
+  }
+});
+
+// Shopify order preview for a phone number and/or email (what the bot sees for order questions)
+app.get('/api/shopify-orders', async (req, res) => {
+  const { phone, email } = req.query;
+  if (!phone && !email) {
+    return res.status(400).json({ error: 'phone or email is required' });
+  }
+  if (!shopifyOrders.isConfigured()) {
+    return res.status(500).json({ error: 'Shopify integration not configured' });
+  }
+  try {
+    const orders = await shopifyOrders.findOrders({ phone, email });
+    res.json({ orders, orderInfo: ShopifyOrders.formatOrders(orders) });
+  } catch (err) {
+    console.error('Error looking up Shopify orders:', err);
+    res.status(500).json({ error: 'Failed to look up Shopify orders' });
+  }
+});
+
+// Tracking preview: detected carrier and latest scan for a tracking number
+app.get('/api/tracking', async (req, res) => {
+  const number = (req.query.number || '').trim();
+  if (!number) {
+    return res.status(400).json({ error: 'number is required' });
+  }
+  const carrier = CarrierTracking.detectCarrier(number, req.query.carrier);
+  if (!carrier) {
+    return res.status(400).json({ error: 'Unrecognized tracking number (UPS, FedEx and USPS are supported)' });
+  }
+  if (!carrierTracking.isConfigured()) {
+    return res.status(500).json({ error: 'Tracking provider not configured' });
+  }
+  try {
+    const result = await carrierTracking.track(number, carrier);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to look up tracking' });
+    }
+    res.json({ ...result, summary: CarrierTracking.summarize(result) });
+  } catch (err) {
+    console.error('Error looking up tracking:', err);
+    res.status(500).json({ error: 'Failed to look up tracking' });
+  }
+});
+
+// Postgres customer index: freshness, and a manual re-sync after editing the sheet
+app.get('/api/sheet-index', async (req, res) => {
+  try {
+    res.json(await sheetIndex.getStatus());
+  } catch (err) {
+    console.error('Error getting sheet index status:', err);
+    res.status(500).json({ error: 'Failed to get sheet index status' });
+  }
+});
+
+app.post('/api/sheet-index/sync', async (req, res) => {
+  if (sheetSources.list().length === 0) {
+    return res.status(500).json({ error: 'Google Sheets not connected' });
+  }
+  try {
+    const result = await sheetIndex.sync('manual');
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error syncing sheet index:', err);
+    res.status(500).json({ error: 'Failed to sync sheet index' });
+  }
+});
+
+// Proactive order status notifications: settings, recent notifications, and staff review of held ones
+app.get('/api/order-notifications/settings', async (req, res) => {
+  try {
+    res.json(await getOrderNotificationSettings());
+  } catch (err) {
+    console.error('Error fetching order notification settings:', err);
+    res.status(500).json({ error: 'Failed to fetch order notification settings' });
+  }
+});
+
+app.post('/api/order-notifications/settings', async (req, res) => {
+  const current = await getOrderNotificationSettings();
+  const settings = OrderStatusNotifier.normalizeSettings({
+    enabled: req.body.enabled !== undefined ? req.body.enabled : current.enabled,
+    templates: { ...current.templates, ...req.body.templates },
+    quietHours: { ...current.quietHours, ...req.body.quietHours },
+    maxPerSync: req.body.maxPerSync !== undefined ? req.body.maxPerSync : current.maxPerSync
+  });
+  const error = OrderStatusNotifier.validateSettings(settings);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await setSetting('order_notifications', JSON.stringify(settings));
+    await logEvent('info', `Order notifications ${settings.enabled ? 'enabled' : 'disabled'} by admin (quiet hours ${settings.quietHours.start}-${settings.quietHours.end})`);
+    res.json(settings);
+  } catch (err) {
+    console.error('Error saving order notification settings:', err);
+    res.status(500).json({ error: 'Failed to save order notification settings' });
+  }
+});
+
+app.get('/api/order-notifications', async (req, res) => {
+  try {
+    res.json(await orderStatusNotifier.list({ status: req.query.status || null }));
+  } catch (err) {
+    console.error('Error fetching order notifications:', err);
+    res.status(500).json({ error: 'Failed to fetch order notifications' });
+  }
+});
+
+app.post('/api/order-notifications/:id/release', async (req, res) => {
+  try {
+    const notification = await orderStatusNotifier.release(parseInt(req.params.id, 10));
+    if (!notification) {
+      return res.status(404).json({ error: 'No held or failed notification with that id' });
+    }
+    await logEvent('info', `Order notification ${req.params.id} released by admin`);
+    res.json(notification);
+  } catch (err) {
+    console.error('Error releasing order notification:', err);
+    res.status(500).json({ error: 'Failed to release order notification' });
+  }
+});
+
+app.post('/api/order-notifications/:id/cancel', async (req, res) => {
+  try {
+    const notification = await orderStatusNotifier.cancel(parseInt(req.params.id, 10));
+    if (!notification) {
+      return res.status(404).json({ error: 'No unsent notification with that id' });
+    }
+    await logEvent('info', `Order notification ${req.params.id} cancelled by admin`);
+    res.json(notification);
+  } catch (err) {
+    console.error('Error cancelling order notification:', err);
+    res.status(500).json({ error: 'Failed to cancel order notification' });
+  }
+});
+
+// Intent analytics: customer messages per classified intent and channel over the last N days
+app.get('/api/intents', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  try {
+    const result = await pool.query(
+      `SELECT COALESCE(intent, 'unclassified') AS intent,
+              CASE WHEN phone LIKE 'email:%' THEN 'email' WHEN phone LIKE 'web:%' THEN 'web' ELSE 'sms' END AS channel,
+              COUNT(*)::int AS count
+       FROM messages
+       WHERE sender = 'user' AND timestamp > NOW() - ($1 || ' days')::interval
+       GROUP BY 1, 2
+       ORDER BY count DESC`,
+      [days]
+    );
+    res.json({ days, intents: result.rows, available: IntentClassifier.INTENT_NAMES });
+  } catch (err) {
+    console.error('Error fetching intent analytics:', err);
+    res.status(500).json({ error: 'Failed to fetch intent analytics' });
+  }
+});
+
+// Customer frustration: settings, trends (daily averages per channel + most frustrated conversations)
+// and one conversation's scored messages
+app.get('/api/sentiment/settings', async (req, res) => {
+  try {
+    res.json(await getSentimentSettings());
+  } catch (err) {
+    console.error('Error fetching sentiment settings:', err);
+    res.status(500).json({ error: 'Failed to fetch sentiment settings' });
+  }
+});
+
+app.post('/api/sentiment/settings', async (req, res) => {
+  const settings = SentimentTracker.normalizeSettings({ ...(await getSentimentSettings()), ...req.body });
+  const error = SentimentTracker.validateSettings(settings);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await setSetting('sentiment', JSON.stringify(settings));
+    await logEvent('info', `Sentiment tracking ${settings.enabled ? 'enabled' : 'disabled'} by admin (alert at ${settings.alertThreshold}${settings.pauseOnAlert ? ', pauses AI' : ''})`);
+    res.json(settings);
+  } catch (err) {
+    console.error('Error saving sentiment settings:', err);
+    res.status(500).json({ error: 'Failed to save sentiment settings' });
+  }
+});
+
+app.get('/api/sentiment', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  try {
+    const settings = await getSentimentSettings();
+    res.json(await sentimentTracker.getTrends({ days, threshold: settings.alertThreshold }));
+  } catch (err) {
+    console.error('Error fetching sentiment trends:', err);
+    res.status(500).json({ error: 'Failed to fetch sentiment trends' });
+  }
+});
+
+app.get('/api/conversation/:phone/sentiment', async (req, res) => {
+  try {
+    const sentiment = await sentimentTracker.getConversation(req.params.phone);
+    if (!sentiment) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(sentiment);
+  } catch (err) {
+    console.error(`Error fetching sentiment for ${req.params.phone}:`, err);
+    res.status(500).json({ error: 'Failed to fetch conversation sentiment' });
+  }
+});
+
 // Get logs
 app.get('/api/logs', async (req, res) => {
   try {
@@ -2019,25 +3013,34 @@ app.get('/health', (req, res) => {
 // Debug endpoint to check Google Sheets connection
 app.get('/debug/sheets', async (req, res) => {
   try {
-    if (!customerSheet) {
+    // Customer lookups read the Postgres index, so its freshness matters as much as the sheet
+    const index = await sheetIndex.getStatus().catch(err => ({ error: err.message }));
+
+    const primary = sheetSources.primary();
+    if (!primary) {
       return res.json({ 
         error: 'Google Sheets not connected',
         sheetId: GOOGLE_SHEET_ID,
-        hasCredentials: !!(GOOGLE_SERVICE_ACCOUNT_EMAIL && GOOGLE_PRIVATE_KEY)
+        hasCredentials: !!(GOOGLE_SERVICE_ACCOUNT_EMAIL && GOOGLE_PRIVATE_KEY),
+        sources: sheetSources.getStatus(),
+        index
       });
     }
     
-    // Get just the first few rows for debug info (don't need all rows)
-    const sampleRows = await customerSheet.getRows({ limit: 10, offset: 0 });
-    const totalRowsEstimate = customerSheet.rowCount || 'Unknown';
+    // Get just the first few rows of the highest priority source for debug info (don't need all rows)
+    const sampleRows = await primary.sheet.getRows({ limit: 10, offset: 0 });
+    const totalRowsEstimate = primary.sheet.rowCount || 'Unknown';
 
     res.json({
       connected: true,
-      sheetTitle: customerSheet.title,
-      sheetId: GOOGLE_SHEET_ID,
+      sheetTitle: primary.sheet.title,
+      sheetId: primary.sheetId || GOOGLE_SHEET_ID,
       totalRows: totalRowsEstimate,
-      sampleHeaders: customerSheet.headerValues,
-      firstRowData: sampleRows[0] ? sampleRows[0]._rawData.slice(0, 5) : 'No data'
+      sampleHeaders: primary.sheet.headerValues,
+      firstRowData: sampleRows[0] ? sampleRows[0]._rawData.slice(0, 5) : 'No data',
+      sources: sheetSources.getStatus(),
+      index,
+      writeback: sheetWriter.getStatus()
     });
   } catch (err) {
     res.json({ 
@@ -2116,6 +3119,499 @@ app.post('/api/respond-all-toggle', async (req, res) => {
   }
 });
 
+// SMS gateway mode endpoints (Tasker relay phone vs Twilio webhook)
+app.get('/api/sms-gateway-mode', async (req, res) => {
+  const mode = await getSmsGatewayMode();
+  res.json({ mode, modes: GATEWAY_MODES, twilio_configured: !!TWILIO_AUTH_TOKEN, outbound_route: await getOutboundRoute() });
+});
+
+app.post('/api/sms-gateway-mode', async (req, res) => {
+  const { mode } = req.body;
+  if (!GATEWAY_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${GATEWAY_MODES.join(', ')}` });
+  }
+
+  try {
+    await setSetting('sms_gateway_mode', mode);
+    await logEvent('info', `SMS gateway mode set to ${mode} by admin`);
+    res.json({ mode });
+  } catch (err) {
+    console.error('Error setting SMS gateway mode:', err);
+    res.status(500).json({ error: 'Failed to set SMS gateway mode' });
+  }
+});
+
+// SMS formatting settings (GSM-7 only, max segments, numbered parts)
+app.get('/api/sms-format', async (req, res) => {
+  res.json(await getSmsFormatOptions());
+});
+
+app.post('/api/sms-format', async (req, res) => {
+  const { gsm7Only, maxSegments, numberParts } = req.body;
+  const options = { ...(await getSmsFormatOptions()) };
+
+  if (gsm7Only !== undefined) options.gsm7Only = gsm7Only === true || gsm7Only === 'true';
+  if (numberParts !== undefined) options.numberParts = numberParts === true || numberParts === 'true';
+  if (maxSegments !== undefined) {
+    const value = maxSegments === null || maxSegments === '' ? 0 : parseInt(maxSegments, 10);
+    if (Number.isNaN(value) || value < 0 || value > 20) {
+      return res.status(400).json({ error: 'maxSegments must be between 1 and 20, or 0 for no cap' });
+    }
+    options.maxSegments = value;
+  }
+
+  try {
+    await setSetting('sms_format', JSON.stringify(options));
+    await logEvent('info', `SMS format settings updated by admin: ${JSON.stringify(options)}`);
+    res.json(options);
+  } catch (err) {
+    console.error('Error saving SMS format settings:', err);
+    res.status(500).json({ error: 'Failed to save SMS format settings' });
+  }
+});
+
+// Reply delivery mode endpoints (sync HTTP reply vs outbox polling)
+app.get('/api/reply-delivery-mode', async (req, res) => {
+  const mode = await getReplyDeliveryMode();
+  res.json({ mode, modes: DELIVERY_MODES });
+});
+
+app.post('/api/reply-delivery-mode', async (req, res) => {
+  const { mode } = req.body;
+  if (!DELIVERY_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${DELIVERY_MODES.join(', ')}` });
+  }
+
+  try {
+    await setSetting('reply_delivery_mode', mode);
+    await logEvent('info', `Reply delivery mode set to ${mode} by admin`);
+    res.json({ mode });
+  } catch (err) {
+    console.error('Error setting reply delivery mode:', err);
+    res.status(500).json({ error: 'Failed to set reply delivery mode' });
+  }
+});
+
+// Business hours calendar (weekly schedule, holiday closures, per-mode behavior)
+app.get('/api/business-hours', async (req, res) => {
+  try {
+    const config = await getBusinessHoursConfig();
+    const { mode, holiday, nextOpen } = getBusinessMode(config);
+    res.json({ config, current: { mode, holiday, nextOpen } });
+  } catch (err) {
+    console.error('Error fetching business hours:', err);
+    res.status(500).json({ error: 'Failed to fetch business hours' });
+  }
+});
+
+app.post('/api/business-hours', async (req, res) => {
+  const error = validateConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const config = normalizeConfig(req.body);
+    await setSetting('business_hours', JSON.stringify(config));
+    await logEvent('info', `Business hours updated by admin (${config.timezone}, ${config.holidays.length} holiday(s))`);
+    const { mode, holiday, nextOpen } = getBusinessMode(config);
+    res.json({ config, current: { mode, holiday, nextOpen } });
+  } catch (err) {
+    console.error('Error saving business hours:', err);
+    res.status(500).json({ error: 'Failed to save business hours' });
+  }
+});
+
+// Sheet sources: the tabs/workbooks customers are looked up in, with their load status and indexed row counts.
+// Saving replaces the list, drops indexed rows of removed sources and reloads the rest.
+app.get('/api/sheet-sources', async (req, res) => {
+  try {
+    const index = await sheetIndex.getStatus();
+    res.json({
+      sources: sheetSources.getConfigList(),
+      status: sheetSources.getStatus(),
+      indexedRows: index.sources
+    });
+  } catch (err) {
+    console.error('Error fetching sheet sources:', err);
+    res.status(500).json({ error: 'Failed to fetch sheet sources' });
+  }
+});
+
+app.post('/api/sheet-sources', async (req, res) => {
+  const error = SheetSources.validateSources(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    // Column mappings are confirmed separately (/api/column-mapping) - a source listed without one keeps its own
+    const sources = SheetSources.normalizeSources(req.body.map(source => (source.mapping === undefined && sheetSources.get(source.key)
+      ? { ...source, mapping: sheetSources.get(source.key).mapping }
+      : source)));
+    await setSetting('sheet_sources', JSON.stringify(sources));
+    // Rows of removed sources would otherwise keep matching customers
+    await pool.query('DELETE FROM sheet_customers WHERE NOT (source = ANY($1))', [sources.map(source => source.key)]);
+    await logEvent('info', `Sheet sources updated by admin: ${sources.map(source => `${source.key} (${source.tab}, priority ${source.priority}${source.enabled ? '' : ', disabled'})`).join(', ')}`);
+    const result = await loadSheetSources('sheet sources changed');
+    res.json({ sources, ...result, status: sheetSources.getStatus() });
+  } catch (err) {
+    console.error('Error saving sheet sources:', err);
+    res.status(500).json({ error: 'Failed to save sheet sources' });
+  }
+});
+
+// A sheet source's column mapping (?source=key, default the highest priority source): the current mapping,
+// what detection suggests from its headers, and a preview of its first few rows so staff can check it before confirming
+app.get('/api/column-mapping', async (req, res) => {
+  const source = req.query.source ? sheetSources.get(req.query.source) : sheetSources.primary();
+  if (!source) {
+    return res.status(404).json({ error: req.query.source ? `No sheet source "${req.query.source}"` : 'No sheet source loaded' });
+  }
+
+  try {
+    const mapping = await getColumnMapping(source.key);
+    const suggestion = suggestSourceMapping(source);
+    const sample = await pool.query('SELECT row_index, fields FROM sheet_customers WHERE source = $1 ORDER BY row_index LIMIT 3', [source.key]);
+    const preview = sample.rows.map(row => ({
+      rowIndex: row.row_index,
+      current: extractFields(row.fields || {}, mapping),
+      suggested: extractFields(row.fields || {}, normalizeMapping(suggestion.mapping))
+    }));
+
+    res.json({
+      source: { key: source.key, label: source.label },
+      sources: sheetSources.getConfigList().map(({ key, label }) => ({ key, label })),
+      mapping,
+      confirmed: mapping.confirmed,
+      headers: source.sheet ? source.sheet.headerValues || [] : [],
+      suggestion,
+      fields: COLUMN_FIELDS,
+      preview
+    });
+  } catch (err) {
+    console.error('Error fetching column mapping:', err);
+    res.status(500).json({ error: 'Failed to fetch column mapping' });
+  }
+});
+
+app.post('/api/column-mapping', async (req, res) => {
+  const source = req.query.source ? sheetSources.get(req.query.source) : sheetSources.primary();
+  if (!source) {
+    return res.status(404).json({ error: req.query.source ? `No sheet source "${req.query.source}"` : 'No sheet source loaded' });
+  }
+  const mapping = normalizeMapping({ ...(req.body || {}), confirmed: true });
+  const error = validateMapping({ ...(req.body || {}), ...mapping }, source.sheet ? source.sheet.headerValues || [] : []);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    sheetSources.setMapping(source.key, mapping);
+    await setSetting('sheet_sources', JSON.stringify(sheetSources.getConfigList()));
+    columnMappingCache.delete(source.key);
+    await logEvent('info', `Column mapping for sheet source "${source.key}" confirmed by admin: name "${mapping.name}", phones ${JSON.stringify(mapping.phones)}, email "${mapping.email}"`);
+    // Re-read every row through the new mapping
+    sheetIndex.sync('column mapping changed').catch(() => {});
+    res.json(mapping);
+  } catch (err) {
+    console.error('Error saving column mapping:', err);
+    res.status(500).json({ error: 'Failed to save column mapping' });
+  }
+});
+
+// Sheet color -> order status map with per-status playbooks
+app.get('/api/status-map', async (req, res) => {
+  try {
+    res.json(await getStatusMap());
+  } catch (err) {
+    console.error('Error fetching status map:', err);
+    res.status(500).json({ error: 'Failed to fetch status map' });
+  }
+});
+
+app.post('/api/status-map', async (req, res) => {
+  const error = validateStatusMap(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const statusMap = normalizeStatusMap(req.body);
+    await setSetting('status_map', JSON.stringify(statusMap));
+    statusMapCache = statusMap;
+    await logEvent('info', `Status map updated by admin: ${statusMap.statuses.map(status => status.key).join(', ')} (fallback ${statusMap.fallback})`);
+    res.json(statusMap);
+  } catch (err) {
+    console.error('Error saving status map:', err);
+    res.status(500).json({ error: 'Failed to save status map' });
+  }
+});
+
+// "Test a row": the color detected on a sheet row (?row=12, of ?source=key or the highest priority source)
+// or a given color (?hex=#00ff00), and the status it maps to
+app.get('/api/status-map/test', async (req, res) => {
+  let backgroundColor = null;
+  let row = null;
+
+  if (req.query.hex) {
+    backgroundColor = hexToColor(req.query.hex);
+    if (!backgroundColor) {
+      return res.status(400).json({ error: 'hex must look like #00ff00' });
+    }
+  } else {
+    const rowNumber = parseInt(req.query.row, 10);
+    if (!rowNumber || rowNumber < 2) {
+      return res.status(400).json({ error: 'row must be a sheet row number (2 or more - row 1 is the header)' });
+    }
+    const source = req.query.source ? sheetSources.get(req.query.source) : sheetSources.primary();
+    if (!source || !source.sheet) {
+      return res.status(500).json({ error: req.query.source ? `Sheet source "${req.query.source}" not loaded` : 'Google Sheets not connected' });
+    }
+    const sheet = source.sheet;
+    try {
+      await sheet.loadCells(`A${rowNumber}:F${rowNumber}`);
+    } catch (err) {
+      console.error('Error loading sheet row for status test:', err);
+      return res.status(500).json({ error: 'Failed to read sheet row' });
+    }
+    const found = findRowBackground(sheet, rowNumber);
+    backgroundColor = found ? found.backgroundColor : null;
+    row = {
+      source: source.key,
+      number: rowNumber,
+      colorColumn: found ? String.fromCharCode(65 + found.column) : null,
+      values: [0, 1, 2, 3, 4, 5].map(col => sheet.getCell(rowNumber - 1, col).formattedValue ?? '')
+    };
+  }
+
+  try {
+    res.json({
+      row,
+      color: backgroundColor
+        ? { hex: colorToHex(backgroundColor), red: backgroundColor.red || 0, green: backgroundColor.green || 0, blue: backgroundColor.blue || 0 }
+        : null,
+      status: backgroundColor ? await statusFromBackgroundColor(backgroundColor) : null
+    });
+  } catch (err) {
+    console.error('Error testing status map:', err);
+    res.status(500).json({ error: 'Failed to test status map' });
+  }
+});
+
+// Sheet write-back: settings, the write queue, and recent row color escalations
+app.get('/api/sheet-writeback', async (req, res) => {
+  try {
+    const escalations = await pool.query(
+      `SELECT e.id, e.conversation_id, c.name, e.source, e.row_index, e.from_status, e.to_status, e.created_at
+       FROM sheet_escalations e
+       LEFT JOIN conversations c ON c.phone = e.conversation_id
+       ORDER BY e.created_at DESC
+       LIMIT 50`
+    );
+    res.json({
+      settings: await getSheetWritebackSettings(),
+      writer: sheetWriter.getStatus(),
+      escalations: escalations.rows
+    });
+  } catch (err) {
+    console.error('Error fetching sheet write-back settings:', err);
+    res.status(500).json({ error: 'Failed to fetch sheet write-back settings' });
+  }
+});
+
+app.post('/api/sheet-writeback', async (req, res) => {
+  const current = await getSheetWritebackSettings();
+  const settings = SheetWriter.normalizeSettings({
+    enabled: req.body.enabled !== undefined ? req.body.enabled : current.enabled,
+    columns: { ...current.columns, ...req.body.columns },
+    escalation: { ...current.escalation, ...req.body.escalation }
+  });
+  const statusMap = await getStatusMap();
+  const error = SheetWriter.validateSettings(settings, statusMap.statuses.map(status => status.key));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await setSetting('sheet_writeback', JSON.stringify(settings));
+    await logEvent('info', `Sheet write-back ${settings.enabled ? 'enabled' : 'disabled'} by admin (escalation ${settings.escalation.enabled ? settings.escalation.ladder.join(' -> ') : 'off'})`);
+    res.json(settings);
+  } catch (err) {
+    console.error('Error saving sheet write-back settings:', err);
+    res.status(500).json({ error: 'Failed to save sheet write-back settings' });
+  }
+});
+
+// Human follow-up tasks queued after hours / on holidays
+app.get('/api/follow-up-tasks', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.id, t.phone, c.name, t.mode, t.reason, t.last_message, t.due_at, t.status, t.created_at, t.completed_at
+       FROM follow_up_tasks t
+       LEFT JOIN conversations c ON c.phone = t.phone
+       WHERE ($1::text IS NULL OR t.status = $1)
+       ORDER BY t.due_at ASC, t.id ASC
+       LIMIT 200`,
+      [req.query.status || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching follow-up tasks:', err);
+    res.status(500).json({ error: 'Failed to fetch follow-up tasks' });
+  }
+});
+
+app.post('/api/follow-up-tasks/:id/complete', async (req, res) => {
+  const status = req.body.status === 'cancelled' ? 'cancelled' : 'done';
+  try {
+    const result = await pool.query(
+      `UPDATE follow_up_tasks SET status=$2, completed_at=CURRENT_TIMESTAMP
+       WHERE id=$1 AND status='open' RETURNING id, phone, status`,
+      [req.params.id, status]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Open follow-up task not found' });
+    }
+    await logEvent('info', `Follow-up task ${req.params.id} for ${result.rows[0].phone} marked ${status}`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error completing follow-up task:', err);
+    res.status(500).json({ error: 'Failed to update follow-up task' });
+  }
+});
+
+// Inbound rate limit settings
+app.get('/api/rate-limits', async (req, res) => {
+  try {
+    res.json(await getRateLimitConfig());
+  } catch (err) {
+    console.error('Error fetching rate limits:', err);
+    res.status(500).json({ error: 'Failed to fetch rate limits' });
+  }
+});
+
+app.post('/api/rate-limits', async (req, res) => {
+  const current = await getRateLimitConfig();
+  const config = RateLimiter.normalizeConfig({
+    enabled: req.body.enabled !== undefined ? req.body.enabled : current.enabled,
+    perSender: { ...current.perSender, ...req.body.perSender },
+    global: { ...current.global, ...req.body.global },
+    autoBlock: { ...current.autoBlock, ...req.body.autoBlock }
+  });
+  const numbers = [
+    config.perSender.limit, config.perSender.windowSeconds,
+    config.global.limit, config.global.windowSeconds,
+    config.autoBlock.violations, config.autoBlock.windowSeconds, config.autoBlock.blockSeconds
+  ];
+  if (numbers.some(n => !Number.isInteger(n) || n < 1)) {
+    return res.status(400).json({ error: 'Limits, windows and block durations must be positive integers' });
+  }
+
+  try {
+    await setSetting('rate_limits', JSON.stringify(config));
+    await logEvent('info', `Rate limits updated by admin: ${JSON.stringify(config)}`);
+    res.json(config);
+  } catch (err) {
+    console.error('Error saving rate limits:', err);
+    res.status(500).json({ error: 'Failed to save rate limits' });
+  }
+});
+
+// Temporary (automatic) blocks
+app.get('/api/rate-limits/blocks', async (req, res) => {
+  try {
+    res.json(await rateLimiter.listTemporaryBlocks());
+  } catch (err) {
+    console.error('Error fetching temporary blocks:', err);
+    res.status(500).json({ error: 'Failed to fetch temporary blocks' });
+  }
+});
+
+app.delete('/api/rate-limits/blocks/:sender', async (req, res) => {
+  try {
+    await rateLimiter.unblock(req.params.sender);
+    await logEvent('info', `Temporary block lifted for ${req.params.sender} by admin`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error lifting temporary block:', err);
+    res.status(500).json({ error: 'Failed to lift temporary block' });
+  }
+});
+
+// Permanent blocklist / allowlist (phone numbers or email addresses)
+app.get('/api/sender-lists', async (req, res) => {
+  try {
+    res.json(await rateLimiter.listEntries());
+  } catch (err) {
+    console.error('Error fetching sender lists:', err);
+    res.status(500).json({ error: 'Failed to fetch sender lists' });
+  }
+});
+
+app.post('/api/sender-lists', async (req, res) => {
+  const { sender, list_type, reason } = req.body;
+  if (!sender || !RateLimiter.LIST_TYPES.includes(list_type)) {
+    return res.status(400).json({ error: `sender and list_type (${RateLimiter.LIST_TYPES.join(' | ')}) are required` });
+  }
+
+  try {
+    const entry = await rateLimiter.setListEntry(sender, list_type, reason || null);
+    if (list_type === 'allow') {
+      await rateLimiter.unblock(sender);
+    }
+    await logEvent('info', `Sender ${entry.sender} added to ${list_type}list by admin${reason ? ` (${reason})` : ''}`);
+    res.json(entry);
+  } catch (err) {
+    console.error('Error updating sender lists:', err);
+    res.status(500).json({ error: 'Failed to update sender lists' });
+  }
+});
+
+app.delete('/api/sender-lists/:sender', async (req, res) => {
+  try {
+    const removed = await rateLimiter.removeListEntry(req.params.sender);
+    if (!removed) {
+      return res.status(404).json({ error: 'Sender not found in lists' });
+    }
+    await logEvent('info', `Sender ${req.params.sender} removed from block/allow lists by admin`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing sender list entry:', err);
+    res.status(500).json({ error: 'Failed to remove sender list entry' });
+  }
+});
+
+// SMS opt-out registry
+app.get('/api/opt-outs', async (req, res) => {
+  try {
+    res.json(await optOutRegistry.list({ optedOutOnly: req.query.opted_out === 'true' }));
+  } catch (err) {
+    console.error('Error fetching opt-outs:', err);
+    res.status(500).json({ error: 'Failed to fetch opt-outs' });
+  }
+});
+
+// Admin opt-out (customer asked by phone/email) or opt-in (new consent recorded)
+app.post('/api/opt-outs', async (req, res) => {
+  const { phone, opted_out, note } = req.body;
+  if (!phone || OptOutRegistry.normalizePhone(phone).length < 10) {
+    return res.status(400).json({ error: 'A valid phone number is required' });
+  }
+
+  try {
+    const optingOut = opted_out !== false && opted_out !== 'false';
+    const entry = optingOut
+      ? await optOutRegistry.optOut(phone, { source: 'admin', note: note || null })
+      : await optOutRegistry.optIn(phone, { source: 'admin', note: note || null });
+    await logEvent('info', `Admin ${optingOut ? 'opted out' : 'opted in'} ${entry.phone}${note ? ` (${note})` : ''}`);
+    res.json(entry);
+  } catch (err) {
+    console.error('Error updating opt-out registry:', err);
+    res.status(500).json({ error: 'Failed to update opt-out registry' });
+  }
+});
+
 // Global error handlers to prevent crashes
 process.on('uncaughtException', (err) => {
   console.error('❌ Uncaught Exception:', err);
@@ -2137,6 +3633,21 @@ initDatabase().then(() => {
     console.log(`✅ SMS bot server listening on port ${PORT}`);
     console.log(`🥃 Jonathan's Distillation Bot server is ready!`);
 
+    // Open the sheet sources and keep the Postgres customer index in step with them
+    if (googleAuth) {
+      loadSheetSources('sheet loaded').catch(err => console.error("❌ Failed to load Google Sheets:", err.message));
+    }
+    sheetIndex.start();
+    orderStatusNotifier.start();
+    sheetWriter.start();
+    twilioSender.start();
+    process.on('SIGTERM', () => {
+      sheetIndex.stop();
+      orderStatusNotifier.stop();
+      twilioSender.stop();
+      sheetWriter.stop(); // Writes anything still queued
+    });
+
     // Start email monitoring if email transporter is configured
     if (emailTransporter) {
       console.log('📧 Starting email monitor...');
@@ -0,0 +1,364 @@
+/**
+ * Sheet Customer Index:
+ * Mirrors every sheet source (sheet-sources.js: the orders tab, archive tabs, other workbooks) into
+ * Postgres (sheet_customers) so a customer lookup is one indexed query instead of paging through every row.
+ * - Full sync on a schedule (SHEET_SYNC_INTERVAL_MINUTES) and on demand (POST /api/sheet-index/sync)
+ * - Each row keeps its header values and raw cells, so lookups return the same fields as a sheet row,
+ *   plus the fields read through the column mapping (column-mapping.js) at sync time
+ * - Every phone column in the mapping is indexed, so a customer matches on any of their numbers
+ * - Row background color (the order status) is read in the same pass, one page of rows at a time
+ * - Each row records its source; a source that fails to sync keeps its rows from the previous sync
+ * - Rows that disappeared from a source are removed at the end of its successful sync, and rows of
+ *   sources that are no longer configured (or are disabled) at the end of every sync
+ * - Orders whose row color changed since the previous sync are reported to onStatusChange
+ * - The index survives restarts; only an empty index makes the first lookup wait for a sync
+ */
+
+const { extractFields } = require('./column-mapping');
+
+const PAGE_SIZE = 500;
+const COLOR_COLUMNS = 6; // The whole row is colored - the first colored cell in A-F is the status
+
+// Lookup key: last 10 digits, so "+1 (603) 555-1234" and "6035551234" match
+function phoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : digits;
+}
+
+// Identifies an order across syncs - row numbers shift when rows are inserted or deleted.
+// Rows from the original single-tab index have no source prefix, so existing notifications still match.
+function orderKey(record) {
+  const key = [record.phone_key, record.email, record.product, record.order_date].map(value => value || '').join('|');
+  return record.source && record.source !== 'main' ? `${record.source}|${key}` : key;
+}
+
+class SheetCustomerIndex {
+  /**
+   * getSources: () => the loaded sheet sources, highest priority first ([{ key, label, sheet }], see sheet-sources.js)
+   * getConfiguredKeys: () => keys of the configured, enabled sources (loaded or not) - other sources' rows are removed
+   * getMapping: async (sourceKey) => the column mapping to read that source's rows with (see column-mapping.js)
+   * describeColor: async (backgroundColor) => { statusColor, statusDescription } for a row color
+   * onStatusChange: async ([{ orderKey, record, fromStatus, toStatus }]) after a sync that changed row colors
+   */
+  constructor(pool, { getSources, getConfiguredKeys = null, getMapping, describeColor = () => null, onStatusChange = null, logEvent = async () => {}, intervalMinutes = 10 }) {
+    this.pool = pool;
+    this.getSources = getSources;
+    this.getConfiguredKeys = getConfiguredKeys;
+    this.getMapping = getMapping;
+    this.describeColor = describeColor;
+    this.onStatusChange = onStatusChange;
+    this.logEvent = logEvent;
+    this.intervalMinutes = intervalMinutes;
+    this.running = null; // Promise of the sync in progress
+    this.ready = false;
+    this.lastRun = null; // { reason, startedAt, durationMs, rows, error, sources: { key: { rows, error } } }
+    this.timer = null;
+  }
+
+  // One sheet row as an index record (header values + raw cells + the fields lookups need)
+  toRecord(row, rowIndex, headers, mapping, sourceKey) {
+    const rawData = [...(row._rawData || [])];
+    const fields = {};
+    headers.forEach((header, i) => {
+      if (header && !(header in fields)) fields[header] = rawData[i] || '';
+    });
+    const mapped = extractFields(fields, mapping);
+
+    // The mapped email comes first; any other email in the first 10 columns still finds the row
+    const emails = [...new Set([mapped.email, ...rawData.slice(0, 10)]
+      .map(cell => String(cell || '').toLowerCase().trim())
+      .filter(cell => cell.includes('@')))];
+    const phoneKeys = [...new Set(mapped.phones.map(phoneKey).filter(Boolean))];
+
+    return {
+      source: sourceKey,
+      row_index: rowIndex,
+      phone: mapped.phones[0] || '',
+      phone_key: phoneKeys[0] || '',
+      phone_keys: phoneKeys,
+      email: emails[0] || null,
+      emails,
+      name: mapped.name,
+      product: mapped.product,
+      order_date: mapped.orderDate,
+      status_color: null,
+      status_description: null,
+      fields,
+      mapped,
+      raw_data: rawData
+    };
+  }
+
+  // Row colors for one page - same cells (A-F of googleRowIndex) as the live status lookup
+  async readColors(sheet, records) {
+    if (records.length === 0) return;
+    const first = records[0].row_index;
+    const last = records[records.length - 1].row_index;
+    try {
+      await sheet.loadCells(`A${first}:${String.fromCharCode(64 + COLOR_COLUMNS)}${last}`);
+    } catch (err) {
+      console.error(`❌ Sheet index: failed to load row colors ${first}-${last}:`, err.message);
+      return;
+    }
+
+    for (const record of records) {
+      for (let colIndex = 0; colIndex < COLOR_COLUMNS; colIndex++) {
+        const cell = sheet.getCell(record.row_index - 1, colIndex);
+        if (cell && cell.backgroundColor) {
+          const status = await this.describeColor(cell.backgroundColor);
+          if (status) {
+            record.status_color = status.statusColor;
+            record.status_description = status.statusDescription;
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  async upsert(records, syncedAt) {
+    await this.pool.query(
+      `INSERT INTO sheet_customers(source, row_index, phone, phone_key, phone_keys, email, emails, name, product, order_date,
+                                   status_color, status_description, fields, mapped, raw_data, synced_at)
+       SELECT r.source, r.row_index, r.phone, r.phone_key, ARRAY(SELECT jsonb_array_elements_text(r.phone_keys)),
+              r.email, ARRAY(SELECT jsonb_array_elements_text(r.emails)),
+              r.name, r.product, r.order_date, r.status_color, r.status_description, r.fields, r.mapped, r.raw_data, $2
+       FROM jsonb_to_recordset($1::jsonb) AS r(source TEXT, row_index INTEGER, phone TEXT, phone_key TEXT, phone_keys JSONB, email TEXT, emails JSONB,
+              name TEXT, product TEXT, order_date TEXT, status_color TEXT, status_description TEXT, fields JSONB, mapped JSONB, raw_data JSONB)
+       ON CONFLICT (source, row_index) DO UPDATE SET
+         phone = EXCLUDED.phone, phone_key = EXCLUDED.phone_key, phone_keys = EXCLUDED.phone_keys,
+         email = EXCLUDED.email, emails = EXCLUDED.emails,
+         name = EXCLUDED.name, product = EXCLUDED.product, order_date = EXCLUDED.order_date,
+         status_color = EXCLUDED.status_color, status_description = EXCLUDED.status_description,
+         fields = EXCLUDED.fields, mapped = EXCLUDED.mapped, raw_data = EXCLUDED.raw_data, synced_at = EXCLUDED.synced_at`,
+      [JSON.stringify(records), syncedAt]
+    );
+  }
+
+  // Each order's status color before this sync. Orders listed twice are ambiguous and left out.
+  async loadStatusSnapshot() {
+    const result = await this.pool.query('SELECT source, phone_key, email, product, order_date, status_color FROM sheet_customers');
+    const snapshot = new Map();
+    const duplicates = new Set();
+    for (const row of result.rows) {
+      const key = orderKey(row);
+      if (snapshot.has(key)) duplicates.add(key);
+      snapshot.set(key, row.status_color);
+    }
+    duplicates.forEach(key => snapshot.delete(key));
+    return snapshot;
+  }
+
+  findStatusChanges(records, snapshot) {
+    const changes = [];
+    for (const record of records) {
+      const key = orderKey(record);
+      const fromStatus = snapshot.get(key);
+      if (fromStatus && record.status_color && fromStatus !== record.status_color) {
+        changes.push({ orderKey: key, record, fromStatus, toStatus: record.status_color });
+      }
+    }
+    return changes;
+  }
+
+  async reportStatusChanges(changes) {
+    if (changes.length === 0) return;
+    console.log(`🎨 ${changes.length} order status change(s) since the last sync`);
+    try {
+      await this.onStatusChange(changes);
+    } catch (err) {
+      console.error('❌ Order status change handling failed:', err.message);
+      await this.logEvent('error', `Order status change handling failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mirror every loaded source. Concurrent calls share the sync already in progress.
+   * Returns { rows, durationMs, statusChanges, errors } - errors lists the sources that failed
+   * (the sync only throws when all of them did)
+   */
+  async sync(reason = 'schedule') {
+    if (!this.running) {
+      this.running = this.runSync(reason).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  // Mirror one source's rows. Returns the number of rows written; status changes are added to `changes`.
+  async syncSource(source, snapshot, startedAt, changes) {
+    const { sheet } = source;
+    const headers = sheet.headerValues || [];
+    const mapping = await this.getMapping(source.key);
+    let offset = 0;
+
+    while (true) {
+      const rows = await sheet.getRows({ limit: PAGE_SIZE, offset });
+      if (rows.length === 0) break;
+
+      // row_index is the sheet's own row number (header = row 1), as used in A1 ranges
+      const records = rows.map((row, i) => this.toRecord(row, row.rowNumber || offset + i + 2, headers, mapping, source.key));
+      await this.readColors(sheet, records);
+      if (snapshot) changes.push(...this.findStatusChanges(records, snapshot));
+      await this.upsert(records, startedAt);
+
+      offset += rows.length;
+      if (rows.length < PAGE_SIZE) break;
+    }
+
+    // Anything not written by this sync is gone from the source
+    await this.pool.query('DELETE FROM sheet_customers WHERE source = $1 AND synced_at < $2', [source.key, startedAt]);
+    return offset;
+  }
+
+  async runSync(reason) {
+    const sources = this.getSources();
+    if (sources.length === 0) {
+      throw new Error('Google Sheet not connected');
+    }
+
+    const startedAt = new Date();
+    const changes = [];
+    const results = {};
+    // New rows (and the very first sync) have nothing to compare against, so they never count as changes
+    const snapshot = this.onStatusChange ? await this.loadStatusSnapshot() : null;
+
+    for (const source of sources) {
+      try {
+        results[source.key] = { rows: await this.syncSource(source, snapshot, startedAt, changes), error: null };
+      } catch (err) {
+        results[source.key] = { rows: 0, error: err.message };
+        console.error(`❌ Sheet index sync of "${source.key}" failed:`, err.message);
+        await this.logEvent('error', `Sheet customer index sync of "${source.key}" failed (${reason}): ${err.message}`);
+      }
+    }
+
+    const rows = Object.values(results).reduce((sum, result) => sum + result.rows, 0);
+    const errors = Object.entries(results).filter(([, result]) => result.error).map(([key, result]) => `${key}: ${result.error}`);
+    const durationMs = Date.now() - startedAt.getTime();
+    this.lastRun = { reason, startedAt, durationMs, rows, error: errors.length > 0 ? errors.join('; ') : null, sources: results };
+    // Pages already written won't show their color changes again on the next sync
+    await this.reportStatusChanges(changes);
+
+    if (errors.length === sources.length) {
+      throw new Error(`Sheet index sync failed: ${errors.join('; ')}`);
+    }
+    await this.removeUnconfiguredSources();
+
+    this.ready = true;
+    console.log(`✅ Sheet index synced: ${rows} rows from ${sources.length - errors.length} source(s) in ${durationMs}ms (${reason})`);
+    await this.logEvent('info', `Sheet customer index synced: ${rows} rows from ${sources.length - errors.length} of ${sources.length} source(s) in ${durationMs}ms (${reason})`);
+    return { rows, durationMs, statusChanges: changes.length, errors };
+  }
+
+  // Rows of a source that was removed, renamed or disabled would otherwise keep matching customers.
+  // Sources that failed to load are still configured, so their rows from the previous sync stay.
+  async removeUnconfiguredSources() {
+    const keys = this.getConfiguredKeys ? this.getConfiguredKeys() : this.getSources().map(source => source.key);
+    if (keys.length === 0) return 0;
+    const result = await this.pool.query('DELETE FROM sheet_customers WHERE NOT (source = ANY($1))', [keys]);
+    if (result.rowCount > 0) {
+      console.log(`🧹 Removed ${result.rowCount} indexed rows of sheet sources that are no longer configured`);
+      await this.logEvent('info', `Sheet customer index removed ${result.rowCount} rows of sources no longer configured (kept: ${keys.join(', ')})`);
+    }
+    return result.rowCount;
+  }
+
+  // Sync now (if the sheet is already loaded) and then every intervalMinutes (0 = on demand only)
+  start() {
+    const run = (reason) => this.sync(reason).catch(() => {}); // Failures are logged in runSync
+    if (this.getSources().length > 0) run('startup');
+    if (this.intervalMinutes > 0) {
+      this.timer = setInterval(() => {
+        if (this.getSources().length > 0) run('schedule');
+      }, this.intervalMinutes * 60 * 1000);
+    }
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // An empty index (first deploy) waits for the first sync; a populated one answers right away
+  async ensureIndexed() {
+    if (this.ready) return;
+    const result = await this.pool.query('SELECT EXISTS (SELECT 1 FROM sheet_customers) AS populated');
+    if (result.rows[0].populated) {
+      this.ready = true;
+      return;
+    }
+    if (this.getSources().length > 0) {
+      await this.sync('first lookup').catch(() => {});
+    }
+  }
+
+  // Source keys lowest priority first: lookups list rows oldest first, and archives hold the oldest orders
+  sourceOrder() {
+    return this.getSources().map(source => source.key).reverse();
+  }
+
+  /**
+   * All rows with this phone number in any mapped phone column of any source: lowest priority source
+   * first (sources no longer loaded before those), then sheet order - so the newest order comes last
+   */
+  async findByPhone(phone) {
+    const key = phoneKey(phone);
+    if (!key) return [];
+    await this.ensureIndexed();
+    const result = await this.pool.query(
+      `SELECT * FROM sheet_customers WHERE $1 = ANY(phone_keys)
+       ORDER BY array_position($2::text[], source) NULLS FIRST, row_index`,
+      [key, this.sourceOrder()]
+    );
+    return result.rows;
+  }
+
+  /**
+   * All rows with this email in the mapped email column or any of their first 10 columns, ordered like findByPhone
+   */
+  async findByEmail(email) {
+    const normalized = String(email || '').toLowerCase().trim();
+    if (!normalized) return [];
+    await this.ensureIndexed();
+    const result = await this.pool.query(
+      `SELECT * FROM sheet_customers WHERE $1 = ANY(emails)
+       ORDER BY array_position($2::text[], source) NULLS FIRST, row_index`,
+      [normalized, this.sourceOrder()]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Index health for /debug/sheets: row count, last sync, age and whether it's stale
+   */
+  async getStatus() {
+    const result = await this.pool.query(
+      'SELECT COUNT(*)::int AS rows, MAX(synced_at) AS last_synced_at FROM sheet_customers'
+    );
+    const { rows, last_synced_at: lastSyncedAt } = result.rows[0];
+    const perSource = await this.pool.query(
+      'SELECT source, COUNT(*)::int AS rows, MAX(synced_at) AS last_synced_at FROM sheet_customers GROUP BY source ORDER BY source'
+    );
+    const ageSeconds = lastSyncedAt ? Math.round((Date.now() - new Date(lastSyncedAt).getTime()) / 1000) : null;
+    // Stale = a scheduled sync has been missed (or there never was one)
+    const stale = ageSeconds === null || (this.intervalMinutes > 0 && ageSeconds > this.intervalMinutes * 60 * 2);
+
+    return {
+      rows,
+      lastSyncedAt,
+      sources: perSource.rows,
+      ageSeconds,
+      stale,
+      syncing: Boolean(this.running),
+      intervalMinutes: this.intervalMinutes,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+SheetCustomerIndex.phoneKey = phoneKey;
+SheetCustomerIndex.orderKey = orderKey;
+
+module.exports = SheetCustomerIndex;
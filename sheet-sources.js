@@ -0,0 +1,175 @@
+/**
+ * Sheet Sources:
+ * The customer/order tabs the bot reads, stored as JSON in system_settings.sheet_sources so archive tabs
+ * and other workbooks (wholesale) can be added from the dashboard. Each source has:
+ * - key: stable id stored with every indexed row ('main', 'archive-2023', 'wholesale')
+ * - label: shown to the AI and in the dashboard ("Wholesale")
+ * - sheetId: the workbook (empty = GOOGLE_SHEET_ID) and tab: the tab title - a missing tab is an error, never another tab
+ * - priority: 1 = highest. Lookups search every source; a customer's name and details come from their
+ *   highest priority source, and its rows count as their newest orders (archives should be lower)
+ * - enabled, and mapping: the source's column mapping (column-mapping.js), null until staff confirm one
+ * Without a stored list there is one source: GOOGLE_SHEET_TAB_NAME in GOOGLE_SHEET_ID.
+ */
+
+const { normalizeMapping, validateMapping } = require('./column-mapping');
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Stored list -> complete sources, highest priority first
+ */
+function normalizeSources(sources = []) {
+  return (Array.isArray(sources) ? sources : [])
+    .map((source, i) => ({
+      key: String(source.key || '').trim(),
+      label: String(source.label || source.tab || source.key || '').trim(),
+      sheetId: String(source.sheetId || '').trim(),
+      tab: String(source.tab || '').trim(),
+      priority: typeof source.priority === 'number' ? source.priority : i + 1,
+      enabled: source.enabled !== false,
+      mapping: source.mapping ? normalizeMapping(source.mapping) : null
+    }))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Validate a source list before saving. Returns an error message or null.
+ */
+function validateSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    return 'Add at least one sheet source: [{ "key": "main", "tab": "Shopify" }]';
+  }
+
+  const keys = new Set();
+  for (const source of sources) {
+    const key = String((source && source.key) || '').trim();
+    if (!KEY_PATTERN.test(key)) return `Source key "${key}" must be letters, numbers, - or _ (e.g. "archive-2023")`;
+    if (keys.has(key)) return `Source "${key}" is listed twice`;
+    keys.add(key);
+
+    if (!String(source.tab || '').trim()) return `Source "${key}": tab is the title of the sheet tab to read`;
+    if (source.priority !== undefined && (typeof source.priority !== 'number' || source.priority < 1)) {
+      return `Source "${key}": priority must be a number (1 = highest)`;
+    }
+    if (source.mapping) {
+      const error = validateMapping(normalizeMapping(source.mapping));
+      if (error) return `Source "${key}": ${error}`;
+    }
+  }
+
+  if (!sources.some(source => source.enabled !== false)) {
+    return 'At least one sheet source must be enabled';
+  }
+  return null;
+}
+
+class SheetSources {
+  /**
+   * openWorkbook: async (sheetId) => a loaded GoogleSpreadsheet (auth and loadInfo done)
+   * getConfig: async () => the configured sources (normalizeSources)
+   */
+  constructor({ openWorkbook, defaultSheetId, getConfig, logEvent = async () => {} }) {
+    this.openWorkbook = openWorkbook;
+    this.defaultSheetId = defaultSheetId;
+    this.getConfig = getConfig;
+    this.logEvent = logEvent;
+    this.sources = []; // Configured sources with { sheet, workbookTitle, error } from the last load
+    this.loadedAt = null;
+  }
+
+  /**
+   * Open every enabled source's workbook and tab. A source that fails keeps its error and is skipped;
+   * the others are used. Returns { loaded, failed } (counts).
+   */
+  async load() {
+    const config = await this.getConfig();
+    const workbooks = new Map(); // sheetId -> Promise of the workbook, opened once per load
+    const sources = [];
+
+    for (const source of config) {
+      const entry = { ...source, sheet: null, workbookTitle: null, error: null };
+      sources.push(entry);
+      if (!source.enabled) continue;
+
+      const sheetId = source.sheetId || this.defaultSheetId;
+      try {
+        if (!sheetId) throw new Error('no workbook (set sheetId or GOOGLE_SHEET_ID)');
+        if (!workbooks.has(sheetId)) workbooks.set(sheetId, this.openWorkbook(sheetId));
+        const workbook = await workbooks.get(sheetId);
+        entry.workbookTitle = workbook.title;
+        entry.sheet = workbook.sheetsByTitle[source.tab] || null;
+        if (!entry.sheet) {
+          const tabs = workbook.sheetsByIndex.map(sheet => `"${sheet.title}"`).join(', ');
+          throw new Error(`no tab "${source.tab}" in workbook "${workbook.title}" (tabs: ${tabs})`);
+        }
+        await entry.sheet.loadHeaderRow();
+        console.log(`✅ Sheet source "${source.key}" loaded: ${workbook.title} / ${source.tab}`);
+      } catch (err) {
+        entry.sheet = null;
+        entry.error = err.message;
+        console.error(`❌ Sheet source "${source.key}" failed to load:`, err.message);
+        await this.logEvent('error', `Sheet source "${source.key}" (${source.tab}) failed to load: ${err.message}`);
+      }
+    }
+
+    this.sources = sources;
+    this.loadedAt = new Date();
+    const loaded = sources.filter(source => source.sheet).length;
+    return { loaded, failed: sources.filter(source => source.error).length };
+  }
+
+  // Sources with a loaded tab, highest priority first
+  list() {
+    return this.sources.filter(source => source.sheet);
+  }
+
+  // A configured source (loaded or not) by key
+  get(key) {
+    return this.sources.find(source => source.key === key) || null;
+  }
+
+  // The highest priority loaded source - the default for tools that look at one tab
+  primary() {
+    return this.list()[0] || null;
+  }
+
+  label(key) {
+    const source = this.get(key);
+    return source ? source.label : key;
+  }
+
+  // The configured list as stored (without the loaded tabs)
+  getConfigList() {
+    return this.sources.map(({ key, label, sheetId, tab, priority, enabled, mapping }) => ({ key, label, sheetId, tab, priority, enabled, mapping }));
+  }
+
+  // A saved column mapping takes effect without reopening the workbooks
+  setMapping(key, mapping) {
+    const source = this.get(key);
+    if (source) source.mapping = mapping;
+  }
+
+  getStatus() {
+    return {
+      loadedAt: this.loadedAt,
+      sources: this.sources.map(source => ({
+        key: source.key,
+        label: source.label,
+        workbook: source.workbookTitle,
+        sheetId: source.sheetId || this.defaultSheetId,
+        tab: source.tab,
+        priority: source.priority,
+        enabled: source.enabled,
+        loaded: Boolean(source.sheet),
+        rowCount: source.sheet ? source.sheet.rowCount : null,
+        mappingConfirmed: Boolean(source.mapping && source.mapping.confirmed),
+        error: source.error
+      }))
+    };
+  }
+}
+
+SheetSources.normalizeSources = normalizeSources;
+SheetSources.validateSources = validateSources;
+
+module.exports = SheetSources;
@@ -0,0 +1,276 @@
+/**
+ * Sheet Writer:
+ * Writes bot activity back to the customer's row so staff see it in the sheet they work in.
+ * - Updates are queued per row and flushed in one batch (one read + one write request) every flushSeconds
+ * - Several updates to the same row before a flush are merged; at most MAX_ROWS_PER_FLUSH rows per batch,
+ *   all from one sheet source (sheet-sources.js) - each tab is written in its own batch
+ * - A failed batch (429 rate limit, Sheets down) is re-queued and flushing backs off, up to MAX_BACKOFF_SECONDS
+ * - Rows are checked before writing: if column A no longer holds what it did at lookup time
+ *   (rows inserted since the index sync), the update is dropped rather than written to someone else's row
+ * - Row color escalation (white -> light blue -> dark blue) only happens if the row is still in the
+ *   status the bot saw, so it never overrides a color staff just changed
+ * What gets written lives in system_settings.sheet_writeback (merged over DEFAULT_WRITEBACK_SETTINGS);
+ * columns are sheet header names, and an empty name turns that column off.
+ */
+
+const DEFAULT_FLUSH_SECONDS = 15;
+const MAX_ROWS_PER_FLUSH = 25;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+const COLOR_COLUMNS = 6; // Status color is read from the first colored cell in A-F
+
+const DEFAULT_WRITEBACK_SETTINGS = {
+  enabled: false,
+  columns: {
+    lastContact: 'Bot Last Contact',
+    lastInbound: 'Bot Last Message',
+    handoff: 'Needs Human'
+  },
+  escalation: {
+    enabled: false,
+    ladder: ['white', 'light blue', 'dark blue'],
+    cooldownHours: 24
+  }
+};
+
+const MAX_SUMMARY_LENGTH = 200;
+
+// Impatience in an order question: waiting too long, asking again, frustration
+const IMPATIENCE_PATTERNS = [
+  /\bstill (waiting|haven'?t|have not|no)\b/i,
+  /\bhow (much )?long(er)?\b/i,
+  /\b(been|it'?s been|over|almost) (\d+|a few|a couple|several|many) (days|weeks|months)\b/i,
+  /\b(any|an) update\b/i,
+  /\b(ridiculous|unacceptable|frustrat\w*|fed up|sick of|tired of waiting|never received|what'?s taking)\b/i,
+  /\?{2,}/
+];
+
+// Impatience only counts when the message is about an order (not "how long does a run take?")
+const IMPATIENCE_INTENTS = ['order_status', 'complaint'];
+
+function detectImpatience(text, intent = null) {
+  if (intent && !IMPATIENCE_INTENTS.includes(intent)) return false;
+  return IMPATIENCE_PATTERNS.some(pattern => pattern.test(String(text || '')));
+}
+
+function normalizeSettings(settings = {}) {
+  settings = settings || {};
+  return {
+    enabled: settings.enabled !== undefined ? settings.enabled === true : DEFAULT_WRITEBACK_SETTINGS.enabled,
+    columns: { ...DEFAULT_WRITEBACK_SETTINGS.columns, ...(settings.columns || {}) },
+    escalation: { ...DEFAULT_WRITEBACK_SETTINGS.escalation, ...(settings.escalation || {}) }
+  };
+}
+
+/**
+ * Validate settings before saving. statusKeys: the status map's keys, which the ladder must use.
+ * Returns an error message or null.
+ */
+function validateSettings(settings, statusKeys = []) {
+  if (Object.values(settings.columns).some(column => typeof column !== 'string')) {
+    return 'Columns must be sheet header names (use an empty name to stop writing a column)';
+  }
+  const { ladder, cooldownHours } = settings.escalation;
+  if (!Array.isArray(ladder) || ladder.length < 2) {
+    return 'The escalation ladder needs at least two statuses, e.g. ["white", "light blue"]';
+  }
+  const unknown = ladder.find(key => !statusKeys.includes(key));
+  if (unknown !== undefined) {
+    return `Escalation status "${unknown}" is not in the status map`;
+  }
+  if (new Set(ladder).size !== ladder.length) {
+    return 'The escalation ladder lists a status twice';
+  }
+  if (typeof cooldownHours !== 'number' || cooldownHours < 0) {
+    return 'cooldownHours must be a number of hours (0 = no cooldown)';
+  }
+  return null;
+}
+
+// One line for the "last message" column: intent and the start of the message
+function summarizeInbound(text, intent = null) {
+  const message = String(text || '').replace(/\s+/g, ' ').trim();
+  const summary = intent ? `[${intent}] ${message}` : message;
+  return summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : summary;
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+class SheetWriter {
+  /**
+   * getSheet: (sourceKey) => that source's worksheet, or null while it isn't loaded
+   * statusOfColor: async (backgroundColor or null) => status key, to check a row before escalating it
+   * onEscalated: async (update) after a row color was escalated (update.escalate has from/to)
+   */
+  constructor({ getSheet, statusOfColor, onEscalated = async () => {}, logEvent = async () => {}, flushSeconds = DEFAULT_FLUSH_SECONDS }) {
+    this.getSheet = getSheet;
+    this.statusOfColor = statusOfColor;
+    this.onEscalated = onEscalated;
+    this.logEvent = logEvent;
+    this.flushSeconds = flushSeconds;
+    this.pending = new Map(); // "source:rowIndex" -> { source, rowIndex, expectedFirstCell, values, escalate }
+    this.flushing = false;
+    this.backoffSeconds = 0;
+    this.pausedUntil = 0;
+    this.missingHeaders = new Set(); // "source:header", logged once each
+    this.lastFlush = null; // { at, rows, written, error }
+    this.timer = null;
+  }
+
+  /**
+   * Queue a write to one row of a sheet source.
+   * values: { 'Header name': value }; escalate: { from, to, color, conversationId } to repaint the row
+   */
+  queueUpdate(source, rowIndex, { expectedFirstCell = null, values = {}, escalate = null }) {
+    const existing = this.pending.get(`${source}:${rowIndex}`);
+    this.pending.set(`${source}:${rowIndex}`, {
+      source,
+      rowIndex,
+      expectedFirstCell: expectedFirstCell !== null ? expectedFirstCell : existing?.expectedFirstCell ?? null,
+      values: { ...(existing ? existing.values : {}), ...values },
+      escalate: escalate || (existing ? existing.escalate : null)
+    });
+  }
+
+  // Put a failed batch back without overwriting anything queued for the same rows since
+  requeue(batch) {
+    for (const update of batch) {
+      const key = `${update.source}:${update.rowIndex}`;
+      const newer = this.pending.get(key);
+      this.pending.set(key, newer
+        ? { ...newer, values: { ...update.values, ...newer.values }, escalate: newer.escalate || update.escalate }
+        : update);
+    }
+  }
+
+  async applyUpdate(sheet, headers, update, lastColumn) {
+    const row = update.rowIndex - 1;
+    const firstCell = sheet.getCell(row, 0);
+    if (update.expectedFirstCell !== null && String(firstCell.formattedValue ?? '') !== String(update.expectedFirstCell)) {
+      console.log(`⚠️ Sheet write-back skipped for ${update.source} row ${update.rowIndex}: the row changed since the customer was looked up`);
+      return false;
+    }
+
+    let changed = false;
+    for (const [header, value] of Object.entries(update.values)) {
+      const col = headers.indexOf(header);
+      if (col < 0) {
+        if (!this.missingHeaders.has(`${update.source}:${header}`)) {
+          this.missingHeaders.add(`${update.source}:${header}`);
+          await this.logEvent('warning', `Sheet write-back column "${header}" not found in the headers of sheet source "${update.source}" - add it to the sheet to enable it`);
+        }
+        continue;
+      }
+      sheet.getCell(row, col).value = value;
+      changed = true;
+    }
+
+    if (update.escalate) {
+      let background = null;
+      for (let col = 0; col < COLOR_COLUMNS && !background; col++) {
+        background = sheet.getCell(row, col).backgroundColor || null;
+      }
+      const current = await this.statusOfColor(background);
+      if (current !== update.escalate.from) {
+        console.log(`⚠️ ${update.source} row ${update.rowIndex} escalation skipped: status is ${current}, expected ${update.escalate.from}`);
+      } else {
+        for (let col = 0; col <= lastColumn; col++) {
+          sheet.getCell(row, col).backgroundColor = update.escalate.color;
+        }
+        changed = true;
+        update.escalated = true;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Write up to MAX_ROWS_PER_FLUSH queued rows of one source in one batch. Returns the number of rows written.
+   * Sources whose tab isn't loaded keep their rows queued.
+   */
+  async flush() {
+    if (this.flushing || this.pending.size === 0 || Date.now() < this.pausedUntil) return 0;
+    const first = [...this.pending.values()].find(update => this.getSheet(update.source));
+    if (!first) return 0;
+
+    this.flushing = true;
+    const sheet = this.getSheet(first.source);
+    const batch = [...this.pending.values()].filter(update => update.source === first.source).slice(0, MAX_ROWS_PER_FLUSH);
+    batch.forEach(update => this.pending.delete(`${update.source}:${update.rowIndex}`));
+
+    try {
+      const headers = sheet.headerValues || [];
+      const lastColumn = Math.max(headers.length, COLOR_COLUMNS) - 1;
+      await sheet.loadCells(batch.map(update => `A${update.rowIndex}:${columnLetter(lastColumn)}${update.rowIndex}`));
+
+      const written = [];
+      for (const update of batch) {
+        if (await this.applyUpdate(sheet, headers, update, lastColumn)) written.push(update);
+      }
+      if (written.length > 0) {
+        await sheet.saveUpdatedCells();
+      }
+
+      this.backoffSeconds = 0;
+      this.lastFlush = { at: new Date(), source: first.source, rows: batch.length, written: written.length, error: null };
+      for (const update of written.filter(entry => entry.escalated)) {
+        await this.logEvent('info', `Escalated ${update.source} row ${update.rowIndex} from ${update.escalate.from} to ${update.escalate.to} (${update.escalate.conversationId})`);
+        await this.onEscalated(update);
+      }
+      return written.length;
+    } catch (err) {
+      this.requeue(batch);
+      this.backoffSeconds = Math.min(MAX_BACKOFF_SECONDS, Math.max(this.backoffSeconds, this.flushSeconds) * 2);
+      this.pausedUntil = Date.now() + this.backoffSeconds * 1000;
+      this.lastFlush = { at: new Date(), source: first.source, rows: batch.length, written: 0, error: err.message };
+      console.error(`❌ Sheet write-back failed, retrying in ${this.backoffSeconds}s:`, err.message);
+      await this.logEvent('error', `Sheet write-back of ${batch.length} row(s) to "${first.source}" failed, retrying in ${this.backoffSeconds}s: ${err.message}`);
+      return 0;
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      queuedRows: this.pending.size,
+      flushSeconds: this.flushSeconds,
+      backoffSeconds: this.backoffSeconds,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil) : null,
+      lastFlush: this.lastFlush
+    };
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.flush().catch(err => console.error('❌ Sheet write-back flush error:', err.message));
+    }, this.flushSeconds * 1000);
+  }
+
+  // Write whatever is still queued (shutdown) - one batch per source, until a batch makes no progress
+  async stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.pausedUntil = 0;
+    while (this.pending.size > 0) {
+      const queued = this.pending.size;
+      await this.flush().catch(() => {});
+      if (this.pending.size >= queued) break;
+    }
+  }
+}
+
+SheetWriter.DEFAULT_WRITEBACK_SETTINGS = DEFAULT_WRITEBACK_SETTINGS;
+SheetWriter.normalizeSettings = normalizeSettings;
+SheetWriter.validateSettings = validateSettings;
+SheetWriter.summarizeInbound = summarizeInbound;
+SheetWriter.detectImpatience = detectImpatience;
+SheetWriter.columnLetter = columnLetter;
+
+module.exports = SheetWriter;
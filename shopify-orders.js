@@ -0,0 +1,200 @@
+/**
+ * Shopify Orders:
+ * Real order numbers, line items, payment/fulfillment status and tracking for a customer,
+ * looked up by email (orders API) and phone (customer search -> customer orders).
+ * Fulfillments come embedded in each order with their tracking numbers and URLs.
+ * Results are cached briefly in Redis (in-memory fallback) so a burst of texts costs one lookup.
+ */
+const fetch = require('node-fetch');
+
+const SHOPIFY_API_VERSION = '2023-10';
+const FETCH_TIMEOUT_MS = 5000;
+const DEFAULT_CACHE_SECONDS = 300;
+const MAX_ORDERS = 3;
+const ORDER_FIELDS = 'id,name,order_number,created_at,financial_status,fulfillment_status,cancelled_at,line_items,fulfillments';
+
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : digits;
+}
+
+// "January 5, 2025"
+function formatDate(value) {
+  if (!value) return 'unknown date';
+  return new Date(value).toLocaleDateString('en-US', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+function mapOrder(order) {
+  return {
+    id: order.id,
+    name: order.name || `#${order.order_number}`,
+    orderNumber: String(order.order_number || String(order.name || '').replace(/\D/g, '')),
+    createdAt: order.created_at,
+    financialStatus: order.financial_status || 'unknown',
+    fulfillmentStatus: order.fulfillment_status || 'unfulfilled',
+    cancelledAt: order.cancelled_at,
+    lineItems: (order.line_items || []).map(item => ({
+      title: item.title,
+      variantTitle: item.variant_title,
+      quantity: item.quantity
+    })),
+    fulfillments: (order.fulfillments || []).map(fulfillment => ({
+      status: fulfillment.status,
+      shipmentStatus: fulfillment.shipment_status,
+      trackingCompany: fulfillment.tracking_company,
+      trackingNumbers: fulfillment.tracking_numbers || (fulfillment.tracking_number ? [fulfillment.tracking_number] : []),
+      trackingUrls: fulfillment.tracking_urls || (fulfillment.tracking_url ? [fulfillment.tracking_url] : []),
+      createdAt: fulfillment.created_at
+    }))
+  };
+}
+
+class ShopifyOrders {
+  /**
+   * getRedisClient: () => client or null (the server drops to null when Redis errors)
+   */
+  constructor({
+    storeDomain = null,
+    accessToken = null,
+    getRedisClient = () => null,
+    logEvent = async () => {},
+    cacheSeconds = DEFAULT_CACHE_SECONDS
+  } = {}) {
+    this.storeDomain = storeDomain;
+    this.accessToken = accessToken;
+    this.getRedisClient = getRedisClient;
+    this.logEvent = logEvent;
+    this.cacheSeconds = cacheSeconds;
+    this.memoryCache = new Map(); // cacheKey -> { orders, expiresAt }
+  }
+
+  isConfigured() {
+    return Boolean(this.storeDomain && this.accessToken);
+  }
+
+  async request(path) {
+    const response = await fetch(`https://${this.storeDomain}/admin/api/${SHOPIFY_API_VERSION}/${path}`, {
+      headers: {
+        'X-Shopify-Access-Token': this.accessToken,
+        'Content-Type': 'application/json'
+      },
+      timeout: FETCH_TIMEOUT_MS
+    });
+    if (!response.ok) {
+      throw new Error(`Shopify API ${path.split('?')[0]} returned status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async getCached(key) {
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        const cached = await redisClient.get(key);
+        if (cached) return JSON.parse(cached);
+      } catch (err) {
+        console.error('Redis order cache get error:', err);
+      }
+    }
+    const entry = this.memoryCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.orders;
+    if (entry) this.memoryCache.delete(key);
+    return null;
+  }
+
+  async setCached(key, orders) {
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      try {
+        await redisClient.setEx(key, this.cacheSeconds, JSON.stringify(orders));
+      } catch (err) {
+        console.error('Redis order cache set error:', err);
+      }
+    }
+    this.memoryCache.set(key, { orders, expiresAt: Date.now() + this.cacheSeconds * 1000 });
+    if (this.memoryCache.size > 500) {
+      const oldestKeys = Array.from(this.memoryCache.keys()).slice(0, 50);
+      oldestKeys.forEach(oldKey => this.memoryCache.delete(oldKey));
+    }
+  }
+
+  async ordersByEmail(email) {
+    const data = await this.request(`orders.json?status=any&limit=${MAX_ORDERS}&email=${encodeURIComponent(email)}&fields=${ORDER_FIELDS}`);
+    return data.orders || [];
+  }
+
+  // The orders API can't filter by phone - find the Shopify customer first
+  async ordersByPhone(phone) {
+    const digits = normalizePhone(phone);
+    if (digits.length < 10) return [];
+
+    const search = await this.request(`customers/search.json?query=${encodeURIComponent(`phone:+1${digits}`)}&fields=id,phone`);
+    const customers = (search.customers || []).filter(customer => normalizePhone(customer.phone) === digits);
+
+    const orders = [];
+    for (const customer of customers.slice(0, 2)) {
+      const data = await this.request(`customers/${customer.id}/orders.json?status=any&limit=${MAX_ORDERS}&fields=${ORDER_FIELDS}`);
+      orders.push(...(data.orders || []));
+    }
+    return orders;
+  }
+
+  /**
+   * Most recent orders for a customer, newest first. Returns [] when Shopify isn't configured.
+   */
+  async findOrders({ phone = null, email = null } = {}) {
+    if (!this.isConfigured() || (!phone && !email)) return [];
+
+    const normalizedEmail = email ? String(email).toLowerCase().trim() : null;
+    const cacheKey = `shopify:orders:${normalizedEmail || ''}:${normalizePhone(phone)}`;
+    const cached = await this.getCached(cacheKey);
+    if (cached) return cached;
+
+    const byId = new Map();
+    if (normalizedEmail) {
+      for (const order of await this.ordersByEmail(normalizedEmail)) byId.set(order.id, order);
+    }
+    if (phone) {
+      for (const order of await this.ordersByPhone(phone)) byId.set(order.id, order);
+    }
+
+    const orders = [...byId.values()]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, MAX_ORDERS)
+      .map(mapOrder);
+    await this.setCached(cacheKey, orders);
+    return orders;
+  }
+
+  /**
+   * ORDER_INFO lines for the prompt. Dates are written "placed on January 5, 2025" so the
+   * response validator recognises them as real.
+   */
+  static formatOrders(orders) {
+    return orders.map(order => {
+      const items = order.lineItems
+        .map(item => `${item.title}${item.variantTitle ? ` (${item.variantTitle})` : ''} x${item.quantity}`)
+        .join(', ');
+      let line = `- Order ${order.name} placed on ${formatDate(order.createdAt)}: ${items || 'no line items'}`;
+      line += `\n  Payment: ${order.financialStatus} | Fulfillment: ${order.cancelledAt ? 'CANCELLED' : order.fulfillmentStatus}`;
+
+      for (const fulfillment of order.fulfillments) {
+        if (fulfillment.trackingNumbers.length === 0) continue;
+        const carrier = fulfillment.trackingCompany ? `${fulfillment.trackingCompany} ` : '';
+        const status = fulfillment.shipmentStatus ? ` (${fulfillment.shipmentStatus.replace(/_/g, ' ')})` : '';
+        line += `\n  Tracking: ${carrier}${fulfillment.trackingNumbers.join(', ')}${status}, shipped on ${formatDate(fulfillment.createdAt)}`;
+        if (fulfillment.trackingUrls.length > 0) line += ` - ${fulfillment.trackingUrls[0]}`;
+      }
+      return line;
+    }).join('\n');
+  }
+}
+
+ShopifyOrders.normalizePhone = normalizePhone;
+
+module.exports = ShopifyOrders;
@@ -0,0 +1,211 @@
+/**
+ * SMS Formatter:
+ * Segment-aware formatting of AI replies before they go out as SMS.
+ * - Detects GSM-7 vs UCS-2 encoding (one emoji turns a 160-char SMS into a 70-char one)
+ * - Optionally swaps characters that don't fit GSM-7 (smart quotes, dashes, emojis, accents)
+ * - Splits long replies at sentence boundaries into single-segment parts, optionally capped at a
+ *   segment budget. Parts are numbered " (1/3)" for gateways that send each part as its own SMS
+ *   (Twilio, the outbox, Tasker's JSON reply); plain-text Tasker sends `text` as one long SMS instead
+ */
+
+// GSM 03.38 basic character set (1 septet each)
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// GSM 03.38 extension table (escape + char = 2 septets each)
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+const GSM_BASIC_SET = new Set(GSM_BASIC);
+const GSM_EXTENDED_SET = new Set(GSM_EXTENDED);
+
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 }
+};
+
+// Common characters Claude produces that have a close GSM-7 equivalent
+const GSM_REPLACEMENTS = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"',
+  '–': '-', '—': '-', '―': '-', '−': '-',
+  '…': '...', '•': '-', '·': '-',
+  '\u00A0': ' ', '\u2009': ' ', '\u200A': ' ', '\u202F': ' ',
+  '\u200B': '', '\u200D': '', '\uFE0F': '',
+  '™': '(TM)', '®': '(R)', '©': '(C)', '°': ' deg',
+  '½': '1/2', '¼': '1/4', '¾': '3/4',
+  'á': 'a', 'í': 'i', 'ó': 'o', 'ú': 'u', 'ç': 'c',
+  'Á': 'A', 'Í': 'I', 'Ó': 'O', 'Ú': 'U'
+};
+
+const DEFAULT_FORMAT_OPTIONS = {
+  gsm7Only: false,   // Replace/drop characters that would force UCS-2
+  maxSegments: 0,    // Cap on single-segment parts per reply, extra parts are dropped (0 = no cap)
+  numberParts: true  // Append " (1/3)" to each separately sent part when a reply is split
+};
+
+function isGsm7(text) {
+  for (const char of text) {
+    if (!GSM_BASIC_SET.has(char) && !GSM_EXTENDED_SET.has(char)) return false;
+  }
+  return true;
+}
+
+function getEncoding(text) {
+  return isGsm7(text) ? 'GSM-7' : 'UCS-2';
+}
+
+// Length in encoding units: septets for GSM-7, UTF-16 code units for UCS-2
+function getEncodedLength(text, encoding = getEncoding(text)) {
+  if (encoding === 'UCS-2') return text.length;
+
+  let length = 0;
+  for (const char of text) {
+    length += GSM_EXTENDED_SET.has(char) ? 2 : 1;
+  }
+  return length;
+}
+
+function countSegments(text, encoding = getEncoding(text)) {
+  if (!text) return 0;
+  const length = getEncodedLength(text, encoding);
+  const limits = SEGMENT_LIMITS[encoding];
+  return length <= limits.single ? 1 : Math.ceil(length / limits.multi);
+}
+
+/**
+ * Swap characters that don't fit GSM-7 for close equivalents.
+ * Accented letters fall back to their base letter; anything else (emojis) is dropped.
+ */
+function toGsm7(text) {
+  let result = '';
+  for (const char of text) {
+    if (GSM_BASIC_SET.has(char) || GSM_EXTENDED_SET.has(char)) {
+      result += char;
+    } else if (GSM_REPLACEMENTS[char] !== undefined) {
+      result += GSM_REPLACEMENTS[char];
+    } else {
+      const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      result += isGsm7(base) ? base : '';
+    }
+  }
+  // Dropped emojis can leave doubled spaces or spaces before punctuation
+  return result.replace(/[ \t]{2,}/g, ' ').replace(/ +([.,!?])/g, '$1').trim();
+}
+
+// Split text into sentences, keeping the punctuation with each sentence
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Break a single over-long sentence at word boundaries
+function splitLongSentence(sentence, limit, encoding) {
+  const chunks = [];
+  let current = '';
+  for (const word of sentence.split(/\s+/)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (getEncodedLength(candidate, encoding) <= limit) {
+      current = candidate;
+    } else {
+      if (current) chunks.push(current);
+      // A single word longer than the limit gets hard-cut, by code point so emojis stay whole
+      current = '';
+      for (const char of Array.from(word)) {
+        if (current && getEncodedLength(current + char, encoding) > limit) {
+          chunks.push(current);
+          current = '';
+        }
+        current += char;
+      }
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Length of a " (n/N)" suffix with N up to `digits` digits
+function suffixLength(numberParts, digits) {
+  return numberParts ? ` (${'9'.repeat(digits)}/${'9'.repeat(digits)})`.length : 0;
+}
+
+// Pack sentences into chunks of at most partLimit encoding units
+function splitIntoChunks(text, partLimit, encoding) {
+  const chunks = [];
+  let current = '';
+  for (const sentence of splitSentences(text)) {
+    const pieces = getEncodedLength(sentence, encoding) > partLimit
+      ? splitLongSentence(sentence, partLimit, encoding)
+      : [sentence];
+
+    for (const piece of pieces) {
+      const candidate = current ? `${current} ${piece}` : piece;
+      if (getEncodedLength(candidate, encoding) <= partLimit) {
+        current = candidate;
+      } else {
+        chunks.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Format an AI reply for SMS delivery.
+ * Returns { text, parts, encoding, segments, truncated }:
+ * - text: what the customer actually receives (without part numbers), for message history and
+ *   for gateways that send the whole reply as one SMS
+ * - parts: ordered single-segment messages for gateways that send each part separately
+ */
+function formatSms(reply, options = {}) {
+  const opts = { ...DEFAULT_FORMAT_OPTIONS, ...options };
+  let text = String(reply || '').replace(/\r\n/g, '\n').trim();
+  if (opts.gsm7Only) {
+    text = toGsm7(text);
+  }
+
+  const encoding = getEncoding(text);
+  const limits = SEGMENT_LIMITS[encoding];
+
+  if (!text) {
+    return { text, parts: [], encoding, segments: 0, truncated: false };
+  }
+  if (getEncodedLength(text, encoding) <= limits.single) {
+    return { text, parts: [text], encoding, segments: 1, truncated: false };
+  }
+
+  const maxSegments = Math.max(0, parseInt(opts.maxSegments, 10) || 0);
+
+  // Reserve room for the " (n/N)" suffix on every part; without a cap, widen it until the count fits
+  let digits = maxSegments ? String(maxSegments).length : 1;
+  let chunks = splitIntoChunks(text, limits.single - suffixLength(opts.numberParts, digits), encoding);
+  while (!maxSegments && opts.numberParts && String(chunks.length).length > digits) {
+    digits = String(chunks.length).length;
+    chunks = splitIntoChunks(text, limits.single - suffixLength(true, digits), encoding);
+  }
+
+  const truncated = maxSegments > 0 && chunks.length > maxSegments;
+  const kept = truncated ? chunks.slice(0, maxSegments) : chunks;
+  const parts = kept.length > 1 && opts.numberParts
+    ? kept.map((chunk, idx) => `${chunk} (${idx + 1}/${kept.length})`)
+    : kept;
+
+  return {
+    text: kept.join(' '),
+    parts,
+    encoding,
+    segments: parts.reduce((sum, part) => sum + countSegments(part, encoding), 0),
+    truncated
+  };
+}
+
+module.exports = {
+  DEFAULT_FORMAT_OPTIONS,
+  isGsm7,
+  getEncoding,
+  countSegments,
+  toGsm7,
+  formatSms
+};
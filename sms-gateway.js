@@ -0,0 +1,217 @@
+/**
+ * SMS Gateway:
+ * Lets the /reply pipeline answer either the Android Tasker relay or Twilio.
+ * - Tasker mode: plain-text body is the reply, 204 means "don't send anything"
+ * - Twilio mode: validates X-Twilio-Signature and answers with TwiML <Response><Message>
+ * - Outbox delivery: Tasker gets an immediate 204 and the reply is queued for GET /api/outbox
+ */
+const crypto = require('crypto');
+
+const GATEWAY_MODES = ['tasker', 'twilio'];
+const DELIVERY_MODES = ['sync', 'outbox'];
+
+/**
+ * Compute the X-Twilio-Signature for a webhook request.
+ * Twilio signs the full URL followed by every POST param (sorted by key) as key+value,
+ * using HMAC-SHA1 with the account auth token, base64 encoded.
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((acc, key) => {
+    const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+    return acc + values.map(value => `${key}${value ?? ''}`).join('');
+  }, url);
+
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+// Constant-time comparison of the expected and received signatures
+function validateTwilioSignature(authToken, signature, url, params = {}) {
+  if (!authToken || !signature) return false;
+
+  const expected = Buffer.from(computeTwilioSignature(authToken, url, params));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Rebuild the public URL Twilio used to call us (respects proxies like Render)
+function getWebhookUrl(req, baseUrl) {
+  if (baseUrl) {
+    return baseUrl.replace(/\/$/, '') + req.originalUrl;
+  }
+  const protocol = (req.get('x-forwarded-proto') || req.protocol || 'http').split(',')[0].trim();
+  return `${protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+function escapeXml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c];
+  });
+}
+
+/**
+ * Build a TwiML document. Each message is a string or { body, media: [urls] };
+ * an empty list produces <Response/> which tells Twilio not to reply.
+ */
+function buildTwiml(messages = []) {
+  const list = Array.isArray(messages) ? messages : [messages];
+  const parts = list
+    .map(msg => (typeof msg === 'string' ? { body: msg, media: [] } : msg))
+    .filter(msg => msg && (msg.body || (msg.media && msg.media.length)))
+    .map(msg => {
+      let xml = '<Message>';
+      if (msg.body) xml += `<Body>${escapeXml(msg.body)}</Body>`;
+      for (const url of msg.media || []) {
+        xml += `<Media>${escapeXml(url)}</Media>`;
+      }
+      return xml + '</Message>';
+    });
+
+  if (parts.length === 0) {
+    return '<?xml version="1.0" encoding="UTF-8"?><Response/>';
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${parts.join('')}</Response>`;
+}
+
+/**
+ * Collect media URLs from either payload style:
+ * Tasker sends MediaUrl/mediaUrl, Twilio sends NumMedia + MediaUrl0..MediaUrlN
+ */
+function getMediaUrls(body = {}) {
+  const urls = [];
+  const numMedia = parseInt(body.NumMedia, 10) || 0;
+  for (let i = 0; i < numMedia; i++) {
+    if (body[`MediaUrl${i}`]) urls.push(body[`MediaUrl${i}`]);
+  }
+  const single = body.MediaUrl || body.mediaUrl;
+  if (single && !urls.includes(single)) urls.push(single);
+  return urls;
+}
+
+/**
+ * Wraps the Express response so the /reply pipeline doesn't care which relay called it.
+ *   reply(reply, media) - send the reply: a string, ordered parts, or the formatter's { text, parts }.
+ *                         Gateways that send one SMS per part get the numbered parts; plain-text Tasker,
+ *                         which sends one (long) SMS, gets the unnumbered text
+ *   noReply()           - acknowledge without sending an SMS
+ *   error(text)         - internal failure; Twilio still gets valid TwiML
+ * With options.enqueue the request is acknowledged immediately (204, or empty TwiML for Twilio) and
+ * replies are queued instead.
+ * With options.json Tasker gets { reply, parts } so it can send each part in order.
+ */
+function createSmsResponder(res, mode = 'tasker', options = {}) {
+  const toParts = (reply) => (reply && reply.parts ? reply.parts : Array.isArray(reply) ? reply : [reply]).filter(Boolean);
+  const toText = (reply) => (reply && reply.parts ? reply.text : toParts(reply).join(' '));
+
+  if (options.enqueue) {
+    // Acknowledge right away so slow AI calls can't hit the request timeout
+    if (mode === 'twilio') {
+      res.status(200).type('text/xml').send(buildTwiml([]));
+    } else {
+      res.status(204).send();
+    }
+    return {
+      mode: 'outbox',
+      async reply(reply) {
+        // Queue parts one at a time so queue order matches sending order
+        for (const part of toParts(reply)) {
+          await options.enqueue(part);
+        }
+      },
+      noReply() {
+        return null;
+      },
+      error(text) {
+        return options.enqueue(text);
+      }
+    };
+  }
+
+  if (mode === 'twilio') {
+    return {
+      mode,
+      reply(reply, media = []) {
+        const messages = toParts(reply).map((body, idx) => ({ body, media: idx === 0 ? media : [] }));
+        return res.status(200).type('text/xml').send(buildTwiml(messages));
+      },
+      noReply() {
+        return res.status(200).type('text/xml').send(buildTwiml([]));
+      },
+      error(text) {
+        return res.status(200).type('text/xml').send(buildTwiml([text]));
+      }
+    };
+  }
+
+  return {
+    mode: 'tasker',
+    reply(reply) {
+      if (options.json) {
+        const parts = toParts(reply);
+        res.set('X-SMS-Parts', String(parts.length));
+        return res.status(200).json({ reply: toText(reply), parts });
+      }
+      res.set('X-SMS-Parts', '1');
+      return res.status(200).type('text/plain').send(toText(reply));
+    },
+    noReply() {
+      return res.status(204).send(); // No Content - Tasker won't send SMS
+    },
+    error(text) {
+      return res.status(500).type('text/plain').send(text);
+    }
+  };
+}
+
+module.exports = {
+  GATEWAY_MODES,
+  DELIVERY_MODES,
+  computeTwilioSignature,
+  validateTwilioSignature,
+  getWebhookUrl,
+  buildTwiml,
+  getMediaUrls,
+  createSmsResponder
+};
+
+// Standalone fixture sender: posts a signed Twilio-style request to a local server
+// Usage: node sms-gateway.js "+16035551234" "When does my still ship?" [mediaUrl]
+if (require.main === module) {
+  require('dotenv').config();
+  const fetch = require('node-fetch');
+
+  const [from = '+16035550100', text = 'Hey, where is my order?', mediaUrl] = process.argv.slice(2);
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const url = `${process.env.TWILIO_WEBHOOK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`}/twilio/sms`;
+
+  if (!authToken) {
+    console.error('❌ TWILIO_AUTH_TOKEN is required to sign fixture requests');
+    process.exit(1);
+  }
+
+  const params = {
+    MessageSid: `SM${crypto.randomBytes(16).toString('hex')}`,
+    AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACfixture',
+    From: from,
+    To: process.env.TWILIO_PHONE_NUMBER || '+16039976786',
+    Body: text,
+    NumMedia: mediaUrl ? '1' : '0'
+  };
+  if (mediaUrl) params.MediaUrl0 = mediaUrl;
+
+  fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': computeTwilioSignature(authToken, url, params)
+    },
+    body: new URLSearchParams(params).toString()
+  })
+    .then(async (response) => {
+      console.log(`📨 ${response.status} ${response.headers.get('content-type')}`);
+      console.log(await response.text());
+    })
+    .catch(err => {
+      console.error('❌ Fixture request failed:', err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,218 @@
+/**
+ * Status Map:
+ * Sheet row color -> order status, stored as JSON in system_settings.status_map so staff can change
+ * their color scheme without a deploy. Each status has:
+ * - key: stable id stored with orders and used by notification templates ('green', 'yellow', ...)
+ * - description: what the status means, shown to the AI ("Shipped (GREEN)")
+ * - hex: an exact sheet color ("#00ff00"), and/or
+ * - range: per-channel { red: [min, max], green: [min, max], blue: [min, max] } on the 0-1 scale (omitted = any)
+ * - shipped: orders in this status count as shipped (not open) when a customer has several
+ * - playbook: how the bot should talk to a customer whose order is in this status
+ * Exact hex matches win, then ranges in list order; a color nothing matches gets the fallback status.
+ */
+
+const DEFAULT_STATUS_MAP = {
+  fallback: 'white',
+  statuses: [
+    {
+      key: 'red',
+      description: 'Customer wants to cancel (RED)',
+      range: { red: [0.9, 1], green: [0, 0.3], blue: [0, 0.3] },
+      shipped: false,
+      playbook: "They've asked to cancel. Be understanding and don't argue or try to talk them out of it - " +
+        'tell them Jonathan will personally follow up on the cancellation.'
+    },
+    {
+      key: 'green',
+      description: 'Shipped (GREEN)',
+      range: { red: [0, 0.3], green: [0.7, 1], blue: [0, 0.3] },
+      shipped: true,
+      playbook: "It's on the way. Keep it short and upbeat, and give tracking and the estimated delivery when you have them."
+    },
+    {
+      key: 'yellow',
+      description: 'In production (YELLOW)',
+      range: { red: [0.8, 1], green: [0.8, 1], blue: [0, 0.3] },
+      shipped: false,
+      playbook: "It's being built right now. Be positive about the progress and let them know we'll update them when it ships."
+    },
+    {
+      key: 'purple',
+      description: 'Expediting order - at risk of cancellation (PURPLE)',
+      range: { red: [0.7, 1], green: [0, 0.7], blue: [0.7, 1] },
+      shipped: false,
+      playbook: "We're rushing this one because they're close to cancelling. Reassure them it's a priority and being expedited."
+    },
+    {
+      key: 'light blue',
+      description: 'Customer getting impatient - needs update (LIGHT BLUE)',
+      range: { red: [0, 0.3], green: [0.5, 1], blue: [0.7, 1] },
+      shipped: false,
+      playbook: "They're getting impatient. Apologize for the wait, give them a clear status and thank them for their patience."
+    },
+    {
+      key: 'dark blue',
+      description: 'Customer very impatient - second escalation (DARK BLUE)',
+      range: { red: [0, 0.3], green: [0, 0.3], blue: [0.7, 1] },
+      shipped: false,
+      playbook: 'Second escalation - they are very impatient. Apologize sincerely, keep it brief, and offer a call with Jonathan at (603) 997-6786.'
+    },
+    {
+      key: 'white',
+      description: 'Order just received (WHITE)',
+      shipped: false,
+      playbook: "New order that hasn't started yet. Thank them, confirm we have it, and let them know it goes into production soon."
+    }
+  ]
+};
+
+const CHANNELS = ['red', 'green', 'blue'];
+
+// "#A1B2C3" / "a1b2c3" -> "#a1b2c3", or null
+function normalizeHex(value) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(value || '').trim());
+  return match ? `#${match[1].toLowerCase()}` : null;
+}
+
+// Sheets API color ({ red, green, blue } 0-1, missing channels = 0) -> "#rrggbb"
+function colorToHex(color) {
+  return '#' + CHANNELS.map(channel => Math.round((color[channel] || 0) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToColor(hex) {
+  const normalized = normalizeHex(hex);
+  if (!normalized) return null;
+  return {
+    red: parseInt(normalized.slice(1, 3), 16) / 255,
+    green: parseInt(normalized.slice(3, 5), 16) / 255,
+    blue: parseInt(normalized.slice(5, 7), 16) / 255
+  };
+}
+
+/**
+ * Stored map (or nothing) -> a complete map; an empty or missing status list means the defaults
+ */
+function normalizeStatusMap(map = {}) {
+  map = map || {};
+  const statuses = Array.isArray(map.statuses) && map.statuses.length > 0 ? map.statuses : DEFAULT_STATUS_MAP.statuses;
+  return {
+    fallback: map.fallback || (statuses === DEFAULT_STATUS_MAP.statuses ? DEFAULT_STATUS_MAP.fallback : statuses[statuses.length - 1].key),
+    statuses: statuses.map(status => ({
+      key: String(status.key || '').trim(),
+      description: status.description || status.key,
+      hex: normalizeHex(status.hex) || undefined,
+      range: status.range || undefined,
+      shipped: status.shipped === true,
+      playbook: status.playbook || ''
+    }))
+  };
+}
+
+/**
+ * Validate a map before saving. Returns an error message or null.
+ */
+function validateStatusMap(map) {
+  if (!map || !Array.isArray(map.statuses) || map.statuses.length === 0) {
+    return 'The status map needs a non-empty "statuses" list';
+  }
+
+  const keys = new Set();
+  for (const status of map.statuses) {
+    const key = String((status && status.key) || '').trim();
+    if (!key) return 'Every status needs a key (e.g. "green")';
+    if (keys.has(key)) return `Status "${key}" is listed twice`;
+    keys.add(key);
+
+    if (status.hex !== undefined && status.hex !== null && status.hex !== '' && !normalizeHex(status.hex)) {
+      return `Status "${key}": hex must look like #00ff00`;
+    }
+    for (const [channel, bounds] of Object.entries(status.range || {})) {
+      if (!CHANNELS.includes(channel)) return `Status "${key}": unknown range channel "${channel}" (use red, green, blue)`;
+      if (!Array.isArray(bounds) || bounds.length !== 2 || bounds.some(n => typeof n !== 'number' || n < 0 || n > 1) || bounds[0] > bounds[1]) {
+        return `Status "${key}": ${channel} range must be [min, max] between 0 and 1`;
+      }
+    }
+    if (status.playbook !== undefined && typeof status.playbook !== 'string') {
+      return `Status "${key}": playbook must be text`;
+    }
+  }
+
+  if (map.fallback !== undefined && !keys.has(map.fallback)) {
+    return `Fallback status "${map.fallback}" is not in the list`;
+  }
+  return null;
+}
+
+function inRange(color, range) {
+  return CHANNELS.every(channel => {
+    if (!range[channel]) return true;
+    const value = color[channel] || 0;
+    return value >= range[channel][0] && value <= range[channel][1];
+  });
+}
+
+// Status entry -> what order lookups work with
+function toOrderStatus(status) {
+  return {
+    statusColor: status.key,
+    statusDescription: status.description,
+    shipped: status.shipped,
+    playbook: status.playbook
+  };
+}
+
+/**
+ * Status for a row background color: { statusColor, statusDescription, shipped, playbook, matchedBy }
+ * matchedBy is 'hex', 'range' or 'fallback'
+ */
+function matchColor(map, color) {
+  const hex = colorToHex(color);
+  const exact = map.statuses.find(status => status.hex && status.hex === hex);
+  if (exact) return { ...toOrderStatus(exact), matchedBy: 'hex' };
+
+  const ranged = map.statuses.find(status => status.range && inRange(color, status.range));
+  if (ranged) return { ...toOrderStatus(ranged), matchedBy: 'range' };
+
+  const fallback = map.statuses.find(status => status.key === map.fallback) || map.statuses[map.statuses.length - 1];
+  return { ...toOrderStatus(fallback), matchedBy: 'fallback' };
+}
+
+/**
+ * Current details for a status recorded earlier (e.g. by the sheet index): { statusColor, statusDescription }.
+ * A status that was removed from the map keeps its recorded description and gets no playbook.
+ */
+function describeStatus(map, recorded) {
+  const status = map.statuses.find(entry => entry.key === recorded.statusColor);
+  return status
+    ? toOrderStatus(status)
+    : { statusColor: recorded.statusColor, statusDescription: recorded.statusDescription, shipped: false, playbook: '' };
+}
+
+/**
+ * A color to paint a row that should be in this status (sheet write-back): its hex if it has one,
+ * otherwise the middle of its ranges - as long as that color maps back to the same status.
+ * Returns { red, green, blue } or null when no such color exists.
+ */
+function colorForStatus(map, key) {
+  const status = map.statuses.find(entry => entry.key === key);
+  if (!status) return null;
+  if (status.hex) return hexToColor(status.hex);
+
+  const color = {};
+  for (const channel of CHANNELS) {
+    const bounds = (status.range && status.range[channel]) || [1, 1]; // Unconstrained channel: full (white for no range)
+    color[channel] = (bounds[0] + bounds[1]) / 2;
+  }
+  return matchColor(map, color).statusColor === key ? color : null;
+}
+
+module.exports = {
+  DEFAULT_STATUS_MAP,
+  normalizeStatusMap,
+  validateStatusMap,
+  matchColor,
+  describeStatus,
+  colorForStatus,
+  colorToHex,
+  hexToColor
+};
@@ -0,0 +1,67 @@
+/**
+ * Business-hours calendar: current mode, next open time (across DST) and validation.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeConfig, getBusinessMode, getNextOpen, validateConfig, renderModeText, parseTime } = require('../business-hours');
+
+const config = { timezone: 'America/New_York' };
+
+test('weekday office hours are business_hours with no next open time', () => {
+  // Wednesday 2026-10-21 10:00 EDT
+  const result = getBusinessMode(config, new Date('2026-10-21T14:00:00Z'));
+  assert.strictEqual(result.mode, 'business_hours');
+  assert.strictEqual(result.nextOpen, null);
+  assert.strictEqual(result.settings.aiReplies, true);
+});
+
+test('closing time is exclusive and the next open is the following morning', () => {
+  // Wednesday 17:00 EDT
+  const result = getBusinessMode(config, new Date('2026-10-21T21:00:00Z'));
+  assert.strictEqual(result.mode, 'after_hours');
+  assert.strictEqual(result.nextOpen.toISOString(), '2026-10-22T13:00:00.000Z');
+});
+
+test('a Friday evening opens again on Monday', () => {
+  const nextOpen = getNextOpen(normalizeConfig(config), new Date('2026-10-23T22:00:00Z'));
+  assert.strictEqual(nextOpen.toISOString(), '2026-10-26T13:00:00.000Z');
+});
+
+test('the next open time follows the DST change', () => {
+  // Saturday 2026-10-31 EDT -> Monday 2026-11-02 09:00 EST
+  const nextOpen = getNextOpen(normalizeConfig(config), new Date('2026-10-31T16:00:00Z'));
+  assert.strictEqual(nextOpen.toISOString(), '2026-11-02T14:00:00.000Z');
+});
+
+test('holidays override the weekly schedule and fill {HOLIDAY}', () => {
+  const holidayConfig = { ...config, holidays: [{ date: '2026-12-25', name: 'Christmas' }] };
+  const result = getBusinessMode(holidayConfig, new Date('2026-12-25T15:00:00Z'));
+  assert.strictEqual(result.mode, 'holiday');
+  assert.strictEqual(result.nextOpen.toISOString(), '2026-12-28T14:00:00.000Z');
+  assert.match(renderModeText('Closed for {HOLIDAY}, back {NEXT_OPEN}', result, config.timezone), /^Closed for Christmas, back Monday 9:00 AM$/);
+});
+
+test('stored mode settings merge over the defaults', () => {
+  const custom = { ...config, modes: { after_hours: { aiReplies: false, awayMessage: 'Back {NEXT_OPEN}' } } };
+  const result = getBusinessMode(custom, new Date('2026-10-21T23:00:00Z'));
+  assert.strictEqual(result.settings.aiReplies, false);
+  assert.strictEqual(result.settings.followUp, true);
+});
+
+test('validateConfig rejects bad timezones, hours, holidays and modes', () => {
+  assert.strictEqual(validateConfig(config), null);
+  assert.match(validateConfig({ timezone: 'Mars/Olympus' }), /Unknown timezone/);
+  assert.match(validateConfig({ weekly: { mon: [{ open: '17:00', close: '09:00' }] } }), /Invalid hours for mon/);
+  assert.match(validateConfig({ weekly: { funday: [] } }), /Unknown weekday/);
+  assert.match(validateConfig({ holidays: [{ date: '12/25/2026' }] }), /Holidays must look like/);
+  assert.match(validateConfig({ modes: { lunch: {} } }), /Unknown mode/);
+});
+
+test('parseTime accepts HH:MM up to 24:00', () => {
+  assert.strictEqual(parseTime('09:30'), 570);
+  assert.strictEqual(parseTime('24:00'), 1440);
+  assert.strictEqual(parseTime('24:30'), null);
+  assert.strictEqual(parseTime('9am'), null);
+});
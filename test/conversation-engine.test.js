@@ -0,0 +1,180 @@
+/**
+ * ConversationEngine.respond() with stub pool and Anthropic clients - no database, no API calls.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ConversationEngine = require('../conversation-engine');
+
+const CONVERSATION_ID = '6035550100';
+const CURRENT_MESSAGE_ID = 42;
+
+// Answers the engine's queries from canned rows and records every query it ran
+function createStubPool({ history = [] } = {}) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (/FROM messages/.test(sql) && /id < \$2/.test(sql)) {
+        return { rows: history.filter(row => row.id < params[1]).reverse() };
+      }
+      if (/FROM system_instructions/.test(sql)) return { rows: [{ content: '{PERSONALITY}\n{KNOWLEDGE}\n{CUSTOMER_CONTEXT}' }] };
+      if (/INSERT INTO messages/.test(sql)) return { rows: [{ id: CURRENT_MESSAGE_ID + 1 }] };
+      return { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+function createStubAnthropic(reply) {
+  const calls = [];
+  return {
+    calls,
+    messages: {
+      async create(request) {
+        calls.push(request);
+        return { content: [{ type: 'text', text: reply }] };
+      }
+    }
+  };
+}
+
+function createEngine({ reply = 'The 13 gallon still ships in about two weeks.', validPrice = true, intent = 'product_question', history = [] } = {}) {
+  const pool = createStubPool({ history });
+  const anthropicClient = createStubAnthropic(reply);
+  const notifications = [];
+  const classified = [];
+  const engine = new ConversationEngine({
+    pool,
+    anthropicClient,
+    model: 'test-model',
+    knowledgeRetriever: { retrieveRelevantChunks: async () => ['The 13 gallon still ships in about two weeks.'] },
+    priceValidator: { validate: async () => validPrice },
+    intentClassifier: { classify: async (text) => { classified.push(text); return { intent, source: 'stub' }; } },
+    notifyHumanTakeover: async (details) => notifications.push(details)
+  });
+  return { engine, pool, anthropicClient, notifications, classified };
+}
+
+function respond(engine, userMessage) {
+  return engine.respond({ channel: 'sms', conversationId: CONVERSATION_ID, userMessage, beforeId: CURRENT_MESSAGE_ID });
+}
+
+const pausedConversation = (pool) => pool.queries.some(query => /SET paused = true/.test(query.sql));
+
+test('a normal question is answered by Claude and saved', async () => {
+  const { engine, pool, anthropicClient } = createEngine();
+  const result = await respond(engine, 'How long until the 13 gallon still ships?');
+
+  assert.strictEqual(result.text, 'The 13 gallon still ships in about two weeks.');
+  assert.strictEqual(result.handoff, false);
+  assert.strictEqual(result.error, false);
+  assert.strictEqual(result.intent, 'product_question');
+  assert.strictEqual(result.messageId, CURRENT_MESSAGE_ID + 1);
+  assert.strictEqual(anthropicClient.calls.length, 1);
+  assert.match(anthropicClient.calls[0].system, /Relevant Knowledge:/);
+  assert.ok(!pausedConversation(pool));
+});
+
+test('history holds the earlier messages and the current message is sent once', async () => {
+  const { engine, anthropicClient } = createEngine({
+    history: [
+      { id: 40, phone: CONVERSATION_ID, sender: 'user', message: 'Hi, I ordered a still' },
+      { id: 41, phone: CONVERSATION_ID, sender: 'assistant', message: 'Thanks for your order!' },
+      { id: CURRENT_MESSAGE_ID, phone: CONVERSATION_ID, sender: 'user', message: 'When does it ship?' }
+    ]
+  });
+  await respond(engine, 'When does it ship?');
+
+  const { messages } = anthropicClient.calls[0];
+  assert.deepStrictEqual(messages.map(message => message.content), ['Hi, I ordered a still', 'Thanks for your order!', 'When does it ship?']);
+});
+
+test('an explicit takeover phrase pauses the conversation and skips Claude', async () => {
+  const { engine, pool, anthropicClient, notifications } = createEngine();
+  const result = await respond(engine, 'Can I talk to a human please');
+
+  assert.strictEqual(result.handoff, true);
+  assert.strictEqual(result.intent, 'handoff');
+  assert.strictEqual(result.text, ConversationEngine.HANDOFF_MESSAGE);
+  assert.ok(pausedConversation(pool));
+  assert.strictEqual(notifications.length, 1);
+  assert.strictEqual(anthropicClient.calls.length, 0);
+});
+
+test('a classifier handoff label alone does not pause the conversation', async () => {
+  const { engine, pool, anthropicClient } = createEngine({ intent: 'handoff' });
+  const result = await respond(engine, 'Is there a phone number I can call?');
+
+  assert.strictEqual(result.handoff, false);
+  assert.strictEqual(result.intent, 'handoff');
+  assert.ok(!pausedConversation(pool));
+  assert.strictEqual(anthropicClient.calls.length, 1);
+  assert.match(anthropicClient.calls[0].system, /MAY WANT A PERSON/);
+});
+
+test('a reply the price validator rejects is replaced with the price fallback', async () => {
+  const { engine } = createEngine({ reply: 'That still is $99 today only.', validPrice: false });
+  const result = await respond(engine, 'How much is the 8 gallon still?');
+
+  assert.match(result.text, /trouble accessing pricing/);
+  assert.strictEqual(result.handoff, false);
+});
+
+test('a made-up order number is replaced with the safe fallback', async () => {
+  const { engine } = createEngine({ reply: 'Your order #SP-123 shipped yesterday.' });
+  const result = await respond(engine, 'Did my order ship?');
+
+  assert.match(result.text, /Let me check your order details/);
+  assert.doesNotMatch(result.text, /SP-123/);
+});
+
+const IMAGE_BLOCK = { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'AAAA' } };
+
+test('a photo with no text goes to Claude as an image block without the classifier or a canned line', async () => {
+  const { engine, anthropicClient, classified } = createEngine({ reply: 'That joint looks like it needs a new gasket.' });
+  const result = await engine.respond({
+    channel: 'sms',
+    conversationId: CONVERSATION_ID,
+    userMessage: '',
+    beforeId: CURRENT_MESSAGE_ID,
+    imageBlocks: [IMAGE_BLOCK],
+    hasMedia: true
+  });
+
+  assert.strictEqual(result.text, 'That joint looks like it needs a new gasket.');
+  assert.strictEqual(result.intent, 'product_question');
+  assert.deepStrictEqual(classified, []);
+  const current = anthropicClient.calls[0].messages.at(-1);
+  assert.deepStrictEqual(current.content[0], IMAGE_BLOCK);
+  assert.strictEqual(current.content[1].type, 'text');
+});
+
+test('a photo that could not be loaded is noted for Claude instead of appending a canned reply', async () => {
+  const { engine, anthropicClient } = createEngine({ reply: 'Could you tell me what the photo shows?' });
+  const result = await engine.respond({
+    channel: 'sms',
+    conversationId: CONVERSATION_ID,
+    userMessage: 'Is this damaged?',
+    beforeId: CURRENT_MESSAGE_ID,
+    imageBlocks: [],
+    hasMedia: true
+  });
+
+  assert.strictEqual(result.text, 'Could you tell me what the photo shows?');
+  assert.match(anthropicClient.calls[0].messages.at(-1).content, /^Is this damaged\?\n\n\[The customer attached a photo, but it could not be loaded\.\]$/);
+});
+
+test('an earlier photo-only message stays in the history as a note, never as an empty turn', async () => {
+  const { engine, anthropicClient } = createEngine({
+    history: [
+      { id: 40, phone: CONVERSATION_ID, sender: 'user', message: '', media_urls: ['https://api.twilio.com/media/1'] },
+      { id: 41, phone: CONVERSATION_ID, sender: 'assistant', message: 'That looks like the 8 gallon lid.' }
+    ]
+  });
+  await respond(engine, 'Do you sell a replacement?');
+
+  const contents = anthropicClient.calls[0].messages.map(message => message.content);
+  assert.deepStrictEqual(contents, ['[sent a photo]', 'That looks like the 8 gallon lid.', 'Do you sell a replacement?']);
+});
@@ -0,0 +1,95 @@
+/**
+ * Inventory lookup matching against a stub catalog - no database, no Shopify calls.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const InventoryLookup = require('../inventory-lookup');
+
+function variant(variantId, productId, productTitle, option1, extra = {}) {
+  return {
+    variant_id: variantId,
+    product_id: productId,
+    product_title: productTitle,
+    product_type: 'Still',
+    option1,
+    option2: null,
+    option3: null,
+    sku: null,
+    price: '999.00',
+    inventory_quantity: 3,
+    inventory_management: 'shopify',
+    inventory_policy: 'deny',
+    lead_time: null,
+    ...extra
+  };
+}
+
+const CATALOG = [
+  variant(1, 10, 'Copper Moonshine Still', '8 Gallon'),
+  variant(2, 10, 'Copper Moonshine Still', '13 Gallon'),
+  variant(3, 20, 'Stainless Steel Fermenter', '8 Gallon'),
+  variant(4, 30, 'Thumper Keg', 'Default Title')
+];
+
+// No store domain/token, so lookups use the synced quantities
+function createLookup(rows = CATALOG) {
+  const pool = { async query() { return { rows }; } };
+  return new InventoryLookup(pool);
+}
+
+test('tokenize normalizes sizes and plurals and drops filler words', () => {
+  // "still" is filler ("still available?"), so it never identifies a product
+  assert.deepStrictEqual(InventoryLookup.tokenize('Do you have the 8gal copper stills in stock?'), ['8', 'gallon', 'copper']);
+  assert.deepStrictEqual(InventoryLookup.tokenize('Copper fermenters'), ['copper', 'fermenter']);
+  assert.deepStrictEqual(InventoryLookup.tokenize('13-gallons'), ['13', 'gallon']);
+  assert.deepStrictEqual(InventoryLookup.tokenize('2.5 liters'), ['2.5', 'liter']);
+  assert.deepStrictEqual(InventoryLookup.tokenize('is it available?'), []);
+});
+
+test('a message naming product and size resolves to one variant', async () => {
+  const result = await createLookup().resolve('is the 13 gallon copper still available?');
+  assert.strictEqual(result.status, 'resolved');
+  assert.strictEqual(result.variants[0].variant_id, 2);
+});
+
+test('a product without its size is ambiguous between its options', async () => {
+  const result = await createLookup().resolve('do you have the copper still?');
+  assert.strictEqual(result.status, 'ambiguous');
+  assert.deepStrictEqual(result.variants.map(v => v.variant_id), [1, 2]);
+});
+
+test('rare words outweigh words shared by several products', async () => {
+  // "8 gallon" matches a still and a fermenter, "fermenter" only one product
+  const result = await createLookup().resolve('8 gallon fermenter in stock?');
+  assert.strictEqual(result.status, 'resolved');
+  assert.strictEqual(result.variants[0].variant_id, 3);
+});
+
+test('messages without a product, or an empty catalog, match nothing', async () => {
+  assert.strictEqual((await createLookup().resolve('when will it ship?')).status, 'none');
+  assert.strictEqual((await createLookup([]).resolve('copper still')).status, 'none');
+});
+
+test('availability reflects tracking, quantity and backorder policy', () => {
+  const { describeAvailability } = InventoryLookup;
+  assert.strictEqual(describeAvailability({ inventory_management: null }).status, 'available');
+  assert.strictEqual(describeAvailability({ inventory_management: 'shopify', inventory_quantity: 3 }).text, 'In stock - only 3 left');
+  assert.strictEqual(describeAvailability({ inventory_management: 'shopify', inventory_quantity: 40 }).text, 'In stock');
+  assert.strictEqual(describeAvailability({ inventory_management: 'shopify', inventory_quantity: 0, inventory_policy: 'continue' }).status, 'backorder');
+  assert.strictEqual(describeAvailability({ inventory_management: 'shopify', inventory_quantity: -2, inventory_policy: 'deny' }).status, 'out_of_stock');
+});
+
+test('describe quotes the synced stock and the lead time for out-of-stock variants', async () => {
+  const rows = [variant(5, 40, 'Gin Basket', 'Default Title', { inventory_quantity: 0, lead_time: '3-4 weeks' })];
+  const section = await createLookup(rows).describe('gin basket in stock?');
+  assert.match(section, /from the last catalog sync/);
+  assert.match(section, /Gin Basket: Out of stock/);
+  assert.match(section, /Typical lead time: 3-4 weeks/);
+});
+
+test('describe stays quiet on ambiguous general product questions', async () => {
+  assert.strictEqual(await createLookup().describe('tell me about the copper still', { askWhenAmbiguous: false }), '');
+  assert.match(await createLookup().describe('copper still in stock?'), /matches more than one size\/option/);
+});
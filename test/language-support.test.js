@@ -0,0 +1,44 @@
+/**
+ * Language detection heuristics and text cleanup - no API calls.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage, sanitizeMessageText, getLanguageInstruction } = require('../language-support');
+
+test('English with place names that share words with other languages stays English', () => {
+  assert.strictEqual(detectLanguage('I am in La Paz').language, 'en');
+});
+
+test('a narrow lead over the runner-up is not confident', () => {
+  // "la" and "in" count for Italian, "la" for Spanish and French - not enough to switch
+  assert.strictEqual(detectLanguage('la casa in').confident, false);
+});
+
+test('clear Spanish, French and German messages are detected confidently', () => {
+  assert.deepStrictEqual(detectLanguage('¿Cuándo llega mi pedido?'), { language: 'es', confident: true });
+  assert.deepStrictEqual(detectLanguage('Bonjour, où est ma commande ?'), { language: 'fr', confident: true });
+  assert.deepStrictEqual(detectLanguage('Hallo, wann kommt meine Bestellung?'), { language: 'de', confident: true });
+});
+
+test('a single greeting identifies its language on its own', () => {
+  assert.deepStrictEqual(detectLanguage('Hola'), { language: 'es', confident: true });
+  assert.deepStrictEqual(detectLanguage('Merci!'), { language: 'fr', confident: true });
+});
+
+test('messages with nothing to go on keep the current language', () => {
+  assert.deepStrictEqual(detectLanguage('ok'), { language: null, confident: false });
+  assert.deepStrictEqual(detectLanguage('?'), { language: null, confident: false });
+  assert.deepStrictEqual(detectLanguage('👍'), { language: null, confident: false });
+});
+
+test('sanitizeMessageText keeps accents and emoji but drops control characters and broken surrogates', () => {
+  assert.strictEqual(sanitizeMessageText('  ¿Qué tal? 🎉\u0007 '), '¿Qué tal? 🎉');
+  assert.strictEqual(sanitizeMessageText('hi \uD83D'), 'hi');
+});
+
+test('English needs no language instruction', () => {
+  assert.strictEqual(getLanguageInstruction('en'), '');
+  assert.match(getLanguageInstruction('es'), /Reply ONLY in Spanish/);
+});
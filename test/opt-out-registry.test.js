@@ -0,0 +1,51 @@
+/**
+ * Carrier keyword matching and the opt-out registry with a stub pool - no database.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const OptOutRegistry = require('../opt-out-registry');
+
+test('only a message that is exactly a carrier keyword matches', () => {
+  assert.deepStrictEqual(OptOutRegistry.matchKeyword('STOP'), { action: 'opt_out', keyword: 'STOP' });
+  assert.deepStrictEqual(OptOutRegistry.matchKeyword('  stop. '), { action: 'opt_out', keyword: 'STOP' });
+  assert.deepStrictEqual(OptOutRegistry.matchKeyword('Unsubscribe!'), { action: 'opt_out', keyword: 'UNSUBSCRIBE' });
+  assert.deepStrictEqual(OptOutRegistry.matchKeyword('start'), { action: 'opt_in', keyword: 'START' });
+  assert.deepStrictEqual(OptOutRegistry.matchKeyword('Help?'), { action: 'help', keyword: 'HELP' });
+});
+
+test('keywords inside a longer message are not opt-outs', () => {
+  assert.strictEqual(OptOutRegistry.matchKeyword('stop by tomorrow'), null);
+  assert.strictEqual(OptOutRegistry.matchKeyword('please cancel my order'), null);
+  assert.strictEqual(OptOutRegistry.matchKeyword(''), null);
+  assert.strictEqual(OptOutRegistry.matchKeyword(undefined), null);
+});
+
+test('phone numbers are keyed on their last 10 digits', () => {
+  assert.strictEqual(OptOutRegistry.normalizePhone('+1 (603) 555-1234'), '6035551234');
+  assert.strictEqual(OptOutRegistry.normalizePhone('6035551234'), '6035551234');
+});
+
+test('opting out records the number and cancels its queued non-system messages', async () => {
+  const queries = [];
+  const pool = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: [{ phone: params[0], opted_out: true }] };
+    }
+  };
+  const registry = new OptOutRegistry(pool);
+  await registry.optOut('+1 603-555-1234', { keyword: 'STOP' });
+
+  assert.match(queries[0].sql, /INSERT INTO sms_opt_outs/);
+  assert.deepStrictEqual(queries[0].params, ['6035551234', 'STOP', 'keyword', null]);
+  assert.match(queries[1].sql, /UPDATE outbound_messages SET status = 'cancelled'/);
+  assert.match(queries[1].sql, /source <> 'system'/);
+  assert.deepStrictEqual(queries[1].params, ['6035551234']);
+});
+
+test('isOptedOut is false for numbers with no entry', async () => {
+  const registry = new OptOutRegistry({ async query() { return { rows: [] }; } });
+  assert.strictEqual(await registry.isOptedOut('6035551234'), false);
+});
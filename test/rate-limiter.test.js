@@ -0,0 +1,68 @@
+/**
+ * RateLimiter with a stub pool and no Redis (in-memory counters).
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../rate-limiter');
+
+// No blocklist/allowlist entries
+function createLimiter() {
+  const events = [];
+  const pool = { async query() { return { rows: [], rowCount: 0 }; } };
+  const limiter = new RateLimiter(pool, { logEvent: async (level, message) => events.push({ level, message }) });
+  return { limiter, events };
+}
+
+const config = {
+  perSender: { limit: 2, windowSeconds: 600 },
+  global: { limit: 3, windowSeconds: 3600 },
+  autoBlock: { violations: 2, windowSeconds: 3600, blockSeconds: 60 }
+};
+
+test('normalizeSender compares phones on their last 10 digits and emails case-insensitively', () => {
+  assert.strictEqual(RateLimiter.normalizeSender('+1 (603) 555-0100'), '6035550100');
+  assert.strictEqual(RateLimiter.normalizeSender('email:Jane@Example.com'), 'jane@example.com');
+  assert.strictEqual(RateLimiter.normalizeSender('web:abc123'), 'web:abc123');
+});
+
+test('a sender over its limit is dropped while other senders still get through', async () => {
+  const { limiter } = createLimiter();
+  assert.strictEqual((await limiter.check('sms', '6035550100', config)).allowed, true);
+  assert.strictEqual((await limiter.check('sms', '6035550100', config)).allowed, true);
+  const third = await limiter.check('sms', '6035550100', config);
+  assert.strictEqual(third.allowed, false);
+  assert.strictEqual(third.reason, 'sender_limit');
+  assert.strictEqual((await limiter.check('sms', '6035550101', config)).allowed, true);
+});
+
+test('repeated limit trips block the sender temporarily', async () => {
+  const { limiter } = createLimiter();
+  const strict = { ...config, perSender: { limit: 1, windowSeconds: 600 }, autoBlock: { violations: 1, windowSeconds: 3600, blockSeconds: 60 } };
+  await limiter.check('sms', '6035550100', strict);
+  await limiter.check('sms', '6035550100', strict);
+  const result = await limiter.check('sms', '6035550100', strict);
+  assert.strictEqual(result.reason, 'temporarily_blocked');
+  assert.strictEqual((await limiter.listTemporaryBlocks()).length, 1);
+});
+
+test('web chat traffic cannot use up the global budget for SMS', async () => {
+  const { limiter } = createLimiter();
+  for (let i = 0; i < 10; i++) {
+    await limiter.check('web', `ip:10.0.0.${i}`, config);
+  }
+  const web = await limiter.check('web', 'ip:10.0.0.99', config);
+  assert.strictEqual(web.allowed, false);
+  assert.strictEqual(web.reason, 'global_limit');
+
+  const sms = await limiter.check('sms', '6035550100', config);
+  assert.strictEqual(sms.allowed, true);
+});
+
+test('disabled limits allow everything', async () => {
+  const { limiter } = createLimiter();
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await limiter.check('sms', '6035550100', { ...config, enabled: false })).allowed, true);
+  }
+});
@@ -0,0 +1,77 @@
+/**
+ * Segment-aware SMS formatting: encodings, GSM-7 swaps and splitting.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getEncoding, countSegments, toGsm7, formatSms } = require('../sms-formatter');
+
+test('one emoji switches a message to UCS-2 and its 70-character segments', () => {
+  assert.strictEqual(getEncoding('Your still ships Monday.'), 'GSM-7');
+  assert.strictEqual(getEncoding('Your still ships Monday 🎉'), 'UCS-2');
+  assert.strictEqual(countSegments('a'.repeat(160)), 1);
+  assert.strictEqual(countSegments('a'.repeat(161)), 2);
+  assert.strictEqual(countSegments('🎉' + 'a'.repeat(68)), 1);
+  assert.strictEqual(countSegments('🎉' + 'a'.repeat(69)), 2);
+});
+
+test('GSM-7 extension characters count as two septets', () => {
+  assert.strictEqual(countSegments('€'.repeat(80)), 1);
+  assert.strictEqual(countSegments('€'.repeat(81)), 2);
+});
+
+test('toGsm7 swaps smart punctuation and accents and drops emojis', () => {
+  assert.strictEqual(toGsm7('It’s “ready” — ships soon 🎉!'), 'It\'s "ready" - ships soon!');
+  assert.strictEqual(toGsm7('Café señor'), 'Café señor');
+  assert.strictEqual(toGsm7('naïve'), 'naive');
+});
+
+test('a short reply is a single unnumbered part', () => {
+  const result = formatSms('Thanks! Your order shipped today.');
+  assert.deepStrictEqual(result.parts, ['Thanks! Your order shipped today.']);
+  assert.strictEqual(result.segments, 1);
+  assert.strictEqual(result.truncated, false);
+});
+
+test('long replies split at sentence boundaries into numbered single-segment parts', () => {
+  const sentence = 'The 13 gallon still ships in about two weeks from our New Hampshire shop.';
+  const result = formatSms(Array(6).fill(sentence).join(' '));
+
+  assert.ok(result.parts.length > 1);
+  result.parts.forEach((part, idx) => {
+    assert.ok(part.length <= 160, `part ${idx + 1} is ${part.length} characters`);
+    assert.ok(part.endsWith(` (${idx + 1}/${result.parts.length})`));
+  });
+  assert.strictEqual(result.segments, result.parts.length);
+  // The history copy has no part numbers
+  assert.ok(!/\(\d+\/\d+\)/.test(result.text));
+});
+
+test('parts are not numbered when numbering is off', () => {
+  const result = formatSms('word '.repeat(80), { numberParts: false });
+  assert.ok(result.parts.length > 1);
+  assert.ok(result.parts.every(part => !/\(\d+\/\d+\)$/.test(part)));
+});
+
+test('the segment cap is opt-in and drops the extra parts', () => {
+  const long = 'Sentence number one is here. '.repeat(30);
+  assert.strictEqual(formatSms(long).truncated, false);
+
+  const capped = formatSms(long, { maxSegments: 2 });
+  assert.strictEqual(capped.parts.length, 2);
+  assert.strictEqual(capped.truncated, true);
+});
+
+test('an over-long word is hard-cut without splitting an emoji', () => {
+  const result = formatSms('🎉'.repeat(100), { numberParts: false });
+  for (const part of result.parts) {
+    assert.ok(part.length <= 70);
+    assert.ok(!/[\uD800-\uDBFF]$/.test(part), 'part ends in half an emoji');
+  }
+  assert.strictEqual(result.parts.join(''), '🎉'.repeat(100));
+});
+
+test('empty replies have no parts', () => {
+  assert.deepStrictEqual(formatSms('   ').parts, []);
+});
@@ -0,0 +1,78 @@
+/**
+ * TwilioSender draining a stub outbound queue - no database, no Twilio calls.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TwilioSender = require('../twilio-sender');
+
+// Hands out `messages` once and records every claim and ack
+function createStubQueue(messages) {
+  const claims = [];
+  const acks = [];
+  let pending = messages;
+  return {
+    claims,
+    acks,
+    async claim(limit, options) {
+      claims.push(options);
+      const batch = pending;
+      pending = [];
+      return batch;
+    },
+    async ack(id, result) {
+      acks.push({ id, ...result });
+      return { id, status: result.success ? 'sent' : 'pending', attempts: 1 };
+    }
+  };
+}
+
+function createSender(queue, shouldDeliver) {
+  const sender = new TwilioSender({
+    accountSid: 'AC123',
+    authToken: 'token',
+    from: '+16035550199',
+    outboundQueue: queue,
+    shouldDeliver: async () => shouldDeliver
+  });
+  sender.sent = [];
+  sender.send = async (to, body) => {
+    sender.sent.push({ to, body });
+    return 'SM1';
+  };
+  return sender;
+}
+
+test('while a relay polls the queue, only replies pinned to Twilio are claimed and sent', async () => {
+  const queue = createStubQueue([{ id: 7, phone: '6035550100', message: 'Your still ships Monday.' }]);
+  const sender = createSender(queue, false);
+  const totals = await sender.deliverDue();
+
+  assert.deepStrictEqual(queue.claims[0], { route: 'twilio', includeUnpinned: false });
+  assert.deepStrictEqual(sender.sent, [{ to: '6035550100', body: 'Your still ships Monday.' }]);
+  assert.deepStrictEqual(queue.acks, [{ id: 7, success: true }]);
+  assert.deepStrictEqual(totals, { sent: 1, failed: 0 });
+});
+
+test('when Twilio delivers the queue, unpinned messages are claimed too', async () => {
+  const queue = createStubQueue([]);
+  await createSender(queue, true).deliverDue();
+  assert.deepStrictEqual(queue.claims[0], { route: 'twilio', includeUnpinned: true });
+});
+
+test('a failed send is acked as a failure so the queue retries it', async () => {
+  const queue = createStubQueue([{ id: 8, phone: '6035550100', message: 'Hi' }]);
+  const sender = createSender(queue, true);
+  sender.send = async () => { throw new Error('Twilio 400: invalid number'); };
+  const totals = await sender.deliverDue();
+
+  assert.deepStrictEqual(queue.acks, [{ id: 8, success: false, error: 'Twilio 400: invalid number' }]);
+  assert.deepStrictEqual(totals, { sent: 0, failed: 1 });
+});
+
+test('toE164 formats US numbers', () => {
+  assert.strictEqual(TwilioSender.toE164('(603) 555-0100'), '+16035550100');
+  assert.strictEqual(TwilioSender.toE164('16035550100'), '+16035550100');
+  assert.strictEqual(TwilioSender.toE164('+447700900123'), '+447700900123');
+});
@@ -0,0 +1,102 @@
+/**
+ * WebhookIdempotency keys and stored responses with a stub pool - no database.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebhookIdempotency = require('../webhook-idempotency');
+
+function createRequest(body, headers = {}) {
+  return { body, get: (name) => headers[name] };
+}
+
+function createStubPool() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      return { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+// Minimal Express-like response: status/set/get/send
+function createResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    sent: null,
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { headers[name] = value; return this; },
+    get(name) { return headers[name]; },
+    send(body) { this.sent = body; return this; }
+  };
+}
+
+function withNow(ms, fn) {
+  const realNow = Date.now;
+  Date.now = () => ms;
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('an explicit message id is the only key', () => {
+  const idempotency = new WebhookIdempotency(createStubPool());
+  assert.deepStrictEqual(idempotency.getKeys('reply', createRequest({ phone: '6035550100', text: 'yes', MessageSid: 'SM123' })), ['reply:id:SM123']);
+  assert.deepStrictEqual(idempotency.getKeys('reply', createRequest({ phone: '6035550100' }, { 'Idempotency-Key': 'abc' })), ['reply:id:abc']);
+});
+
+test('a provider timestamp tells repeated short texts apart and matches retries of the same text', () => {
+  const idempotency = new WebhookIdempotency(createStubPool());
+  const first = idempotency.getKeys('reply', createRequest({ phone: '6035550100', text: 'yes', timestamp: '2026-10-19 10:00:05' }));
+  const retry = withNow(Date.now() + 5 * 60 * 1000, () =>
+    idempotency.getKeys('reply', createRequest({ phone: '6035550100', text: 'yes', timestamp: '2026-10-19 10:00:05' })));
+  const second = idempotency.getKeys('reply', createRequest({ phone: '6035550100', text: 'yes', timestamp: '2026-10-19 10:01:40' }));
+
+  assert.strictEqual(first.length, 1);
+  assert.deepStrictEqual(retry, first);
+  assert.notDeepStrictEqual(second, first);
+});
+
+test('without a timestamp, a quick retry matches but the same text a minute later does not', () => {
+  const idempotency = new WebhookIdempotency(createStubPool());
+  const start = 1_800_000_000_000;
+  const body = { phone: '+1 603-555-0100', text: 'ok' };
+  const original = withNow(start, () => idempotency.getKeys('reply', createRequest(body)));
+  const retry = withNow(start + 10 * 1000, () => idempotency.getKeys('reply', createRequest(body)));
+  const later = withNow(start + 60 * 1000, () => idempotency.getKeys('reply', createRequest(body)));
+
+  assert.ok(retry.some(key => original.includes(key)));
+  assert.ok(!later.some(key => original.includes(key)));
+});
+
+test('successful responses are stored for replay', async () => {
+  const pool = createStubPool();
+  const idempotency = new WebhookIdempotency(pool);
+  const res = createResponse();
+  idempotency.captureResponse('reply:id:SM1', res);
+  res.status(200).send('Thanks!');
+  await new Promise(setImmediate);
+
+  assert.strictEqual(res.sent, 'Thanks!');
+  assert.match(pool.queries[0].sql, /UPDATE processed_webhooks/);
+  assert.deepStrictEqual(pool.queries[0].params, ['reply:id:SM1', 200, null, 'Thanks!']);
+});
+
+test('timeouts and server errors are not stored, so the retry is processed', async () => {
+  for (const statusCode of [408, 500, 503]) {
+    const pool = createStubPool();
+    const idempotency = new WebhookIdempotency(pool);
+    const res = createResponse();
+    idempotency.captureResponse('reply:id:SM2', res);
+    res.status(statusCode).send('Request timeout. Please try again.');
+    await new Promise(setImmediate);
+
+    assert.match(pool.queries[0].sql, /DELETE FROM processed_webhooks/, `status ${statusCode}`);
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * Twilio Sender:
+ * Delivers the outbound queue (outbound-queue.js) through the Twilio REST API when no relay phone polls it.
+ * Only Tasker in outbox mode drains the queue from the phone; in Twilio mode and in sync Tasker mode
+ * staff, scheduled and order-status messages would otherwise sit in the queue forever.
+ * - Due messages are claimed like the relay claims them (opted-out numbers are cancelled there) and acked
+ *   with Twilio's result, so failures retry with the queue's backoff
+ * - Replies to Twilio webhooks are pinned to Twilio (route = 'twilio') and always sent here, whatever
+ *   the stored gateway and delivery mode
+ * - Runs every intervalSeconds, and right after something is queued (deliverDue)
+ */
+
+const fetch = require('node-fetch');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+const BATCH_SIZE = 20;
+
+// Twilio wants E.164: 10-digit US numbers get +1, 11 digits starting with 1 get +
+function toE164(phone) {
+  const value = String(phone || '').trim();
+  if (value.startsWith('+')) return value;
+  const digits = value.replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return digits ? `+${digits}` : value;
+}
+
+class TwilioSender {
+  /**
+   * outboundQueue: the OutboundQueue to drain
+   * shouldDeliver: async () => whether the server delivers the unpinned queue (false while a relay phone polls it)
+   */
+  constructor({ accountSid, authToken, from, outboundQueue, shouldDeliver, logEvent = async () => {}, intervalSeconds = DEFAULT_INTERVAL_SECONDS }) {
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.outboundQueue = outboundQueue;
+    this.shouldDeliver = shouldDeliver;
+    this.logEvent = logEvent;
+    this.intervalSeconds = intervalSeconds;
+    this.delivering = null; // Promise of the delivery run in progress
+    this.timer = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.accountSid && this.authToken && this.from);
+  }
+
+  /**
+   * Send one SMS. Returns Twilio's message sid; throws with Twilio's error message on failure.
+   */
+  async send(to, body) {
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(this.accountSid)}/Messages.json`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: toE164(to), From: this.from, Body: body }).toString(),
+      timeout: 15000
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio ${response.status}: ${data.message || response.statusText}`);
+    }
+    return data.sid;
+  }
+
+  /**
+   * Send every due queued message. Runs one at a time; a call while a run is in progress waits for it.
+   * Returns { sent, failed }.
+   */
+  async deliverDue() {
+    if (this.delivering) return this.delivering;
+    this.delivering = this.runDelivery().finally(() => {
+      this.delivering = null;
+    });
+    return this.delivering;
+  }
+
+  async runDelivery() {
+    const totals = { sent: 0, failed: 0 };
+    if (!this.isConfigured()) return totals;
+
+    // Replies to Twilio webhooks are pinned to Twilio; everything else only while no relay polls the queue
+    const claimOptions = { route: 'twilio', includeUnpinned: await this.shouldDeliver() };
+    let messages = await this.outboundQueue.claim(BATCH_SIZE, claimOptions);
+    while (messages.length > 0) {
+      for (const message of messages) {
+        try {
+          await this.send(message.phone, message.message);
+          await this.outboundQueue.ack(message.id, { success: true });
+          totals.sent++;
+        } catch (err) {
+          totals.failed++;
+          const result = await this.outboundQueue.ack(message.id, { success: false, error: err.message });
+          console.error(`❌ Twilio send of outbound message ${message.id} failed:`, err.message);
+          if (result && result.status === 'failed') {
+            await this.logEvent('error', `Outbound message ${message.id} to ${message.phone} failed after ${result.attempts} attempts: ${err.message}`);
+          }
+        }
+      }
+      if (messages.length < BATCH_SIZE) break;
+      messages = await this.outboundQueue.claim(BATCH_SIZE, claimOptions);
+    }
+
+    if (totals.sent > 0) console.log(`📤 Sent ${totals.sent} queued message(s) through Twilio`);
+    return totals;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.deliverDue().catch(err => console.error('❌ Twilio outbound delivery failed:', err.message));
+    }, this.intervalSeconds * 1000);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+TwilioSender.toE164 = toE164;
+
+module.exports = TwilioSender;
@@ -0,0 +1,164 @@
+/**
+ * WebhookIdempotency:
+ * Tasker retries a webhook after a network blip, which used to insert the same SMS twice
+ * and trigger two different AI answers. Each request gets an idempotency key:
+ * - an explicit message ID (Idempotency-Key header, MessageSid, messageId/message_id), or
+ * - a hash of phone + text (+ type) + the relay's own send timestamp (timestamp/sent_at), or
+ * - without one, a hash of phone + text (+ type) within a short time bucket, kept short so a
+ *   customer repeating "yes" or "ok" a minute later isn't dropped as a duplicate.
+ * The first response is stored in processed_webhooks and replayed verbatim for duplicates.
+ * Server errors and timeouts aren't stored, so the relay's retry is processed again.
+ */
+const crypto = require('crypto');
+
+class WebhookIdempotency {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.windowSeconds = options.windowSeconds || 15;    // Duplicate detection window for derived keys without a timestamp
+    this.pendingTimeoutSeconds = options.pendingTimeoutSeconds || 60; // Abandoned in-flight requests
+    this.retentionHours = options.retentionHours || 24;
+    this.logEvent = options.logEvent || (async () => {});
+  }
+
+  /**
+   * Candidate keys for a request: the explicit ID if given, a hash including the provider's
+   * timestamp if sent, otherwise derived hashes for the current and previous time bucket
+   * (so a retry just across a boundary still matches).
+   */
+  getKeys(route, req) {
+    const body = req.body || {};
+    const explicitId = req.get('Idempotency-Key') || body.MessageSid || body.SmsMessageSid ||
+      body.messageId || body.message_id;
+    if (explicitId) {
+      return [`${route}:id:${explicitId}`];
+    }
+
+    const phone = String(body.phone || body.From || '').replace(/\D/g, '').slice(-10);
+    const text = String(body.text || body.Body || '').trim();
+    const extra = String(body.type || body.MediaUrl || body.mediaUrl || '');
+    const providerTimestamp = body.timestamp || body.sent_at;
+    if (providerTimestamp) {
+      const hash = crypto.createHash('sha256').update(`${phone}|${text}|${extra}|ts:${providerTimestamp}`).digest('hex');
+      return [`${route}:hash:${hash}`];
+    }
+
+    const bucket = Math.floor(Date.now() / (this.windowSeconds * 1000));
+
+    return [bucket, bucket - 1].map(b => {
+      const hash = crypto.createHash('sha256').update(`${phone}|${text}|${extra}|${b}`).digest('hex');
+      return `${route}:hash:${hash}`;
+    });
+  }
+
+  /**
+   * Express middleware for one webhook route.
+   * onPending(req, res) answers duplicates that arrive while the original is still processing.
+   */
+  middleware(route, { onPending } = {}) {
+    return async (req, res, next) => {
+      const keys = this.getKeys(route, req);
+      const key = keys[0];
+
+      try {
+        // Treat long-running "pending" entries as abandoned so a retry can process them
+        await this.pool.query(
+          `DELETE FROM processed_webhooks
+           WHERE idempotency_key = ANY($1) AND status = 'pending'
+             AND created_at < CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+          [keys, this.pendingTimeoutSeconds]
+        );
+
+        const existing = await this.findExisting(keys);
+        if (existing) {
+          return this.replay(route, existing, req, res, onPending);
+        }
+
+        const inserted = await this.pool.query(
+          `INSERT INTO processed_webhooks(idempotency_key, route) VALUES($1, $2)
+           ON CONFLICT (idempotency_key) DO NOTHING
+           RETURNING idempotency_key`,
+          [key, route]
+        );
+        if (inserted.rows.length === 0) {
+          // Lost a race with an identical request that arrived at the same moment
+          const raced = await this.findExisting(keys);
+          return this.replay(route, raced || { status: 'pending' }, req, res, onPending);
+        }
+      } catch (err) {
+        // Never block a webhook because the idempotency store is unavailable
+        console.error('Idempotency check error:', err);
+        return next();
+      }
+
+      this.captureResponse(key, res);
+      next();
+    };
+  }
+
+  async findExisting(keys) {
+    const result = await this.pool.query(
+      `SELECT idempotency_key, status, status_code, content_type, response_body
+       FROM processed_webhooks WHERE idempotency_key = ANY($1)
+       ORDER BY created_at DESC LIMIT 1`,
+      [keys]
+    );
+    return result.rows[0] || null;
+  }
+
+  async replay(route, entry, req, res, onPending) {
+    const phone = req.body.phone || req.body.From || 'unknown';
+    res.set('X-Idempotent-Replay', 'true');
+
+    if (entry.status !== 'completed') {
+      await this.logEvent('info', `Duplicate /${route} request from ${phone} while original is still processing`);
+      if (onPending) return onPending(req, res);
+      return res.status(409).json({ error: 'Request is already being processed' });
+    }
+
+    await this.logEvent('info', `Duplicate /${route} request from ${phone} - replaying original response`);
+    if (entry.content_type) res.set('Content-Type', entry.content_type);
+    return res.status(entry.status_code || 200).send(entry.response_body === null ? undefined : entry.response_body);
+  }
+
+  // Wrap res.send so the first response is stored for replay
+  captureResponse(key, res) {
+    const originalSend = res.send.bind(res);
+    let stored = false;
+
+    res.send = (body) => {
+      if (!stored) {
+        stored = true;
+        const statusCode = res.statusCode;
+        const isJson = body !== null && typeof body === 'object' && !Buffer.isBuffer(body);
+        const contentType = res.get('Content-Type') || (isJson ? 'application/json; charset=utf-8' : null);
+        const responseBody = body === undefined || body === null ? null :
+          (Buffer.isBuffer(body) ? body.toString('utf8') : isJson ? JSON.stringify(body) : String(body));
+
+        // Server errors and timeouts (408) aren't replayed - let the relay's retry try again
+        const query = statusCode >= 500 || statusCode === 408
+          ? this.pool.query('DELETE FROM processed_webhooks WHERE idempotency_key = $1', [key])
+          : this.pool.query(
+            `UPDATE processed_webhooks
+             SET status = 'completed', status_code = $2, content_type = $3, response_body = $4
+             WHERE idempotency_key = $1`,
+            [key, statusCode, contentType, responseBody]
+          );
+        query.catch(err => console.error('Failed to store idempotent response:', err));
+      }
+      return originalSend(body);
+    };
+  }
+
+  /**
+   * Remove processed keys older than the retention period
+   */
+  async prune() {
+    const result = await this.pool.query(
+      `DELETE FROM processed_webhooks WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)`,
+      [this.retentionHours]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = WebhookIdempotency;